@@ -0,0 +1,176 @@
+/**
+ * Issuer OpenID Connect de prueba para desarrollar el login social sin
+ * depender de un proveedor real. Implementa discovery, authorization code
+ * con PKCE (S256), token, JWKS y userinfo. La pantalla de "login" permite
+ * elegir el email con el que se autentica el usuario.
+ *
+ * Uso: npm run mock-oidc
+ * Backend: OAUTH_OIDC_ISSUER=http://localhost:4000
+ *          OAUTH_OIDC_CLIENT_ID=mock-client
+ *          OAUTH_OIDC_CLIENT_SECRET=mock-secret
+ */
+import crypto from 'crypto';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import { logger } from '../src/utils/logger.js';
+
+const PORT = parseInt(process.env.MOCK_OIDC_PORT) || 4000;
+const ISSUER = process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.MOCK_OIDC_CLIENT_ID || 'mock-client';
+const CLIENT_SECRET = process.env.MOCK_OIDC_CLIENT_SECRET || 'mock-secret';
+
+const KEY_ID = 'mock-key';
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+// Códigos de autorización y access tokens emitidos (solo en memoria)
+const codes = new Map();
+const accessTokens = new Map();
+
+const escapeHtml = (value = '') =>
+  String(value).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+const redirectWith = (res, redirectUri, params) => {
+  const url = new URL(redirectUri);
+  Object.entries(params).forEach(([key, value]) => value && url.searchParams.set(key, value));
+  res.redirect(url.toString());
+};
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    userinfo_endpoint: `${ISSUER}/userinfo`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256'],
+    scopes_supported: ['openid', 'email', 'profile'],
+  });
+});
+
+app.get('/jwks', (req, res) => {
+  const jwk = publicKey.export({ format: 'jwk' });
+  res.json({ keys: [{ ...jwk, kid: KEY_ID, alg: 'RS256', use: 'sig' }] });
+});
+
+app.get('/authorize', (req, res) => {
+  const { client_id, redirect_uri, response_type, code_challenge, code_challenge_method } =
+    req.query;
+
+  if (client_id !== CLIENT_ID || !redirect_uri || response_type !== 'code') {
+    return res.status(400).send('Invalid authorization request');
+  }
+  if (!code_challenge || code_challenge_method !== 'S256') {
+    return res.status(400).send('PKCE with S256 is required');
+  }
+
+  const email = req.query.login_hint || 'mock.user@example.com';
+  const hidden = ['client_id', 'redirect_uri', 'state', 'nonce', 'code_challenge']
+    .map((name) => `<input type="hidden" name="${name}" value="${escapeHtml(req.query[name])}">`)
+    .join('');
+
+  res.send(`<!doctype html>
+<html><body style="font-family: Arial, sans-serif; max-width: 360px; margin: 40px auto;">
+  <h2>Mock OIDC</h2>
+  <form method="post" action="/authorize">
+    ${hidden}
+    <p><label>Email<br><input name="email" value="${escapeHtml(email)}"></label></p>
+    <p><label>Nombre<br><input name="name" value="Mock User"></label></p>
+    <p><label><input type="checkbox" name="email_verified" checked> Email verificado</label></p>
+    <button name="action" value="approve">Continuar</button>
+    <button name="action" value="deny">Cancelar</button>
+  </form>
+</body></html>`);
+});
+
+app.post('/authorize', (req, res) => {
+  const { client_id, redirect_uri, state, nonce, code_challenge, email, name, action } = req.body;
+
+  if (client_id !== CLIENT_ID || !redirect_uri) {
+    return res.status(400).send('Invalid authorization request');
+  }
+
+  if (action !== 'approve') {
+    return redirectWith(res, redirect_uri, { error: 'access_denied', state });
+  }
+
+  const code = crypto.randomBytes(16).toString('hex');
+  codes.set(code, {
+    redirectUri: redirect_uri,
+    codeChallenge: code_challenge,
+    nonce,
+    expiresAt: Date.now() + 60 * 1000,
+    user: {
+      // El subject es estable para cada email
+      sub: crypto.createHash('sha256').update(email.toLowerCase()).digest('hex').slice(0, 24),
+      email,
+      email_verified: req.body.email_verified === 'on',
+      name,
+    },
+  });
+
+  redirectWith(res, redirect_uri, { code, state });
+});
+
+app.post('/token', (req, res) => {
+  const { grant_type, code, redirect_uri, client_id, client_secret, code_verifier } = req.body;
+  const entry = codes.get(code);
+  codes.delete(code);
+
+  if (client_id !== CLIENT_ID || client_secret !== CLIENT_SECRET) {
+    return res.status(401).json({ error: 'invalid_client' });
+  }
+  if (grant_type !== 'authorization_code' || !entry || entry.expiresAt < Date.now()) {
+    return res.status(400).json({ error: 'invalid_grant' });
+  }
+  if (entry.redirectUri !== redirect_uri) {
+    return res
+      .status(400)
+      .json({ error: 'invalid_grant', error_description: 'redirect_uri mismatch' });
+  }
+
+  const challenge = crypto.createHash('sha256').update(code_verifier || '').digest('base64url');
+  if (challenge !== entry.codeChallenge) {
+    return res
+      .status(400)
+      .json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+  }
+
+  const accessToken = crypto.randomBytes(24).toString('hex');
+  accessTokens.set(accessToken, entry.user);
+
+  const idToken = jwt.sign({ ...entry.user, nonce: entry.nonce }, privateKey, {
+    algorithm: 'RS256',
+    keyid: KEY_ID,
+    issuer: ISSUER,
+    audience: CLIENT_ID,
+    expiresIn: '5m',
+  });
+
+  res.json({
+    access_token: accessToken,
+    token_type: 'Bearer',
+    expires_in: 300,
+    id_token: idToken,
+  });
+});
+
+app.get('/userinfo', (req, res) => {
+  const token = req.get('authorization')?.replace(/^Bearer /, '');
+  const user = accessTokens.get(token);
+
+  if (!user) {
+    return res.status(401).json({ error: 'invalid_token' });
+  }
+
+  res.json(user);
+});
+
+app.listen(PORT, () => {
+  logger.info('Mock OIDC issuer running', { issuer: ISSUER, clientId: CLIENT_ID });
+});
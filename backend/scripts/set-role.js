@@ -0,0 +1,34 @@
+/**
+ * Asigna un rol a un usuario existente (útil para crear el primer admin).
+ *
+ * Uso: npm run set-role -- usuario@example.com admin
+ */
+import mongoose from 'mongoose';
+import User from '../src/models/User.js';
+import { ROLES } from '../src/config/roles.js';
+import { config } from '../src/config/env.js';
+import { logger } from '../src/utils/logger.js';
+
+const [email, role] = process.argv.slice(2);
+
+if (!email || !ROLES.includes(role)) {
+  logger.error(`Usage: npm run set-role -- <email> <${ROLES.join('|')}>`);
+  process.exit(1);
+}
+
+await mongoose.connect(config.mongodbUri);
+
+const user = await User.findOneAndUpdate(
+  { email: email.toLowerCase() },
+  { role },
+  { new: true, runValidators: true }
+);
+
+if (!user) {
+  logger.error('User not found', { email });
+} else {
+  logger.info('Role updated', { email: user.email, role: user.role });
+}
+
+await mongoose.disconnect();
+process.exit(user ? 0 : 1);
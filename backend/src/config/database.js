@@ -1,25 +1,131 @@
+import { EventEmitter } from 'events';
 import mongoose from 'mongoose';
+import { config } from './env.js';
+import { logger } from '../utils/logger.js';
+import { isShuttingDown } from '../utils/shutdown.js';
 
+/**
+ * Estado de la conexión con MongoDB, más detallado que readyState:
+ * - connecting: intentos de conexión del arranque (con reintentos)
+ * - connected: conexión disponible
+ * - reconnecting: se perdió la conexión y el driver está reintentando
+ * - disconnected: sin conexión y sin reintentos (agotados o apagado)
+ */
+export const CONNECTION_STATES = ['connecting', 'connected', 'reconnecting', 'disconnected'];
+
+/**
+ * Emite 'stateChange' con { state, previous, ...detalles } en cada transición
+ * y, además, un evento con el nombre del nuevo estado. Otros módulos pueden
+ * suscribirse: databaseEvents.on('reconnecting', ...).
+ */
+export const databaseEvents = new EventEmitter();
+
+let state = 'disconnected';
+let reconnects = 0;
+
+export const getConnectionState = () => state;
+
+export const getConnectionStatus = () => ({ state, reconnects });
+
+// Lo que consultan las peticiones: conexión realmente abierta ahora mismo
+export const isDatabaseConnected = () => mongoose.connection.readyState === 1;
+
+const setState = (next, details = {}) => {
+  if (next === state) {
+    return;
+  }
+
+  const previous = state;
+  state = next;
+  databaseEvents.emit('stateChange', { state, previous, ...details });
+  databaseEvents.emit(state, { previous, ...details });
+};
+
+// Los eventos del driver se registran una sola vez, no en cada intento
+mongoose.connection.on('connected', () => {
+  setState('connected');
+  logger.info('MongoDB connected', { host: mongoose.connection.host });
+});
+
+mongoose.connection.on('disconnected', () => {
+  // Durante el apagado la desconexión es intencionada
+  if (isShuttingDown()) {
+    setState('disconnected');
+    return;
+  }
+  if (state === 'connected') {
+    setState('reconnecting');
+    logger.warn('MongoDB disconnected, waiting for the driver to reconnect');
+  }
+});
+
+mongoose.connection.on('reconnected', () => {
+  reconnects += 1;
+  setState('connected', { reconnects });
+  logger.info('MongoDB reconnected', { reconnects });
+});
+
+mongoose.connection.on('error', (err) => {
+  // Los fallos del arranque ya los registra connectDB en cada intento
+  if (state === 'connected' || state === 'reconnecting') {
+    logger.error('MongoDB connection error', { error: err.message });
+  }
+});
+
+// Backoff exponencial con "equal jitter": entre la mitad y el total del
+// retardo, para que varias instancias no reintenten a la vez
+export const getRetryDelay = (attempt) => {
+  const { retryBaseDelayMs, retryMaxDelayMs } = config.database;
+  const exponential = Math.min(retryMaxDelayMs, retryBaseDelayMs * 2 ** (attempt - 1));
+  return Math.round(exponential / 2 + Math.random() * (exponential / 2));
+};
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Conecta con MongoDB reintentando hasta MONGODB_CONNECT_MAX_RETRIES veces.
+ * Si se agotan los reintentos lanza el último error; quien llama decide cómo
+ * apagar el proceso. Tras la primera conexión, las reconexiones las gestiona
+ * el driver y solo se reflejan en el estado.
+ */
 const connectDB = async () => {
-  try {
-    const conn = await mongoose.connect(process.env.MONGODB_URI, {
-      serverSelectionTimeoutMS: 5000,
-      socketTimeoutMS: 45000,
-    });
+  const { maxRetries } = config.database;
 
-    console.log(`MongoDB Connected: ${conn.connection.host}`);
+  for (let attempt = 1; ; attempt += 1) {
+    if (isShuttingDown()) {
+      return null;
+    }
+    setState('connecting', { attempt });
 
-    mongoose.connection.on('error', (err) => {
-      console.error(`MongoDB connection error: ${err}`);
-    });
+    try {
+      await mongoose.connect(config.mongodbUri, {
+        serverSelectionTimeoutMS: 5000,
+        socketTimeoutMS: 45000,
+      });
+      return mongoose.connection;
+    } catch (error) {
+      if (isShuttingDown()) {
+        return null;
+      }
 
-    mongoose.connection.on('disconnected', () => {
-      console.warn('MongoDB disconnected. Attempting to reconnect...');
-    });
+      if (attempt > maxRetries) {
+        setState('disconnected', { attempt, error });
+        logger.error('Could not connect to MongoDB, giving up', {
+          attempts: attempt,
+          error: error.message,
+        });
+        throw error;
+      }
 
-  } catch (error) {
-    console.error(`Error connecting to MongoDB: ${error.message}`);
-    process.exit(1);
+      const delayMs = getRetryDelay(attempt);
+      logger.warn('Error connecting to MongoDB, retrying', {
+        attempt,
+        maxRetries,
+        delayMs,
+        error: error.message,
+      });
+      await wait(delayMs);
+    }
   }
 };
 
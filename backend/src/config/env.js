@@ -0,0 +1,367 @@
+/**
+ * Configuración central. Todas las variables de entorno se leen y validan
+ * aquí una sola vez al arrancar: si alguna falta o es inválida el proceso
+ * termina con un mensaje que las enumera todas, en lugar de fallar más tarde
+ * en mitad de una petición. El resto del código importa `config`.
+ */
+import dotenv from 'dotenv';
+import { LOG_LEVELS, logger, setLogLevel } from '../utils/logger.js';
+
+// quiet: dotenv no debe mezclar texto libre con las líneas JSON del logger
+dotenv.config({ quiet: true });
+
+const ENVIRONMENTS = ['development', 'test', 'production'];
+
+// Valor de ejemplo de .env.example: nunca debe llegar a producción
+const SAMPLE_JWT_SECRET = 'your-super-secret-jwt-key-change-this-in-production';
+const MIN_PRODUCTION_SECRET_LENGTH = 32;
+
+// Formato de duración que aceptan jsonwebtoken/ms: "90", "15m", "24h", "7d"...
+const DURATION_PATTERN = /^\d+\s*(ms|s|m|h|d|w|y)?$/;
+
+// Origen con comodín opcional en el subdominio de más a la izquierda
+const ORIGIN_PATTERN = /^(https?):\/\/(\*\.)?([a-z0-9-]+(\.[a-z0-9-]+)*)(:\d+)?$/i;
+
+const string = (value) => value;
+
+const integer = (value) => {
+  if (!/^\d+$/.test(value) || Number(value) < 1) {
+    throw new Error('must be a positive integer');
+  }
+  return Number(value);
+};
+
+const nonNegativeInteger = (value) => {
+  if (!/^\d+$/.test(value)) {
+    throw new Error('must be a non-negative integer');
+  }
+  return Number(value);
+};
+
+const port = (value) => {
+  const number = integer(value);
+  if (number > 65535) {
+    throw new Error('must be a valid port number');
+  }
+  return number;
+};
+
+const boolean = (value) => {
+  if (!['true', 'false'].includes(value)) {
+    throw new Error('must be "true" or "false"');
+  }
+  return value === 'true';
+};
+
+const duration = (value) => {
+  if (!DURATION_PATTERN.test(value)) {
+    throw new Error('must be a duration such as "15m", "24h" or "7d"');
+  }
+  return value;
+};
+
+const url = (value) => {
+  if (!URL.canParse(value) || !/^https?:$/.test(new URL(value).protocol)) {
+    throw new Error('must be an http(s) URL');
+  }
+  return value.replace(/\/$/, '');
+};
+
+const mongoUri = (value) => {
+  if (!/^mongodb(\+srv)?:\/\//.test(value)) {
+    throw new Error('must be a mongodb:// or mongodb+srv:// URI');
+  }
+  return value;
+};
+
+const oneOf = (values) => (value) => {
+  if (!values.includes(value)) {
+    throw new Error(`must be one of: ${values.join(', ')}`);
+  }
+  return value;
+};
+
+// Lista separada por comas: "https://app.example.com,https://*.example.com"
+const origins = (value) => {
+  const list = value
+    .split(',')
+    .map((origin) => origin.trim().replace(/\/$/, ''))
+    .filter(Boolean);
+
+  const invalid = list.filter((origin) => !ORIGIN_PATTERN.test(origin));
+  if (list.length === 0 || invalid.length > 0) {
+    throw new Error(
+      `must be a comma-separated list of origins (invalid: ${invalid.join(', ') || 'empty'})`
+    );
+  }
+  return list;
+};
+
+/**
+ * Cada variable declara su parser y su valor por defecto. El defecto puede
+ * depender del entorno; si no hay defecto para el entorno actual la variable
+ * es obligatoria.
+ */
+const SCHEMA = {
+  NODE_ENV: { parse: oneOf(ENVIRONMENTS), default: 'development' },
+  PORT: { parse: port, default: '5000' },
+  LOG_LEVEL: {
+    parse: oneOf(Object.keys(LOG_LEVELS)),
+    default: { development: 'debug', test: 'warn', production: 'info' },
+  },
+  MONGODB_URI: {
+    parse: mongoUri,
+    default: {
+      development: 'mongodb://localhost:27017/mern-auth',
+      test: 'mongodb://localhost:27017/mern-auth-test',
+    },
+  },
+  MONGODB_CONNECT_MAX_RETRIES: { parse: integer, default: '10' },
+  MONGODB_RETRY_BASE_DELAY_MS: { parse: integer, default: '500' },
+  MONGODB_RETRY_MAX_DELAY_MS: { parse: integer, default: '30000' },
+
+  JWT_SECRET: { parse: string, default: { test: 'test-jwt-secret' } },
+  JWT_EXPIRES_IN: { parse: duration, default: '15m' },
+  JWT_REFRESH_EXPIRES_IN: { parse: integer, default: '7' },
+  JWT_COOKIE_EXPIRES_IN: { parse: integer, default: '7' },
+
+  CORS_ORIGIN: {
+    parse: origins,
+    default: { development: 'http://localhost:3000', test: 'http://localhost:3000' },
+  },
+  FRONTEND_URL: { parse: url, optional: true },
+
+  REQUIRE_EMAIL_VERIFICATION: { parse: boolean, default: 'false' },
+  EMAIL_VERIFICATION_EXPIRES_IN: { parse: duration, default: '24h' },
+  VERIFICATION_RESEND_COOLDOWN: { parse: integer, default: '60' },
+
+  MAIL_TRANSPORT: { parse: string, default: 'console' },
+  MAIL_FROM: { parse: string, default: 'MERN Auth <no-reply@localhost>' },
+  MAIL_FILE_DIR: { parse: string, default: 'tmp/mail' },
+
+  PASSWORD_RESET_EXPIRES_IN: { parse: integer, default: '30' },
+  TOTP_ISSUER: { parse: string, default: 'MERN Auth' },
+  MFA_CHALLENGE_EXPIRES_IN: { parse: duration, default: '5m' },
+
+  LOGIN_MAX_ATTEMPTS: { parse: integer, default: '5' },
+  LOGIN_IP_MAX_ATTEMPTS: { parse: integer, default: '20' },
+  LOGIN_LOCK_MINUTES: { parse: integer, default: '15' },
+  LOGIN_ATTEMPT_WINDOW: { parse: integer, default: '60' },
+  LOGIN_ALERT_EXPIRES_IN: { parse: duration, default: '7d' },
+  ACCOUNT_DELETION_GRACE_DAYS: { parse: integer, default: '30' },
+
+  RATE_LIMIT_ENABLED: { parse: boolean, default: 'true' },
+  RATE_LIMIT_STORE: { parse: string, default: 'memory' },
+
+  OAUTH_CALLBACK_BASE_URL: { parse: url, optional: true },
+  OAUTH_GOOGLE_CLIENT_ID: { parse: string, optional: true },
+  OAUTH_GOOGLE_CLIENT_SECRET: { parse: string, optional: true },
+  OAUTH_GITHUB_CLIENT_ID: { parse: string, optional: true },
+  OAUTH_GITHUB_CLIENT_SECRET: { parse: string, optional: true },
+  OAUTH_OIDC_NAME: { parse: string, default: 'OpenID Connect' },
+  OAUTH_OIDC_ISSUER: { parse: url, optional: true },
+  OAUTH_OIDC_CLIENT_ID: { parse: string, optional: true },
+  OAUTH_OIDC_CLIENT_SECRET: { parse: string, optional: true },
+  OAUTH_OIDC_SCOPE: { parse: string, default: 'openid email profile' },
+  OAUTH_REQUEST_TIMEOUT_MS: { parse: integer, default: '10000' },
+
+  MAGIC_LINK_EXPIRES_IN: { parse: integer, default: '15' },
+
+  WEBAUTHN_RP_ID: { parse: string, optional: true },
+  WEBAUTHN_RP_NAME: { parse: string, optional: true },
+  WEBAUTHN_ORIGIN: { parse: url, optional: true },
+
+  METRICS_TOKEN: { parse: string, optional: true },
+
+  SHUTDOWN_READINESS_DELAY_MS: {
+    parse: nonNegativeInteger,
+    default: { development: '0', test: '0', production: '5000' },
+  },
+  SHUTDOWN_DRAIN_TIMEOUT_SECONDS: { parse: integer, default: '10' },
+};
+
+const getDefault = (definition, nodeEnv) => {
+  const value = definition.default;
+  return typeof value === 'object' ? value[nodeEnv] : value;
+};
+
+const isWildcard = (origin) => origin.includes('*');
+
+// Reglas que dependen de varias variables o del entorno
+const checkConstraints = (values, errors) => {
+  if (values.NODE_ENV === 'production' && values.JWT_SECRET) {
+    if (values.JWT_SECRET === SAMPLE_JWT_SECRET) {
+      errors.push('JWT_SECRET: must be changed from the sample value in .env.example');
+    } else if (values.JWT_SECRET.length < MIN_PRODUCTION_SECRET_LENGTH) {
+      errors.push(
+        `JWT_SECRET: must be at least ${MIN_PRODUCTION_SECRET_LENGTH} characters in production`
+      );
+    }
+  }
+
+  if (values.CORS_ORIGIN && !values.FRONTEND_URL && values.CORS_ORIGIN.every(isWildcard)) {
+    errors.push('FRONTEND_URL: is required when CORS_ORIGIN only contains wildcard patterns');
+  }
+};
+
+/**
+ * Valida el entorno recibido y devuelve la configuración tipada. Lanza un
+ * único error con todas las variables inválidas.
+ */
+export const loadConfig = (env = process.env) => {
+  const errors = [];
+  const values = {};
+  const nodeEnv = ENVIRONMENTS.includes(env.NODE_ENV) ? env.NODE_ENV : 'development';
+
+  Object.entries(SCHEMA).forEach(([name, definition]) => {
+    const raw = env[name]?.trim() || getDefault(definition, nodeEnv);
+
+    if (raw === undefined) {
+      if (!definition.optional) {
+        errors.push(`${name}: is required in ${nodeEnv}`);
+      }
+      return;
+    }
+
+    try {
+      values[name] = definition.parse(raw);
+    } catch (error) {
+      errors.push(`${name}: ${error.message}`);
+    }
+  });
+
+  checkConstraints(values, errors);
+
+  if (errors.length > 0) {
+    const error = new Error(`Invalid environment configuration:\n  - ${errors.join('\n  - ')}`);
+    error.errors = errors;
+    throw error;
+  }
+
+  const frontendUrl =
+    values.FRONTEND_URL || values.CORS_ORIGIN.find((origin) => !isWildcard(origin));
+
+  return {
+    env: values.NODE_ENV,
+    isProduction: values.NODE_ENV === 'production',
+    isDevelopment: values.NODE_ENV === 'development',
+    port: values.PORT,
+    logLevel: values.LOG_LEVEL,
+    mongodbUri: values.MONGODB_URI,
+    database: {
+      maxRetries: values.MONGODB_CONNECT_MAX_RETRIES,
+      retryBaseDelayMs: values.MONGODB_RETRY_BASE_DELAY_MS,
+      retryMaxDelayMs: values.MONGODB_RETRY_MAX_DELAY_MS,
+    },
+    jwt: {
+      secret: values.JWT_SECRET,
+      expiresIn: values.JWT_EXPIRES_IN,
+      refreshExpiresInDays: values.JWT_REFRESH_EXPIRES_IN,
+      cookieExpiresInDays: values.JWT_COOKIE_EXPIRES_IN,
+    },
+    corsOrigins: values.CORS_ORIGIN,
+    frontendUrl,
+    emailVerification: {
+      required: values.REQUIRE_EMAIL_VERIFICATION,
+      expiresIn: values.EMAIL_VERIFICATION_EXPIRES_IN,
+      resendCooldownSeconds: values.VERIFICATION_RESEND_COOLDOWN,
+    },
+    mail: {
+      transport: values.MAIL_TRANSPORT,
+      from: values.MAIL_FROM,
+      fileDir: values.MAIL_FILE_DIR,
+    },
+    passwordReset: { expiresInMinutes: values.PASSWORD_RESET_EXPIRES_IN },
+    twoFactor: {
+      issuer: values.TOTP_ISSUER,
+      challengeExpiresIn: values.MFA_CHALLENGE_EXPIRES_IN,
+    },
+    loginAttempts: {
+      maxAttempts: values.LOGIN_MAX_ATTEMPTS,
+      ipMaxAttempts: values.LOGIN_IP_MAX_ATTEMPTS,
+      lockMinutes: values.LOGIN_LOCK_MINUTES,
+      windowMinutes: values.LOGIN_ATTEMPT_WINDOW,
+    },
+    loginAlert: { expiresIn: values.LOGIN_ALERT_EXPIRES_IN },
+    accountDeletion: { graceDays: values.ACCOUNT_DELETION_GRACE_DAYS },
+    rateLimit: {
+      enabled: values.RATE_LIMIT_ENABLED,
+      store: values.RATE_LIMIT_STORE,
+    },
+    oauth: {
+      callbackBaseUrl: values.OAUTH_CALLBACK_BASE_URL || `http://localhost:${values.PORT}`,
+      requestTimeoutMs: values.OAUTH_REQUEST_TIMEOUT_MS,
+      google: {
+        clientId: values.OAUTH_GOOGLE_CLIENT_ID,
+        clientSecret: values.OAUTH_GOOGLE_CLIENT_SECRET,
+      },
+      github: {
+        clientId: values.OAUTH_GITHUB_CLIENT_ID,
+        clientSecret: values.OAUTH_GITHUB_CLIENT_SECRET,
+      },
+      oidc: {
+        name: values.OAUTH_OIDC_NAME,
+        issuer: values.OAUTH_OIDC_ISSUER,
+        clientId: values.OAUTH_OIDC_CLIENT_ID,
+        clientSecret: values.OAUTH_OIDC_CLIENT_SECRET,
+        scope: values.OAUTH_OIDC_SCOPE,
+      },
+    },
+    magicLink: { expiresInMinutes: values.MAGIC_LINK_EXPIRES_IN },
+    webauthn: {
+      rpID: values.WEBAUTHN_RP_ID,
+      rpName: values.WEBAUTHN_RP_NAME || values.TOTP_ISSUER,
+      origin: values.WEBAUTHN_ORIGIN || frontendUrl,
+    },
+    metrics: { token: values.METRICS_TOKEN },
+    shutdown: {
+      readinessDelayMs: values.SHUTDOWN_READINESS_DELAY_MS,
+      drainTimeoutSeconds: values.SHUTDOWN_DRAIN_TIMEOUT_SECONDS,
+    },
+  };
+};
+
+const deepFreeze = (object) => {
+  Object.values(object).forEach((value) => {
+    if (value && typeof value === 'object') {
+      deepFreeze(value);
+    }
+  });
+  return Object.freeze(object);
+};
+
+const buildConfig = () => {
+  try {
+    return deepFreeze(loadConfig());
+  } catch (error) {
+    logger.error('Invalid environment configuration', { errors: error.errors });
+    process.exit(1);
+  }
+};
+
+export const config = buildConfig();
+
+setLogLevel(config.logLevel);
+
+const matchesOrigin = (origin, allowed) => {
+  if (!isWildcard(allowed)) {
+    return origin === allowed;
+  }
+
+  // "https://*.example.com" admite cualquier subdominio, pero no el dominio raíz
+  const [prefix, suffix] = allowed.split('*');
+  if (origin.length <= allowed.length || !origin.startsWith(prefix) || !origin.endsWith(suffix)) {
+    return false;
+  }
+
+  const subdomain = origin.slice(prefix.length, -suffix.length);
+  return /^[a-z0-9-]+(\.[a-z0-9-]+)*$/i.test(subdomain);
+};
+
+/**
+ * Comprueba un origen contra CORS_ORIGIN. Lo comparten cors() y la
+ * protección CSRF para que ambos acepten exactamente los mismos orígenes.
+ */
+export const isAllowedOrigin = (origin) => {
+  return config.corsOrigins.some((allowed) => matchesOrigin(origin, allowed));
+};
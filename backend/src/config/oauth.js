@@ -0,0 +1,61 @@
+import { config } from './env.js';
+
+/**
+ * Proveedores de login social / OpenID Connect. Un proveedor se activa al
+ * definir su client id en el entorno. Los de tipo "oidc" obtienen sus
+ * endpoints del documento de discovery del issuer; los "oauth2" (GitHub)
+ * los declaran aquí junto con cómo obtener el perfil.
+ */
+const PROVIDERS = {
+  google: () => ({
+    name: 'Google',
+    type: 'oidc',
+    issuer: 'https://accounts.google.com',
+    clientId: config.oauth.google.clientId,
+    clientSecret: config.oauth.google.clientSecret,
+    scope: 'openid email profile',
+  }),
+  github: () => ({
+    name: 'GitHub',
+    type: 'oauth2',
+    clientId: config.oauth.github.clientId,
+    clientSecret: config.oauth.github.clientSecret,
+    scope: 'read:user user:email',
+    authorizationEndpoint: 'https://github.com/login/oauth/authorize',
+    tokenEndpoint: 'https://github.com/login/oauth/access_token',
+    userEndpoint: 'https://api.github.com/user',
+    emailsEndpoint: 'https://api.github.com/user/emails',
+  }),
+  // Cualquier issuer OIDC (Keycloak, Auth0, Okta, el mock local...)
+  oidc: () => ({
+    name: config.oauth.oidc.name,
+    type: 'oidc',
+    issuer: config.oauth.oidc.issuer,
+    clientId: config.oauth.oidc.clientId,
+    clientSecret: config.oauth.oidc.clientSecret,
+    scope: config.oauth.oidc.scope,
+  }),
+};
+
+const isConfigured = (provider) => {
+  return Boolean(provider.clientId && (provider.type !== 'oidc' || provider.issuer));
+};
+
+export const getOAuthProvider = (id) => {
+  const factory = Object.hasOwn(PROVIDERS, id) ? PROVIDERS[id] : null;
+  const provider = factory?.();
+
+  return provider && isConfigured(provider) ? { id, ...provider } : null;
+};
+
+export const getEnabledOAuthProviders = () => {
+  return Object.keys(PROVIDERS)
+    .map(getOAuthProvider)
+    .filter(Boolean)
+    .map(({ id, name }) => ({ id, name }));
+};
+
+// URL a la que el proveedor devuelve al usuario (debe registrarse en el proveedor)
+export const getOAuthCallbackUrl = (id) => {
+  return `${config.oauth.callbackBaseUrl}/api/auth/oauth/${id}/callback`;
+};
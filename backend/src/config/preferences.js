@@ -0,0 +1,15 @@
+/**
+ * Valores admitidos en las preferencias del usuario. "system" deja que el
+ * frontend siga el tema claro u oscuro del sistema operativo.
+ */
+export const THEMES = ['light', 'dark', 'system'];
+
+export const LOCALES = ['es', 'en'];
+
+// Campos que el usuario puede modificar con PATCH /api/users/me/preferences
+export const PREFERENCE_FIELDS = [
+  'theme',
+  'locale',
+  'notifications.updates',
+  'notifications.securityAlerts',
+];
@@ -0,0 +1,32 @@
+/**
+ * Roles y permisos. Cada rol hereda los permisos del anterior;
+ * para añadir uno nuevo basta con extender ROLE_PERMISSIONS.
+ */
+export const ROLES = ['user', 'moderator', 'admin'];
+
+const USER_PERMISSIONS = ['profile:read', 'profile:write'];
+
+const MODERATOR_PERMISSIONS = [...USER_PERMISSIONS, 'users:read'];
+
+const ADMIN_PERMISSIONS = [
+  ...MODERATOR_PERMISSIONS,
+  'users:write',
+  'users:manage-roles',
+  'audit:read',
+];
+
+// Todos los permisos existentes; también son los scopes de los tokens de acceso personal
+export const PERMISSIONS = ADMIN_PERMISSIONS;
+
+export const ROLE_PERMISSIONS = {
+  user: USER_PERMISSIONS,
+  moderator: MODERATOR_PERMISSIONS,
+  admin: ADMIN_PERMISSIONS,
+};
+
+export const getPermissions = (role) => ROLE_PERMISSIONS[role] || [];
+
+export const hasPermissions = (role, permissions) => {
+  const granted = getPermissions(role);
+  return permissions.every((permission) => granted.includes(permission));
+};
@@ -0,0 +1,16 @@
+import { config } from './env.js';
+
+/**
+ * Relying party de WebAuthn. El RP ID es el dominio (sin puerto ni esquema)
+ * al que quedan ligadas las passkeys y el origen es la URL exacta del
+ * frontend desde la que se ejecutan las ceremonias.
+ */
+export const getWebAuthnConfig = () => {
+  const { rpName, rpID, origin } = config.webauthn;
+
+  return {
+    rpName,
+    rpID: rpID || new URL(origin).hostname,
+    origin,
+  };
+};
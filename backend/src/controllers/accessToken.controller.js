@@ -0,0 +1,81 @@
+import crypto from 'crypto';
+import AccessToken from '../models/AccessToken.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { hashToken } from '../utils/jwt.js';
+import { recordAuditEvent } from '../utils/audit.js';
+import { hasPermissions } from '../config/roles.js';
+import { ACCESS_TOKEN_PREFIX } from '../middlewares/auth.js';
+import { AppError } from '../middlewares/errorHandler.js';
+
+const MAX_TOKENS_PER_USER = 20;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const getAccessTokens = asyncHandler(async (req, res, next) => {
+  const tokens = await AccessToken.find({ user: req.user._id }).sort('-createdAt');
+
+  res.status(200).json({
+    status: 'success',
+    results: tokens.length,
+    data: {
+      tokens,
+    },
+  });
+});
+
+export const createAccessToken = asyncHandler(async (req, res, next) => {
+  const { name, scopes, expiresInDays } = req.body;
+
+  // Un token nunca puede hacer más de lo que permite el rol de su dueño
+  if (!hasPermissions(req.user.role, scopes)) {
+    return next(new AppError('You cannot grant scopes beyond your own permissions', 403));
+  }
+
+  if ((await AccessToken.countDocuments({ user: req.user._id })) >= MAX_TOKENS_PER_USER) {
+    return next(
+      new AppError(`You can have at most ${MAX_TOKENS_PER_USER} personal access tokens`, 400)
+    );
+  }
+
+  const token = `${ACCESS_TOKEN_PREFIX}${crypto.randomBytes(32).toString('hex')}`;
+
+  const accessToken = await AccessToken.create({
+    user: req.user._id,
+    name,
+    tokenHash: hashToken(token),
+    prefix: token.slice(0, ACCESS_TOKEN_PREFIX.length + 6),
+    scopes: [...new Set(scopes)],
+    expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * DAY_MS) : null,
+  });
+
+  await recordAuditEvent(req, 'access_token.created', {
+    metadata: { name: accessToken.name, scopes: accessToken.scopes },
+  });
+
+  // El token en claro solo se devuelve ahora; después solo queda su hash
+  res.status(201).json({
+    status: 'success',
+    message: 'Access token created. Copy it now, it will not be shown again',
+    data: {
+      token,
+      accessToken,
+    },
+  });
+});
+
+export const revokeAccessToken = asyncHandler(async (req, res, next) => {
+  const accessToken = await AccessToken.findOneAndDelete({
+    _id: req.params.id,
+    user: req.user._id,
+  });
+
+  if (!accessToken) {
+    return next(new AppError('Access token not found', 404));
+  }
+
+  await recordAuditEvent(req, 'access_token.revoked', { metadata: { name: accessToken.name } });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Access token revoked successfully',
+  });
+});
@@ -0,0 +1,151 @@
+import User from '../models/User.js';
+import Session from '../models/Session.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { recordAuditEvent } from '../utils/audit.js';
+import { escapeRegex, getPagination } from '../utils/query.js';
+import { AppError } from '../middlewares/errorHandler.js';
+
+export const listUsers = asyncHandler(async (req, res, next) => {
+  const { search, role, status } = req.query;
+  const { page, limit } = getPagination(req.query);
+
+  const filter = {};
+
+  if (search) {
+    const pattern = new RegExp(escapeRegex(search.trim()), 'i');
+    filter.$or = [{ username: pattern }, { email: pattern }];
+  }
+  if (role) {
+    filter.role = role;
+  }
+  if (status) {
+    filter.isActive = status === 'active';
+  }
+
+  const [users, total] = await Promise.all([
+    User.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    User.countDocuments(filter),
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    results: users.length,
+    data: {
+      users,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    },
+  });
+});
+
+export const getUser = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return next(new AppError('User not found', 404));
+  }
+
+  const activeSessions = await Session.countDocuments({
+    user: user._id,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      user,
+      activeSessions,
+    },
+  });
+});
+
+export const updateUserStatus = asyncHandler(async (req, res, next) => {
+  if (req.user._id.equals(req.params.id)) {
+    return next(new AppError('You cannot change the status of your own account', 400));
+  }
+
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return next(new AppError('User not found', 404));
+  }
+
+  user.isActive = req.body.isActive;
+  await user.save({ validateBeforeSave: false });
+
+  // Una cuenta desactivada pierde todas sus sesiones inmediatamente
+  if (!user.isActive) {
+    await Session.revoke({ user: user._id });
+  }
+
+  await recordAuditEvent(req, user.isActive ? 'account.activated' : 'account.deactivated', {
+    user,
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: user.isActive ? 'User activated' : 'User deactivated',
+    data: {
+      user,
+    },
+  });
+});
+
+export const updateUserRole = asyncHandler(async (req, res, next) => {
+  if (req.user._id.equals(req.params.id)) {
+    return next(new AppError('You cannot change your own role', 400));
+  }
+
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return next(new AppError('User not found', 404));
+  }
+
+  const previousRole = user.role;
+  user.role = req.body.role;
+  await user.save({ validateBeforeSave: false });
+
+  await recordAuditEvent(req, 'account.role_changed', {
+    user,
+    metadata: { from: previousRole, to: user.role },
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: `Role updated to ${user.role}`,
+    data: {
+      user,
+    },
+  });
+});
+
+export const unlockUser = asyncHandler(async (req, res, next) => {
+  const user = await User.findByIdAndUpdate(
+    req.params.id,
+    { $set: { failedLoginAttempts: 0 }, $unset: { lastFailedLoginAt: 1, lockUntil: 1 } },
+    { new: true }
+  );
+
+  if (!user) {
+    return next(new AppError('User not found', 404));
+  }
+
+  await recordAuditEvent(req, 'account.unlocked', { user });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'User unlocked',
+    data: {
+      user,
+    },
+  });
+});
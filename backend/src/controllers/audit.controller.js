@@ -0,0 +1,89 @@
+import AuditEvent from '../models/AuditEvent.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { escapeRegex, getPagination } from '../utils/query.js';
+
+const findPage = async (filter, { page, limit }, { select, populate } = {}) => {
+  let events = AuditEvent.find(filter)
+    .sort({ createdAt: -1 })
+    .skip((page - 1) * limit)
+    .limit(limit);
+
+  if (select) {
+    events = events.select(select);
+  }
+  if (populate) {
+    events = events.populate(populate, 'username email');
+  }
+
+  const [items, total] = await Promise.all([events, AuditEvent.countDocuments(filter)]);
+
+  return {
+    events: items,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+  };
+};
+
+export const getMyActivity = asyncHandler(async (req, res, next) => {
+  const { events, pagination } = await findPage(
+    { user: req.user._id },
+    getPagination(req.query),
+    { select: '-user -userAgent' }
+  );
+
+  res.status(200).json({
+    status: 'success',
+    results: events.length,
+    data: {
+      events,
+      pagination,
+    },
+  });
+});
+
+export const listAuditEvents = asyncHandler(async (req, res, next) => {
+  const { user, type, outcome, email, ip, from, to } = req.query;
+  const filter = {};
+
+  if (user) {
+    filter.user = user;
+  }
+  if (type) {
+    filter.type = type;
+  }
+  if (outcome) {
+    filter.outcome = outcome;
+  }
+  if (email) {
+    filter.email = new RegExp(escapeRegex(email.trim()), 'i');
+  }
+  if (ip) {
+    filter.ip = ip.trim();
+  }
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) {
+      filter.createdAt.$gte = new Date(from);
+    }
+    if (to) {
+      filter.createdAt.$lte = new Date(to);
+    }
+  }
+
+  const { events, pagination } = await findPage(filter, getPagination(req.query), {
+    populate: 'user actor',
+  });
+
+  res.status(200).json({
+    status: 'success',
+    results: events.length,
+    data: {
+      events,
+      pagination,
+    },
+  });
+});
@@ -1,6 +1,25 @@
 import User from '../models/User.js';
+import RefreshToken from '../models/RefreshToken.js';
+import Session from '../models/Session.js';
 import { asyncHandler } from '../utils/asyncHandler.js';
-import { sendTokenResponse } from '../utils/jwt.js';
+import {
+  sendTokenResponse,
+  clearAuthCookies,
+  hashToken,
+  verifyPurposeToken,
+  passwordResetRequiredError,
+} from '../utils/jwt.js';
+import {
+  VERIFY_EMAIL_PURPOSE,
+  isEmailVerificationRequired,
+  getResendCooldown,
+  sendVerificationEmail,
+} from '../utils/emailVerification.js';
+import { getIpLockUntil, registerFailedIpAttempt, lockoutError } from '../utils/loginAttempts.js';
+import { recordAuditEvent } from '../utils/audit.js';
+import { createCsrfToken } from '../utils/csrf.js';
+import { authLogins, authLogouts, authRegistrations } from '../utils/metrics.js';
+import { generateMfaToken } from './twoFactor.controller.js';
 import { AppError } from '../middlewares/errorHandler.js';
 
 export const register = asyncHandler(async (req, res, next) => {
@@ -22,38 +41,176 @@ export const register = asyncHandler(async (req, res, next) => {
     password,
   });
 
-  sendTokenResponse(user, 201, res);
+  await recordAuditEvent(req, 'auth.register', { user, metadata: { method: 'password' } });
+  authRegistrations.inc();
+
+  // Un fallo del envío no debe impedir el registro: se puede reenviar después
+  try {
+    await sendVerificationEmail(user);
+  } catch (error) {
+    req.log.error('Error sending verification email', { err: error });
+  }
+
+  if (isEmailVerificationRequired()) {
+    return res.status(201).json({
+      status: 'success',
+      message: 'Registration successful. Please check your email to verify your account',
+      data: {
+        verificationRequired: true,
+        user: {
+          _id: user._id,
+          username: user.username,
+          email: user.email,
+          emailVerified: user.emailVerified,
+        },
+      },
+    });
+  }
+
+  await sendTokenResponse(user, 201, req, res);
 });
 
 export const login = asyncHandler(async (req, res, next) => {
   const { email, password } = req.body;
 
-  const user = await User.findOne({ email }).select('+password');
+  const ipLockUntil = getIpLockUntil(req.ip);
+  const user = ipLockUntil ? null : await User.findOne({ email }).select('+password');
+
+  const loginFailed = (reason) => {
+    authLogins.inc({ method: 'password', outcome: 'failure', reason });
+    return recordAuditEvent(req, 'auth.login', {
+      user,
+      email,
+      outcome: 'failure',
+      metadata: { method: 'password', reason },
+    });
+  };
+
+  if (ipLockUntil) {
+    await loginFailed('ip_locked');
+    return next(lockoutError(res, ipLockUntil));
+  }
 
   if (!user) {
-    return next(new AppError('Invalid credentials', 401));
+    await loginFailed('unknown_email');
+    const lockUntil = registerFailedIpAttempt(req.ip);
+    return next(
+      lockUntil ? lockoutError(res, lockUntil) : new AppError('Invalid credentials', 401)
+    );
   }
 
   if (!user.isActive) {
+    await loginFailed('account_deactivated');
     return next(new AppError('Account is deactivated', 401));
   }
 
+  // El bloqueo se aplica aunque la contraseña sea correcta
+  if (user.isLocked()) {
+    await loginFailed('account_locked');
+    return next(lockoutError(res, user.lockUntil));
+  }
+
   const isPasswordValid = await user.comparePassword(password);
 
   if (!isPasswordValid) {
-    return next(new AppError('Invalid credentials', 401));
+    await loginFailed('invalid_password');
+    const ipLock = registerFailedIpAttempt(req.ip);
+    const accountLock = await User.registerFailedLogin(user._id);
+    if (accountLock) {
+      await recordAuditEvent(req, 'account.locked', { user, metadata: { until: accountLock } });
+    }
+    const lockUntil = accountLock || ipLock;
+    return next(
+      lockUntil ? lockoutError(res, lockUntil) : new AppError('Invalid credentials', 401)
+    );
+  }
+
+  // setAuthCookies también lo impide; aquí se comprueba antes del 2FA y se registra
+  if (user.passwordResetRequired) {
+    await loginFailed('password_reset_required');
+    return next(passwordResetRequiredError());
+  }
+
+  if (isEmailVerificationRequired() && !user.emailVerified) {
+    await loginFailed('email_not_verified');
+    return next(new AppError('Please verify your email address before logging in', 403));
+  }
+
+  // Con 2FA activo no se emite sesión: se devuelve un desafío de corta duración.
+  // Los intentos fallidos se reinician cuando el segundo factor también es correcto.
+  if (user.twoFactor?.enabled) {
+    authLogins.inc({ method: 'password', outcome: 'mfa_required' });
+    return res.status(200).json({
+      status: 'success',
+      data: {
+        mfaRequired: true,
+        mfaToken: generateMfaToken(user, 'password'),
+      },
+    });
+  }
+
+  await user.resetLoginAttempts();
+  await recordAuditEvent(req, 'auth.login', { user, metadata: { method: 'password' } });
+  authLogins.inc({ method: 'password', outcome: 'success' });
+
+  await sendTokenResponse(user, 200, req, res);
+});
+
+export const refresh = asyncHandler(async (req, res, next) => {
+  const refreshToken = req.cookies.refreshToken || req.body?.refreshToken;
+
+  if (!refreshToken || refreshToken === 'none') {
+    return next(new AppError('No refresh token provided. Please log in again', 401));
+  }
+
+  const storedToken = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+
+  if (!storedToken || storedToken.expiresAt < new Date()) {
+    clearAuthCookies(res);
+    return next(new AppError('Invalid refresh token. Please log in again', 401));
+  }
+
+  // Marcar como usado de forma atómica: si ya estaba usado o revocado, es una reutilización
+  const consumedToken = await RefreshToken.findOneAndUpdate(
+    { _id: storedToken._id, usedAt: null, revokedAt: null },
+    { $set: { usedAt: new Date() } }
+  );
+
+  if (!consumedToken) {
+    await Session.revoke({ _id: storedToken.family });
+    await recordAuditEvent(req, 'session.token_reuse', {
+      user: storedToken.user,
+      outcome: 'failure',
+      metadata: { session: storedToken.family },
+    });
+    clearAuthCookies(res);
+    return next(new AppError('Refresh token reuse detected. Please log in again', 401));
+  }
+
+  const session = await Session.findById(storedToken.family);
+
+  if (!session || !session.isValid()) {
+    clearAuthCookies(res);
+    return next(new AppError('Session has been revoked. Please log in again', 401));
+  }
+
+  const user = await User.findById(storedToken.user);
+
+  if (!user || !user.isActive) {
+    await Session.revoke({ _id: session._id });
+    clearAuthCookies(res);
+    return next(new AppError('User no longer exists or is deactivated', 401));
   }
 
-  sendTokenResponse(user, 200, res);
+  await sendTokenResponse(user, 200, req, res, session);
 });
 
 export const logout = asyncHandler(async (req, res, next) => {
-  res.cookie('token', 'none', {
-    expires: new Date(Date.now() + 10 * 1000),
-    httpOnly: true,
-    secure: process.env.NODE_ENV === 'production',
-    sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'strict',
-  });
+  await Session.revoke({ _id: req.authSession._id });
+  await recordAuditEvent(req, 'auth.logout');
+  authLogouts.inc({ scope: 'current' });
+
+  clearAuthCookies(res);
 
   res.status(200).json({
     status: 'success',
@@ -61,6 +218,70 @@ export const logout = asyncHandler(async (req, res, next) => {
   });
 });
 
+export const verifyEmail = asyncHandler(async (req, res, next) => {
+  const token = req.method === 'GET' ? req.query.token : req.body?.token;
+
+  let decoded;
+  try {
+    decoded = verifyPurposeToken(token, VERIFY_EMAIL_PURPOSE);
+  } catch (error) {
+    return next(new AppError('Verification link is invalid or has expired', 400));
+  }
+
+  const user = await User.findById(decoded.id);
+
+  if (!user || user.email !== decoded.email) {
+    return next(new AppError('Verification link is invalid or has expired', 400));
+  }
+
+  if (!user.emailVerified) {
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save({ validateBeforeSave: false });
+    await recordAuditEvent(req, 'email.verified', { user });
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Email verified successfully',
+    data: {
+      user,
+    },
+  });
+});
+
+export const resendVerificationEmail = asyncHandler(async (req, res, next) => {
+  const { email } = req.body;
+
+  const user = await User.findOne({ email }).select('+verificationEmailSentAt');
+
+  // Limitado a un envío por cuenta cada VERIFICATION_RESEND_COOLDOWN segundos
+  const canSend =
+    user &&
+    !user.emailVerified &&
+    (!user.verificationEmailSentAt ||
+      Date.now() - user.verificationEmailSentAt.getTime() > getResendCooldown());
+
+  if (canSend) {
+    await sendVerificationEmail(user);
+  }
+
+  // Misma respuesta siempre para no revelar qué emails están registrados
+  res.status(200).json({
+    status: 'success',
+    message: 'If the email is registered and pending verification, a new link has been sent',
+  });
+});
+
+export const getCsrfToken = (req, res) => {
+  res.status(200).json({
+    status: 'success',
+    data: {
+      csrfToken: createCsrfToken(req, res),
+    },
+  });
+};
+
 export const getMe = asyncHandler(async (req, res, next) => {
   const user = await User.findById(req.user._id);
 
@@ -0,0 +1,42 @@
+import { getConnectionStatus, isDatabaseConnected } from '../config/database.js';
+import { isShuttingDown } from '../utils/shutdown.js';
+
+// Se mantiene por compatibilidad: equivale a /api/health/live
+export const getHealth = (req, res) => {
+  res.status(200).json({
+    status: 'success',
+    message: 'Server is running',
+    timestamp: new Date().toISOString(),
+  });
+};
+
+// Liveness: el proceso responde. No mira dependencias para que un fallo de
+// MongoDB no provoque reinicios en bucle.
+export const getLiveness = (req, res) => {
+  res.status(200).json({
+    status: 'success',
+    message: 'Server is alive',
+    uptime: Math.round(process.uptime()),
+    timestamp: new Date().toISOString(),
+  });
+};
+
+// Readiness: el proceso puede atender tráfico (MongoDB conectado y sin apagado en curso)
+export const getReadiness = (req, res) => {
+  const checks = { database: getConnectionStatus(), shuttingDown: isShuttingDown() };
+  const isReady = isDatabaseConnected() && !checks.shuttingDown;
+
+  let message = 'Server is ready';
+  if (checks.shuttingDown) {
+    message = 'Server is shutting down';
+  } else if (!isReady) {
+    message = 'Database is not connected';
+  }
+
+  res.status(isReady ? 200 : 503).json({
+    status: isReady ? 'success' : 'error',
+    message,
+    checks,
+    timestamp: new Date().toISOString(),
+  });
+};
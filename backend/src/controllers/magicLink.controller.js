@@ -0,0 +1,152 @@
+import crypto from 'crypto';
+import User from '../models/User.js';
+import MagicLink from '../models/MagicLink.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { sendTokenResponse, hashToken, getCookieOptions } from '../utils/jwt.js';
+import { sendMail } from '../utils/mailer.js';
+import { buildFrontendUrl, magicLinkEmail } from '../utils/emailTemplates.js';
+import { lockoutError } from '../utils/loginAttempts.js';
+import { recordAuditEvent } from '../utils/audit.js';
+import { authLogins } from '../utils/metrics.js';
+import { generateMfaToken } from './twoFactor.controller.js';
+import { AppError } from '../middlewares/errorHandler.js';
+import { config } from '../config/env.js';
+
+// Cookie que ata el enlace al navegador que lo pidió
+const BROWSER_COOKIE = 'magicLinkBrowser';
+const BROWSER_COOKIE_PATH = '/api/auth/magic-link';
+
+const getExpiresInMinutes = () => config.magicLink.expiresInMinutes;
+
+export const requestMagicLink = asyncHandler(async (req, res, next) => {
+  const { email } = req.body;
+  const expiresInMinutes = getExpiresInMinutes();
+  const expiresAt = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+
+  // Se reutiliza la cookie existente para que varios enlaces pedidos seguidos sigan valiendo
+  const browserId = /^[a-f0-9]{64}$/.test(req.cookies[BROWSER_COOKIE] || '')
+    ? req.cookies[BROWSER_COOKIE]
+    : crypto.randomBytes(32).toString('hex');
+
+  res.cookie(BROWSER_COOKIE, browserId, {
+    ...getCookieOptions(expiresAt),
+    path: BROWSER_COOKIE_PATH,
+  });
+
+  const user = await User.findOne({ email });
+
+  // Sin cuenta también se envía: la cuenta se crea al usar el enlace
+  if (!user || user.isActive) {
+    const token = crypto.randomBytes(32).toString('hex');
+
+    await MagicLink.create({
+      email,
+      tokenHash: hashToken(token),
+      browserHash: hashToken(browserId),
+      expiresAt,
+    });
+
+    try {
+      await sendMail({
+        to: email,
+        ...magicLinkEmail({
+          username: user?.username,
+          url: buildFrontendUrl('/magic-link', { token }),
+          expiresInMinutes,
+        }),
+      });
+    } catch (error) {
+      req.log.error('Error sending magic link email', { err: error });
+    }
+  }
+
+  // Misma respuesta siempre, para no revelar qué emails están registrados
+  res.status(200).json({
+    status: 'success',
+    message: 'If that email can be used to sign in, a sign-in link has been sent',
+  });
+});
+
+export const verifyMagicLink = asyncHandler(async (req, res, next) => {
+  const link = await MagicLink.findOne({
+    tokenHash: hashToken(req.body.token),
+    usedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+
+  if (!link) {
+    return next(new AppError('Sign-in link is invalid or has expired', 400));
+  }
+
+  const browserId = req.cookies[BROWSER_COOKIE];
+
+  if (!browserId || hashToken(browserId) !== link.browserHash) {
+    return next(
+      new AppError('Open the sign-in link in the same browser where you requested it', 400)
+    );
+  }
+
+  // Consumo atómico: dos peticiones simultáneas no pueden usar el mismo enlace
+  const consumed = await MagicLink.findOneAndUpdate(
+    { _id: link._id, usedAt: null },
+    { $set: { usedAt: new Date() } }
+  );
+
+  if (!consumed) {
+    return next(new AppError('Sign-in link is invalid or has expired', 400));
+  }
+
+  let user = await User.findOne({ email: link.email });
+
+  if (!user) {
+    user = await User.create({
+      username: await User.generateAvailableUsername(link.email.split('@')[0]),
+      email: link.email,
+      emailVerified: true,
+      emailVerifiedAt: new Date(),
+    });
+    await recordAuditEvent(req, 'auth.register', { user, metadata: { method: 'magic_link' } });
+  }
+
+  const loginFailed = (reason) => {
+    authLogins.inc({ method: 'magic_link', outcome: 'failure', reason });
+    return recordAuditEvent(req, 'auth.login', {
+      user,
+      outcome: 'failure',
+      metadata: { method: 'magic_link', reason },
+    });
+  };
+
+  if (!user.isActive) {
+    await loginFailed('account_deactivated');
+    return next(new AppError('Account is deactivated', 401));
+  }
+
+  if (user.isLocked()) {
+    await loginFailed('account_locked');
+    return next(lockoutError(res, user.lockUntil));
+  }
+
+  // Abrir el enlace demuestra que el email es suyo
+  if (!user.emailVerified) {
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save({ validateBeforeSave: false });
+  }
+
+  if (user.twoFactor?.enabled) {
+    authLogins.inc({ method: 'magic_link', outcome: 'mfa_required' });
+    return res.status(200).json({
+      status: 'success',
+      data: {
+        mfaRequired: true,
+        mfaToken: generateMfaToken(user, 'magic_link'),
+      },
+    });
+  }
+
+  await user.resetLoginAttempts();
+  await sendTokenResponse(user, 200, req, res);
+  await recordAuditEvent(req, 'auth.login', { user, metadata: { method: 'magic_link' } });
+  authLogins.inc({ method: 'magic_link', outcome: 'success' });
+});
@@ -0,0 +1,6 @@
+import { METRICS_CONTENT_TYPE, renderMetrics } from '../utils/metrics.js';
+
+export const getMetrics = (req, res) => {
+  res.set('Content-Type', METRICS_CONTENT_TYPE);
+  res.status(200).send(renderMetrics());
+};
@@ -0,0 +1,298 @@
+import User from '../models/User.js';
+import Session from '../models/Session.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { setAuthCookies, generatePurposeToken, verifyPurposeToken } from '../utils/jwt.js';
+import { buildFrontendUrl } from '../utils/emailTemplates.js';
+import {
+  generatePkcePair,
+  generateRandomToken,
+  buildAuthorizationUrl,
+  fetchOAuthProfile,
+} from '../utils/oauth.js';
+import {
+  getOAuthProvider,
+  getEnabledOAuthProviders,
+  getOAuthCallbackUrl,
+} from '../config/oauth.js';
+import { recordAuditEvent } from '../utils/audit.js';
+import { authLogins } from '../utils/metrics.js';
+import { setMfaCookie } from './twoFactor.controller.js';
+import { AppError, ERROR_CODES } from '../middlewares/errorHandler.js';
+import { config } from '../config/env.js';
+
+const OAUTH_STATE_PURPOSE = 'oauth-state';
+const STATE_COOKIE = 'oauthState';
+const STATE_COOKIE_PATH = '/api/auth/oauth';
+const STATE_TTL_MS = 10 * 60 * 1000;
+
+// "lax": la cookie tiene que viajar en la redirección de vuelta desde el proveedor
+const getStateCookieOptions = () => ({
+  httpOnly: true,
+  secure: config.isProduction,
+  sameSite: 'lax',
+  path: STATE_COOKIE_PATH,
+});
+
+/**
+ * Prepara la redirección al proveedor. El state, el nonce y el code_verifier
+ * de PKCE se guardan firmados en una cookie de corta duración para validar
+ * el callback.
+ */
+const startAuthorization = async (provider, res, { mode, userId }) => {
+  const { codeVerifier, codeChallenge } = generatePkcePair();
+  const state = generateRandomToken();
+  const nonce = generateRandomToken();
+
+  const url = await buildAuthorizationUrl(provider, {
+    state,
+    nonce,
+    codeChallenge,
+    redirectUri: getOAuthCallbackUrl(provider.id),
+  });
+
+  const flow = generatePurposeToken(
+    OAUTH_STATE_PURPOSE,
+    { provider: provider.id, state, nonce, codeVerifier, mode, userId },
+    STATE_TTL_MS / 1000
+  );
+
+  res.cookie(STATE_COOKIE, flow, { ...getStateCookieOptions(), maxAge: STATE_TTL_MS });
+
+  return url;
+};
+
+const findByIdentity = (providerId, subject) => {
+  return User.findOne({ oauthAccounts: { $elemMatch: { provider: providerId, subject } } });
+};
+
+const buildIdentity = (providerId, profile) => ({
+  provider: providerId,
+  subject: profile.subject,
+  email: profile.email,
+  linkedAt: new Date(),
+});
+
+// Los errores del flujo se comunican al frontend con un código en la URL
+const redirectWithError = (res, path, code) => {
+  res.redirect(buildFrontendUrl(path, { oauthError: code }));
+};
+
+const completeLogin = async (req, res, provider, profile) => {
+  const metadata = { method: 'oauth', provider: provider.id };
+  let user = await findByIdentity(provider.id, profile.subject);
+
+  const loginFailed = async (code) => {
+    authLogins.inc({ method: 'oauth', outcome: 'failure', reason: code });
+    await recordAuditEvent(req, 'auth.login', {
+      user,
+      email: profile.email,
+      outcome: 'failure',
+      metadata: { ...metadata, reason: code },
+    });
+    redirectWithError(res, '/login', code);
+  };
+
+  if (!user) {
+    // Solo se confía en el email si el proveedor lo ha verificado
+    if (!profile.email || !profile.emailVerified) {
+      return loginFailed('email_not_verified');
+    }
+
+    user = await User.findOne({ email: profile.email });
+
+    if (user) {
+      // Si el email local no estaba verificado, quien registró la cuenta pudo no ser
+      // su dueño: se descarta su contraseña y sus sesiones antes de vincularla
+      if (!user.emailVerified) {
+        await User.updateOne({ _id: user._id }, { $unset: { password: 1 } });
+        await Session.revoke({ user: user._id });
+        user.emailVerified = true;
+        user.emailVerifiedAt = new Date();
+      }
+      user.oauthAccounts.push(buildIdentity(provider.id, profile));
+      await user.save({ validateBeforeSave: false });
+      await recordAuditEvent(req, 'oauth.linked', { user, metadata: { provider: provider.id } });
+    } else {
+      user = await User.create({
+        username: await User.generateAvailableUsername(
+          profile.name || profile.email.split('@')[0]
+        ),
+        email: profile.email,
+        emailVerified: true,
+        emailVerifiedAt: new Date(),
+        oauthAccounts: [buildIdentity(provider.id, profile)],
+      });
+      await recordAuditEvent(req, 'auth.register', { user, metadata });
+    }
+  }
+
+  if (!user.isActive) {
+    return loginFailed('account_deactivated');
+  }
+
+  if (user.isLocked()) {
+    return loginFailed('account_locked');
+  }
+
+  // Con 2FA activo el login se completa en el frontend con el segundo factor
+  if (user.twoFactor?.enabled) {
+    authLogins.inc({ method: 'oauth', outcome: 'mfa_required' });
+    setMfaCookie(res, user, 'oauth');
+    return res.redirect(buildFrontendUrl('/login', { mfa: 'required' }));
+  }
+
+  await user.resetLoginAttempts();
+
+  try {
+    await setAuthCookies(user, req, res);
+  } catch (error) {
+    if (error.errorCode === ERROR_CODES.PASSWORD_RESET_REQUIRED) {
+      return loginFailed('password_reset_required');
+    }
+    throw error;
+  }
+
+  await recordAuditEvent(req, 'auth.login', { user, metadata });
+  authLogins.inc({ method: 'oauth', outcome: 'success' });
+
+  res.redirect(buildFrontendUrl('/profile'));
+};
+
+const completeLink = async (req, res, provider, profile, userId) => {
+  const user = await User.findById(userId);
+
+  if (!user || !user.isActive) {
+    return redirectWithError(res, '/settings', 'invalid_state');
+  }
+
+  const owner = await findByIdentity(provider.id, profile.subject);
+
+  if (owner && !owner._id.equals(user._id)) {
+    return redirectWithError(res, '/settings', 'already_linked');
+  }
+
+  if (!owner) {
+    // Una sola identidad por proveedor
+    user.oauthAccounts = user.oauthAccounts.filter((account) => account.provider !== provider.id);
+    user.oauthAccounts.push(buildIdentity(provider.id, profile));
+    await user.save({ validateBeforeSave: false });
+    await recordAuditEvent(req, 'oauth.linked', { user, metadata: { provider: provider.id } });
+  }
+
+  res.redirect(buildFrontendUrl('/settings', { linked: provider.id }));
+};
+
+export const getProviders = (req, res) => {
+  res.status(200).json({
+    status: 'success',
+    data: {
+      providers: getEnabledOAuthProviders(),
+    },
+  });
+};
+
+export const startOAuthLogin = asyncHandler(async (req, res, next) => {
+  const provider = getOAuthProvider(req.params.provider);
+
+  if (!provider) {
+    return next(new AppError('Unknown sign-in provider', 404));
+  }
+
+  res.redirect(await startAuthorization(provider, res, { mode: 'login' }));
+});
+
+export const startOAuthLink = asyncHandler(async (req, res, next) => {
+  const provider = getOAuthProvider(req.params.provider);
+
+  if (!provider) {
+    return next(new AppError('Unknown sign-in provider', 404));
+  }
+
+  const url = await startAuthorization(provider, res, {
+    mode: 'link',
+    userId: req.user._id.toString(),
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      url,
+    },
+  });
+});
+
+export const oauthCallback = asyncHandler(async (req, res, next) => {
+  const rawFlow = req.cookies[STATE_COOKIE];
+  res.clearCookie(STATE_COOKIE, getStateCookieOptions());
+
+  let flow;
+  try {
+    flow = verifyPurposeToken(rawFlow, OAUTH_STATE_PURPOSE);
+  } catch (error) {
+    return redirectWithError(res, '/login', 'invalid_state');
+  }
+
+  const failurePath = flow.mode === 'link' ? '/settings' : '/login';
+  const provider = getOAuthProvider(req.params.provider);
+  const { code, state, error } = req.query;
+
+  if (!provider || provider.id !== flow.provider || state !== flow.state) {
+    return redirectWithError(res, failurePath, 'invalid_state');
+  }
+
+  if (error || !code) {
+    return redirectWithError(res, failurePath, 'access_denied');
+  }
+
+  let profile;
+  try {
+    profile = await fetchOAuthProfile(provider, {
+      code,
+      codeVerifier: flow.codeVerifier,
+      nonce: flow.nonce,
+      redirectUri: getOAuthCallbackUrl(provider.id),
+    });
+  } catch (err) {
+    req.log.error('OAuth provider error', { provider: provider.id, err });
+    return redirectWithError(res, failurePath, 'provider_error');
+  }
+
+  if (flow.mode === 'link') {
+    return completeLink(req, res, provider, profile, flow.userId);
+  }
+
+  await completeLogin(req, res, provider, profile);
+});
+
+export const unlinkOAuthProvider = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user._id).select('+password');
+  const isLinked = user.oauthAccounts.some((account) => account.provider === req.params.provider);
+
+  if (!isLinked) {
+    return next(new AppError('This provider is not linked to your account', 404));
+  }
+
+  // Nunca dejar la cuenta sin forma de iniciar sesión
+  if (!user.password && user.oauthAccounts.length === 1 && !user.passkeys.length) {
+    return next(
+      new AppError(
+        'Set a password (via "forgot password") before unlinking your only sign-in method',
+        400
+      )
+    );
+  }
+
+  user.oauthAccounts = user.oauthAccounts.filter(
+    (account) => account.provider !== req.params.provider
+  );
+  await user.save({ validateBeforeSave: false });
+  await recordAuditEvent(req, 'oauth.unlinked', { metadata: { provider: req.params.provider } });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Provider unlinked successfully',
+    data: {
+      user,
+    },
+  });
+});
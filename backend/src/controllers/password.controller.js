@@ -0,0 +1,113 @@
+import User from '../models/User.js';
+import Session from '../models/Session.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { hashToken, sendTokenResponse } from '../utils/jwt.js';
+import { sendMail } from '../utils/mailer.js';
+import { buildFrontendUrl, passwordResetEmail } from '../utils/emailTemplates.js';
+import { recordAuditEvent } from '../utils/audit.js';
+import { AppError } from '../middlewares/errorHandler.js';
+import { config } from '../config/env.js';
+
+// Si el envío falla se descarta el token: no debe quedar uno válido que nadie recibió
+export const sendPasswordResetEmail = async (req, user) => {
+  const resetToken = user.createPasswordResetToken();
+  await user.save({ validateBeforeSave: false });
+
+  try {
+    await sendMail({
+      to: user.email,
+      ...passwordResetEmail({
+        username: user.username,
+        url: buildFrontendUrl(`/reset-password/${resetToken}`),
+        expiresInMinutes: config.passwordReset.expiresInMinutes,
+      }),
+    });
+  } catch (error) {
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save({ validateBeforeSave: false });
+    req.log.error('Error sending password reset email', { err: error });
+  }
+};
+
+export const forgotPassword = asyncHandler(async (req, res, next) => {
+  const { email } = req.body;
+
+  const user = await User.findOne({ email });
+
+  if (user && user.isActive) {
+    await recordAuditEvent(req, 'password.reset_requested', { user });
+    await sendPasswordResetEmail(req, user);
+  }
+
+  // Misma respuesta exista o no la cuenta, para no revelar qué emails están registrados
+  res.status(200).json({
+    status: 'success',
+    message: 'If an account exists for that email, a password reset link has been sent',
+  });
+});
+
+export const resetPassword = asyncHandler(async (req, res, next) => {
+  const user = await User.findOne({
+    passwordResetToken: hashToken(req.params.token),
+    passwordResetExpires: { $gt: new Date() },
+  }).select('+password');
+
+  if (!user) {
+    return next(new AppError('Password reset link is invalid or has expired', 400));
+  }
+
+  // El hook pre('save') se encarga de hashear la nueva contraseña
+  user.password = req.body.password;
+  user.passwordResetToken = undefined;
+  user.passwordResetExpires = undefined;
+  user.passwordResetRequired = false;
+
+  // Haber recibido el enlace demuestra el control del email
+  if (!user.emailVerified) {
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+  }
+
+  await user.save();
+
+  // Cerrar todas las sesiones abiertas con la contraseña anterior
+  await Session.revoke({ user: user._id });
+  await recordAuditEvent(req, 'password.reset', { user });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Password has been reset successfully. Please log in with your new password',
+  });
+});
+
+export const changePassword = asyncHandler(async (req, res, next) => {
+  const { currentPassword, newPassword } = req.body;
+
+  const user = await User.findById(req.user._id).select('+password');
+
+  // Sin contraseña actual (enlace mágico u OAuth) la primera se fija con "forgot password"
+  if (!user.password) {
+    return next(new AppError('Set a password (via "forgot password") before changing it', 400));
+  }
+
+  const isPasswordValid = await user.comparePassword(currentPassword);
+
+  if (!isPasswordValid) {
+    await recordAuditEvent(req, 'password.changed', {
+      outcome: 'failure',
+      metadata: { reason: 'invalid_password' },
+    });
+    return next(new AppError('Current password is incorrect', 400));
+  }
+
+  user.password = newPassword;
+  user.passwordResetRequired = false;
+  await user.save();
+  await recordAuditEvent(req, 'password.changed');
+
+  // Cerrar el resto de sesiones; la actual continúa con tokens nuevos
+  await Session.revoke({ user: user._id, _id: { $ne: req.authSession._id } });
+
+  await sendTokenResponse(user, 200, req, res, req.authSession);
+});
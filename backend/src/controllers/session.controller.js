@@ -0,0 +1,103 @@
+import User from '../models/User.js';
+import Session from '../models/Session.js';
+import KnownDevice from '../models/KnownDevice.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { clearAuthCookies, verifyPurposeToken } from '../utils/jwt.js';
+import { recordAuditEvent } from '../utils/audit.js';
+import { authLogouts } from '../utils/metrics.js';
+import { NOT_ME_PURPOSE } from '../utils/knownDevices.js';
+import { sendPasswordResetEmail } from './password.controller.js';
+import { AppError } from '../middlewares/errorHandler.js';
+
+export const getSessions = asyncHandler(async (req, res, next) => {
+  const sessions = await Session.find({
+    user: req.user._id,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  })
+    .select('-userAgent')
+    .sort({ lastSeenAt: -1 });
+
+  res.status(200).json({
+    status: 'success',
+    results: sessions.length,
+    data: {
+      sessions: sessions.map((session) => ({
+        ...session.toObject(),
+        current: session._id.equals(req.authSession._id),
+      })),
+    },
+  });
+});
+
+export const revokeSession = asyncHandler(async (req, res, next) => {
+  const revoked = await Session.revoke({ _id: req.params.id, user: req.user._id });
+
+  if (!revoked) {
+    return next(new AppError('Session not found', 404));
+  }
+
+  await recordAuditEvent(req, 'session.revoked', { metadata: { session: req.params.id } });
+
+  // Revocar la sesión actual equivale a cerrar sesión
+  if (req.authSession._id.equals(req.params.id)) {
+    clearAuthCookies(res);
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Session revoked successfully',
+  });
+});
+
+export const logoutAll = asyncHandler(async (req, res, next) => {
+  const revoked = await Session.revoke({ user: req.user._id });
+  await recordAuditEvent(req, 'auth.logout_all', { metadata: { revoked } });
+  authLogouts.inc({ scope: 'all' });
+
+  clearAuthCookies(res);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Logged out from all devices',
+    data: {
+      revoked,
+    },
+  });
+});
+
+/**
+ * Enlace "No fui yo" del aviso de nuevo dispositivo: cierra esa sesión, olvida
+ * el dispositivo y obliga a restablecer la contraseña, enviando el enlace para
+ * hacerlo.
+ */
+export const reportUnrecognizedLogin = asyncHandler(async (req, res, next) => {
+  let decoded;
+  try {
+    decoded = verifyPurposeToken(req.body.token, NOT_ME_PURPOSE);
+  } catch (error) {
+    return next(new AppError('This link is invalid or has expired', 400));
+  }
+
+  const user = await User.findById(decoded.id);
+
+  if (!user) {
+    return next(new AppError('This link is invalid or has expired', 400));
+  }
+
+  await Session.revoke({ _id: decoded.sid, user: user._id });
+  await KnownDevice.deleteOne({ _id: decoded.did, user: user._id });
+
+  user.passwordResetRequired = true;
+  await sendPasswordResetEmail(req, user);
+
+  await recordAuditEvent(req, 'session.reported', {
+    user,
+    metadata: { session: decoded.sid },
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'The session has been closed. Check your email to reset your password',
+  });
+});
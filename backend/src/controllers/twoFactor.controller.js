@@ -0,0 +1,225 @@
+import QRCode from 'qrcode';
+import User from '../models/User.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import {
+  sendTokenResponse,
+  generatePurposeToken,
+  verifyPurposeToken,
+  getCookieOptions,
+} from '../utils/jwt.js';
+import { generateSecret, verifyTotp, buildOtpauthUri } from '../utils/totp.js';
+import { registerFailedIpAttempt, lockoutError } from '../utils/loginAttempts.js';
+import { recordAuditEvent } from '../utils/audit.js';
+import { authLogins } from '../utils/metrics.js';
+import { AppError } from '../middlewares/errorHandler.js';
+import { config } from '../config/env.js';
+
+export const MFA_PURPOSE = 'mfa';
+
+const MFA_COOKIE = 'mfaChallenge';
+const MFA_COOKIE_PATH = '/api/auth/2fa';
+
+// Desafío de corta duración que se canjea en /2fa/verify con el segundo factor.
+// `method` es el primer factor usado, para el registro de auditoría.
+export const generateMfaToken = (user, method) => {
+  return generatePurposeToken(
+    MFA_PURPOSE,
+    { id: user._id, method },
+    config.twoFactor.challengeExpiresIn
+  );
+};
+
+/**
+ * Para los flujos que terminan en una redirección (OAuth) el desafío va en una
+ * cookie httpOnly solo para /2fa: en la URL quedaría en el historial, en el
+ * Referer y en los logs de los proxies.
+ */
+export const setMfaCookie = (res, user, method) => {
+  res.cookie(MFA_COOKIE, generateMfaToken(user, method), {
+    ...getCookieOptions(),
+    path: MFA_COOKIE_PATH,
+  });
+};
+
+const clearMfaCookie = (res) => {
+  res.clearCookie(MFA_COOKIE, { ...getCookieOptions(), path: MFA_COOKIE_PATH });
+};
+
+const SECOND_FACTOR_FIELDS =
+  '+twoFactor.secret +twoFactor.backupCodes +twoFactor.lastUsedStep';
+
+export const setupTwoFactor = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user._id);
+
+  if (user.twoFactor.enabled) {
+    return next(new AppError('Two-factor authentication is already enabled', 400));
+  }
+
+  const secret = generateSecret();
+  const otpauthUrl = buildOtpauthUri({
+    secret,
+    accountName: user.email,
+    issuer: config.twoFactor.issuer,
+  });
+
+  // El secreto queda pendiente hasta que el usuario confirme un código válido
+  user.twoFactor.pendingSecret = secret;
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      secret,
+      otpauthUrl,
+      qrCode: await QRCode.toDataURL(otpauthUrl),
+    },
+  });
+});
+
+export const enableTwoFactor = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user._id).select('+twoFactor.pendingSecret');
+
+  if (user.twoFactor.enabled) {
+    return next(new AppError('Two-factor authentication is already enabled', 400));
+  }
+
+  if (!user.twoFactor.pendingSecret) {
+    return next(new AppError('Start the two-factor setup first', 400));
+  }
+
+  const step = verifyTotp(user.twoFactor.pendingSecret, req.body.code);
+
+  if (step === null) {
+    return next(new AppError('Invalid verification code', 400));
+  }
+
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.enabled = true;
+  user.twoFactor.enabledAt = new Date();
+  user.twoFactor.lastUsedStep = step;
+  const backupCodes = user.generateBackupCodes();
+
+  await user.save({ validateBeforeSave: false });
+  await recordAuditEvent(req, 'two_factor.enabled');
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Two-factor authentication enabled',
+    data: {
+      backupCodes,
+    },
+  });
+});
+
+export const disableTwoFactor = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user._id).select(`+password ${SECOND_FACTOR_FIELDS}`);
+
+  if (!user.twoFactor.enabled) {
+    return next(new AppError('Two-factor authentication is not enabled', 400));
+  }
+
+  // Cuentas creadas con enlace mágico u OAuth: no hay contraseña que comprobar
+  if (!user.password) {
+    return next(
+      new AppError(
+        'Set a password (via "forgot password") before disabling two-factor authentication',
+        400
+      )
+    );
+  }
+
+  const isPasswordValid = await user.comparePassword(req.body.password);
+
+  if (!isPasswordValid || !user.verifySecondFactor(req.body.code)) {
+    await recordAuditEvent(req, 'two_factor.disabled', {
+      outcome: 'failure',
+      metadata: { reason: 'invalid_credentials' },
+    });
+    return next(new AppError('Invalid password or verification code', 400));
+  }
+
+  user.twoFactor = { enabled: false };
+  await user.save({ validateBeforeSave: false });
+  await recordAuditEvent(req, 'two_factor.disabled');
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Two-factor authentication disabled',
+  });
+});
+
+export const regenerateBackupCodes = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user._id).select(SECOND_FACTOR_FIELDS);
+
+  if (!user.twoFactor.enabled) {
+    return next(new AppError('Two-factor authentication is not enabled', 400));
+  }
+
+  if (!user.verifySecondFactor(req.body.code)) {
+    return next(new AppError('Invalid verification code', 400));
+  }
+
+  const backupCodes = user.generateBackupCodes();
+  await user.save({ validateBeforeSave: false });
+  await recordAuditEvent(req, 'two_factor.backup_codes_regenerated');
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      backupCodes,
+    },
+  });
+});
+
+export const verifyTwoFactorLogin = asyncHandler(async (req, res, next) => {
+  const { code } = req.body;
+  const mfaToken = req.body.mfaToken || req.cookies[MFA_COOKIE];
+
+  let decoded;
+  try {
+    decoded = verifyPurposeToken(mfaToken, MFA_PURPOSE);
+  } catch (error) {
+    clearMfaCookie(res);
+    return next(new AppError('Two-factor challenge expired. Please log in again', 401));
+  }
+
+  const user = await User.findById(decoded.id).select(SECOND_FACTOR_FIELDS);
+
+  if (!user || !user.isActive || !user.twoFactor.enabled) {
+    return next(new AppError('Two-factor challenge expired. Please log in again', 401));
+  }
+
+  const method = decoded.method || 'password';
+
+  // Los códigos erróneos cuentan para el bloqueo igual que las contraseñas
+  if (user.isLocked()) {
+    authLogins.inc({ method, outcome: 'failure', reason: 'account_locked' });
+    return next(lockoutError(res, user.lockUntil));
+  }
+
+  if (!user.verifySecondFactor(code)) {
+    authLogins.inc({ method, outcome: 'failure', reason: 'invalid_code' });
+    await recordAuditEvent(req, 'auth.login', {
+      user,
+      outcome: 'failure',
+      metadata: { method, twoFactor: true, reason: 'invalid_code' },
+    });
+    const ipLock = registerFailedIpAttempt(req.ip);
+    const accountLock = await User.registerFailedLogin(user._id);
+    if (accountLock) {
+      await recordAuditEvent(req, 'account.locked', { user, metadata: { until: accountLock } });
+    }
+    const lockUntil = accountLock || ipLock;
+    return next(
+      lockUntil ? lockoutError(res, lockUntil) : new AppError('Invalid verification code', 401)
+    );
+  }
+
+  await user.save({ validateBeforeSave: false });
+  await user.resetLoginAttempts();
+  clearMfaCookie(res);
+  await sendTokenResponse(user, 200, req, res);
+  await recordAuditEvent(req, 'auth.login', { user, metadata: { method, twoFactor: true } });
+  authLogins.inc({ method, outcome: 'success' });
+});
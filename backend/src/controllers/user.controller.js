@@ -0,0 +1,236 @@
+import User from '../models/User.js';
+import Session from '../models/Session.js';
+import KnownDevice from '../models/KnownDevice.js';
+import AuditEvent from '../models/AuditEvent.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { generatePurposeToken, verifyPurposeToken, clearAuthCookies } from '../utils/jwt.js';
+import { sendMail } from '../utils/mailer.js';
+import {
+  buildFrontendUrl,
+  emailChangeEmail,
+  accountDeletionEmail,
+} from '../utils/emailTemplates.js';
+import { recordAuditEvent } from '../utils/audit.js';
+import { scheduleAccountDeletion } from '../utils/accountDeletion.js';
+import { PREFERENCE_FIELDS } from '../config/preferences.js';
+import { AppError } from '../middlewares/errorHandler.js';
+import { config } from '../config/env.js';
+
+const CHANGE_EMAIL_PURPOSE = 'change-email';
+
+const sendEmailChangeConfirmation = async (user, newEmail) => {
+  const expiresIn = config.emailVerification.expiresIn;
+  const token = generatePurposeToken(
+    CHANGE_EMAIL_PURPOSE,
+    { id: user._id, email: newEmail },
+    expiresIn
+  );
+
+  await sendMail({
+    to: newEmail,
+    ...emailChangeEmail({
+      username: user.username,
+      url: buildFrontendUrl('/confirm-email', { token }),
+      expiresIn,
+    }),
+  });
+};
+
+export const updateMe = asyncHandler(async (req, res, next) => {
+  const { username, email } = req.body;
+
+  // Cambiar el email permite recuperar la cuenta con un reset de contraseña:
+  // igual que el resto de credenciales, exige una sesión iniciada
+  if (email !== undefined && req.accessToken) {
+    return next(
+      new AppError(
+        'Changing the email requires signing in; access tokens cannot be used for it',
+        403
+      )
+    );
+  }
+
+  const user = await User.findById(req.user._id);
+
+  if (username !== undefined) {
+    user.username = username;
+  }
+
+  // El nuevo email queda pendiente hasta que se confirme desde esa dirección
+  let emailChangePending = false;
+  if (email !== undefined && email !== user.email) {
+    if (await User.exists({ email })) {
+      return next(new AppError('Email already registered', 400));
+    }
+    user.pendingEmail = email;
+    emailChangePending = true;
+  } else if (email === user.email) {
+    user.pendingEmail = undefined;
+  }
+
+  // Un username duplicado llega al errorHandler como error 11000 (handleDuplicateFieldsDB)
+  await user.save();
+
+  if (emailChangePending) {
+    await sendEmailChangeConfirmation(user, email);
+    await recordAuditEvent(req, 'email.change_requested', { metadata: { newEmail: email } });
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: emailChangePending
+      ? 'Profile updated. Check your new email address to confirm the change'
+      : 'Profile updated successfully',
+    data: {
+      emailChangePending,
+      user,
+    },
+  });
+});
+
+export const getPreferences = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user._id);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      preferences: user.preferences,
+    },
+  });
+});
+
+export const updatePreferences = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user._id);
+
+  // Actualización parcial: solo cambian los campos presentes en el body
+  PREFERENCE_FIELDS.forEach((field) => {
+    const value = field.split('.').reduce((source, key) => source?.[key], req.body);
+
+    if (value !== undefined) {
+      user.set(`preferences.${field}`, value);
+    }
+  });
+
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Preferences updated successfully',
+    data: {
+      preferences: user.preferences,
+      user,
+    },
+  });
+});
+
+export const confirmEmailChange = asyncHandler(async (req, res, next) => {
+  let decoded;
+  try {
+    decoded = verifyPurposeToken(req.body.token, CHANGE_EMAIL_PURPOSE);
+  } catch (error) {
+    return next(new AppError('Confirmation link is invalid or has expired', 400));
+  }
+
+  const user = await User.findById(decoded.id);
+
+  if (!user || user.pendingEmail !== decoded.email) {
+    return next(new AppError('Confirmation link is invalid or has expired', 400));
+  }
+
+  const previousEmail = user.email;
+  user.email = user.pendingEmail;
+  user.pendingEmail = undefined;
+  user.emailVerified = true;
+  user.emailVerifiedAt = new Date();
+
+  // Si otra cuenta tomó el email mientras tanto, el índice único lo rechaza (11000)
+  await user.save();
+  await recordAuditEvent(req, 'email.changed', { user, metadata: { previousEmail } });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Email updated successfully',
+    data: {
+      user,
+    },
+  });
+});
+
+export const deleteMe = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user._id).select('+password');
+
+  if (!user.password) {
+    return next(
+      new AppError('Set a password (via "forgot password") before deleting your account', 400)
+    );
+  }
+
+  if (!(await user.comparePassword(req.body.password))) {
+    await recordAuditEvent(req, 'account.deletion_requested', {
+      outcome: 'failure',
+      metadata: { reason: 'invalid_password' },
+    });
+    return next(new AppError('Password is incorrect', 400));
+  }
+
+  const purgeAt = await scheduleAccountDeletion(user);
+  await recordAuditEvent(req, 'account.deletion_requested', { metadata: { purgeAt } });
+
+  try {
+    await sendMail({
+      to: user.email,
+      ...accountDeletionEmail({
+        username: user.username,
+        purgeAt,
+        url: buildFrontendUrl('/login'),
+      }),
+    });
+  } catch (error) {
+    req.log.error('Error sending account deletion email', { err: error });
+  }
+
+  clearAuthCookies(res);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Your account will be deleted. Sign in before the deletion date to restore it',
+    data: {
+      purgeAt,
+    },
+  });
+});
+
+/**
+ * Archivo JSON con los datos personales del usuario: perfil, preferencias,
+ * sesiones, dispositivos conocidos y su registro de actividad.
+ */
+export const exportMyData = asyncHandler(async (req, res, next) => {
+  const [user, sessions, devices, activity] = await Promise.all([
+    User.findById(req.user._id),
+    Session.find({ user: req.user._id }).select('-user').sort('-createdAt'),
+    KnownDevice.find({ user: req.user._id }).select('device ip lastSeenAt createdAt'),
+    AuditEvent.find({ user: req.user._id }).select('-user').sort('-createdAt'),
+  ]);
+
+  const { preferences, ...profile } = user.toJSON();
+  const exportedAt = new Date();
+
+  await recordAuditEvent(req, 'account.exported');
+
+  res.set(
+    'Content-Disposition',
+    `attachment; filename="account-export-${exportedAt.toISOString().slice(0, 10)}.json"`
+  );
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      exportedAt,
+      profile,
+      preferences,
+      sessions,
+      devices,
+      activity,
+    },
+  });
+});
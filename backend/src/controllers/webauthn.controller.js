@@ -0,0 +1,318 @@
+import {
+  generateRegistrationOptions,
+  verifyRegistrationResponse,
+  generateAuthenticationOptions,
+  verifyAuthenticationResponse,
+} from '@simplewebauthn/server';
+import User from '../models/User.js';
+import WebAuthnChallenge from '../models/WebAuthnChallenge.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { sendTokenResponse, generatePurposeToken, verifyPurposeToken } from '../utils/jwt.js';
+import { lockoutError } from '../utils/loginAttempts.js';
+import { recordAuditEvent } from '../utils/audit.js';
+import { authLogins } from '../utils/metrics.js';
+import { getWebAuthnConfig } from '../config/webauthn.js';
+import { generateMfaToken } from './twoFactor.controller.js';
+import { AppError } from '../middlewares/errorHandler.js';
+
+const REGISTRATION_PURPOSE = 'webauthn-register';
+const AUTHENTICATION_PURPOSE = 'webauthn-login';
+const CHALLENGE_TTL_SECONDS = 5 * 60;
+
+// El desafío viaja firmado al cliente y vuelve con la respuesta del autenticador
+const readChallenge = (challengeToken, purpose) => {
+  try {
+    return verifyPurposeToken(challengeToken, purpose);
+  } catch (error) {
+    return null;
+  }
+};
+
+const storeChallenge = (challenge, purpose) => {
+  return WebAuthnChallenge.create({
+    challenge,
+    purpose,
+    expiresAt: new Date(Date.now() + CHALLENGE_TTL_SECONDS * 1000),
+  });
+};
+
+// Consumo atómico antes de verificar: cada desafío sirve para un solo intento.
+// El contador de firmas no basta, porque las passkeys sincronizadas lo dejan en 0.
+const consumeChallenge = async (challenge, purpose) => {
+  const consumed = await WebAuthnChallenge.findOneAndDelete({
+    challenge,
+    purpose,
+    expiresAt: { $gt: new Date() },
+  });
+  return Boolean(consumed);
+};
+
+const toPublicKey = (passkey) => new Uint8Array(Buffer.from(passkey.publicKey, 'base64url'));
+
+const serializePasskey = (passkey) => ({
+  _id: passkey._id,
+  name: passkey.name,
+  deviceType: passkey.deviceType,
+  backedUp: passkey.backedUp,
+  transports: passkey.transports,
+  createdAt: passkey.createdAt,
+  lastUsedAt: passkey.lastUsedAt,
+});
+
+export const getRegistrationOptions = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user._id);
+  const { rpName, rpID } = getWebAuthnConfig();
+
+  const options = await generateRegistrationOptions({
+    rpName,
+    rpID,
+    userName: user.email,
+    userDisplayName: user.username,
+    userID: new TextEncoder().encode(user._id.toString()),
+    attestationType: 'none',
+    // Impide registrar dos veces el mismo autenticador
+    excludeCredentials: user.passkeys.map((passkey) => ({
+      id: passkey.credentialId,
+      transports: passkey.transports,
+    })),
+    // Credencial detectable: permite iniciar sesión sin escribir el email
+    authenticatorSelection: {
+      residentKey: 'preferred',
+      userVerification: 'preferred',
+    },
+  });
+
+  await storeChallenge(options.challenge, REGISTRATION_PURPOSE);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      options,
+      challengeToken: generatePurposeToken(
+        REGISTRATION_PURPOSE,
+        { id: user._id, challenge: options.challenge },
+        CHALLENGE_TTL_SECONDS
+      ),
+    },
+  });
+});
+
+export const verifyRegistration = asyncHandler(async (req, res, next) => {
+  const challenge = readChallenge(req.body.challengeToken, REGISTRATION_PURPOSE);
+
+  if (
+    !challenge ||
+    challenge.id !== req.user._id.toString() ||
+    !(await consumeChallenge(challenge.challenge, REGISTRATION_PURPOSE))
+  ) {
+    return next(new AppError('Passkey registration has expired. Please try again', 400));
+  }
+
+  const { rpID, origin } = getWebAuthnConfig();
+
+  let verification;
+  try {
+    verification = await verifyRegistrationResponse({
+      response: req.body.response,
+      expectedChallenge: challenge.challenge,
+      expectedOrigin: origin,
+      expectedRPID: rpID,
+      requireUserVerification: false,
+    });
+  } catch (error) {
+    return next(new AppError('Passkey registration could not be verified', 400));
+  }
+
+  if (!verification.verified) {
+    return next(new AppError('Passkey registration could not be verified', 400));
+  }
+
+  const { credential, credentialDeviceType, credentialBackedUp } = verification.registrationInfo;
+
+  if (await User.exists({ 'passkeys.credentialId': credential.id })) {
+    return next(new AppError('This passkey is already registered', 400));
+  }
+
+  const user = await User.findById(req.user._id);
+
+  user.passkeys.push({
+    credentialId: credential.id,
+    publicKey: Buffer.from(credential.publicKey).toString('base64url'),
+    counter: credential.counter,
+    transports: credential.transports,
+    deviceType: credentialDeviceType,
+    backedUp: credentialBackedUp,
+    name: req.body.name || `Passkey ${user.passkeys.length + 1}`,
+  });
+  await user.save({ validateBeforeSave: false });
+
+  const passkey = user.passkeys[user.passkeys.length - 1];
+  await recordAuditEvent(req, 'passkey.added', { metadata: { name: passkey.name } });
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Passkey registered successfully',
+    data: {
+      passkey: serializePasskey(passkey),
+    },
+  });
+});
+
+export const getAuthenticationOptions = asyncHandler(async (req, res, next) => {
+  const { rpID } = getWebAuthnConfig();
+
+  // Sin allowCredentials: el autenticador ofrece las passkeys que tenga para este sitio
+  const options = await generateAuthenticationOptions({
+    rpID,
+    userVerification: 'preferred',
+  });
+
+  await storeChallenge(options.challenge, AUTHENTICATION_PURPOSE);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      options,
+      challengeToken: generatePurposeToken(
+        AUTHENTICATION_PURPOSE,
+        { challenge: options.challenge },
+        CHALLENGE_TTL_SECONDS
+      ),
+    },
+  });
+});
+
+export const verifyAuthentication = asyncHandler(async (req, res, next) => {
+  const challenge = readChallenge(req.body.challengeToken, AUTHENTICATION_PURPOSE);
+
+  if (!challenge || !(await consumeChallenge(challenge.challenge, AUTHENTICATION_PURPOSE))) {
+    return next(new AppError('Passkey sign-in has expired. Please try again', 400));
+  }
+
+  const { response } = req.body;
+  const user = await User.findOne({ 'passkeys.credentialId': response.id });
+  const passkey = user?.passkeys.find((entry) => entry.credentialId === response.id);
+
+  if (!passkey) {
+    authLogins.inc({ method: 'passkey', outcome: 'failure', reason: 'unknown_passkey' });
+    return next(new AppError('This passkey is not registered', 401));
+  }
+
+  const loginFailed = (reason) => {
+    authLogins.inc({ method: 'passkey', outcome: 'failure', reason });
+    return recordAuditEvent(req, 'auth.login', {
+      user,
+      outcome: 'failure',
+      metadata: { method: 'passkey', reason },
+    });
+  };
+
+  if (!user.isActive) {
+    await loginFailed('account_deactivated');
+    return next(new AppError('Account is deactivated', 401));
+  }
+
+  if (user.isLocked()) {
+    await loginFailed('account_locked');
+    return next(lockoutError(res, user.lockUntil));
+  }
+
+  const { rpID, origin } = getWebAuthnConfig();
+
+  let verification;
+  try {
+    verification = await verifyAuthenticationResponse({
+      response,
+      expectedChallenge: challenge.challenge,
+      expectedOrigin: origin,
+      expectedRPID: rpID,
+      credential: {
+        id: passkey.credentialId,
+        publicKey: toPublicKey(passkey),
+        counter: passkey.counter,
+        transports: passkey.transports,
+      },
+      requireUserVerification: false,
+    });
+  } catch (error) {
+    verification = { verified: false };
+  }
+
+  if (!verification.verified) {
+    await loginFailed('invalid_signature');
+    return next(new AppError('Passkey could not be verified', 401));
+  }
+
+  const { newCounter, userVerified } = verification.authenticationInfo;
+
+  // Actualización atómica del contador: detecta autenticadores clonados que lo incrementan
+  const updated = await User.updateOne(
+    {
+      _id: user._id,
+      passkeys: { $elemMatch: { _id: passkey._id, counter: passkey.counter } },
+    },
+    { $set: { 'passkeys.$.counter': newCounter, 'passkeys.$.lastUsedAt': new Date() } }
+  );
+
+  if (!updated.modifiedCount) {
+    await loginFailed('counter_mismatch');
+    return next(new AppError('Passkey could not be verified', 401));
+  }
+
+  // Sin verificación de usuario (PIN, biometría) la passkey es solo un factor
+  if (!userVerified && user.twoFactor?.enabled) {
+    authLogins.inc({ method: 'passkey', outcome: 'mfa_required' });
+    return res.status(200).json({
+      status: 'success',
+      data: {
+        mfaRequired: true,
+        mfaToken: generateMfaToken(user, 'passkey'),
+      },
+    });
+  }
+
+  await user.resetLoginAttempts();
+  await sendTokenResponse(user, 200, req, res);
+  await recordAuditEvent(req, 'auth.login', { user, metadata: { method: 'passkey' } });
+  authLogins.inc({ method: 'passkey', outcome: 'success' });
+});
+
+export const getPasskeys = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user._id);
+
+  res.status(200).json({
+    status: 'success',
+    results: user.passkeys.length,
+    data: {
+      passkeys: user.passkeys.map(serializePasskey),
+    },
+  });
+});
+
+export const deletePasskey = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user._id).select('+password');
+  const passkey = user.passkeys.id(req.params.id);
+
+  if (!passkey) {
+    return next(new AppError('Passkey not found', 404));
+  }
+
+  // Nunca dejar la cuenta sin forma de iniciar sesión
+  if (!user.password && !user.oauthAccounts.length && user.passkeys.length === 1) {
+    return next(
+      new AppError(
+        'Set a password (via "forgot password") before deleting your only sign-in method',
+        400
+      )
+    );
+  }
+
+  user.passkeys.pull(passkey._id);
+  await user.save({ validateBeforeSave: false });
+  await recordAuditEvent(req, 'passkey.removed', { metadata: { name: passkey.name } });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Passkey deleted successfully',
+  });
+});
@@ -1,6 +1,45 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
-import { AppError } from './errorHandler.js';
+import Session from '../models/Session.js';
+import AccessToken from '../models/AccessToken.js';
+import { AppError, ERROR_CODES } from './errorHandler.js';
+import { hashToken } from '../utils/jwt.js';
+import { hasPermissions } from '../config/roles.js';
+import { config } from '../config/env.js';
+
+// Intervalo mínimo entre actualizaciones de lastSeenAt para no escribir en cada request
+const LAST_SEEN_UPDATE_INTERVAL = 60 * 1000;
+
+// Prefijo que distingue un token de acceso personal de un JWT de sesión
+export const ACCESS_TOKEN_PREFIX = 'pat_';
+
+const authenticateAccessToken = async (token, req) => {
+  const accessToken = await AccessToken.findOne({ tokenHash: hashToken(token) });
+
+  if (!accessToken || accessToken.isExpired()) {
+    throw new AppError('Access token is invalid, expired or was revoked', 401);
+  }
+
+  const user = await User.findById(accessToken.user).select('-password');
+
+  if (!user) {
+    throw new AppError('User no longer exists', 401);
+  }
+
+  if (!user.isActive) {
+    throw new AppError('User account is deactivated', 401);
+  }
+
+  if (Date.now() - (accessToken.lastUsedAt?.getTime() || 0) > LAST_SEEN_UPDATE_INTERVAL) {
+    accessToken.lastUsedAt = new Date();
+    accessToken.lastUsedIp = req.ip;
+    await accessToken.save();
+  }
+
+  req.user = user;
+  req.authSession = null;
+  req.accessToken = accessToken;
+};
 
 export const protect = async (req, res, next) => {
   try {
@@ -16,22 +55,45 @@ export const protect = async (req, res, next) => {
     }
 
     if (!token) {
-      throw new AppError('No token provided. Please log in to access this resource', 401);
+      throw new AppError(
+        'No token provided. Please log in to access this resource',
+        401,
+        ERROR_CODES.ACCESS_TOKEN_INVALID
+      );
+    }
+
+    if (token.startsWith(ACCESS_TOKEN_PREFIX)) {
+      await authenticateAccessToken(token, req);
+      return next();
     }
 
     let decoded;
     try {
-      decoded = jwt.verify(token, process.env.JWT_SECRET);
+      decoded = jwt.verify(token, config.jwt.secret);
     } catch (error) {
       if (error.name === 'JsonWebTokenError') {
-        throw new AppError('Invalid token. Please log in again', 401);
+        throw new AppError(
+          'Invalid token. Please log in again',
+          401,
+          ERROR_CODES.ACCESS_TOKEN_INVALID
+        );
       }
       if (error.name === 'TokenExpiredError') {
-        throw new AppError('Token expired. Please log in again', 401);
+        throw new AppError(
+          'Token expired. Please log in again',
+          401,
+          ERROR_CODES.ACCESS_TOKEN_EXPIRED
+        );
       }
       throw error;
     }
 
+    const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+
+    if (!session || !session.isValid() || !session.user.equals(decoded.id)) {
+      throw new AppError('Session has expired or was revoked. Please log in again', 401);
+    }
+
     const user = await User.findById(decoded.id).select('-password');
 
     if (!user) {
@@ -42,9 +104,75 @@ export const protect = async (req, res, next) => {
       throw new AppError('User account is deactivated', 401);
     }
 
+    if (user.changedPasswordAfter(decoded.iat)) {
+      throw new AppError('Password was changed recently. Please log in again', 401);
+    }
+
+    if (Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_UPDATE_INTERVAL) {
+      session.lastSeenAt = new Date();
+      await session.save();
+    }
+
     req.user = user;
+    req.authSession = session;
     next();
   } catch (error) {
     next(error);
   }
 };
+
+/**
+ * Restringe una ruta a ciertos roles. Debe usarse después de `protect`:
+ * router.get('/admin', protect, authorize('admin'), handler)
+ */
+export const authorize = (...roles) => {
+  return (req, res, next) => {
+    if (!roles.includes(req.user.role)) {
+      return next(new AppError('You do not have permission to perform this action', 403));
+    }
+    next();
+  };
+};
+
+/**
+ * Igual que `authorize` pero comprobando permisos en lugar de roles:
+ * router.get('/users', protect, requirePermission('users:read'), handler)
+ */
+export const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!hasPermissions(req.user.role, permissions)) {
+      return next(new AppError('You do not have permission to perform this action', 403));
+    }
+    // Con un token de acceso personal, además, el permiso debe estar entre sus scopes
+    return requireScope(...permissions)(req, res, next);
+  };
+};
+
+/**
+ * Limita las rutas a las que llega un token de acceso personal según sus
+ * scopes. No afecta a las peticiones con sesión:
+ * router.get('/me', protect, requireScope('profile:read'), handler)
+ */
+export const requireScope = (...scopes) => {
+  return (req, res, next) => {
+    if (req.accessToken && !req.accessToken.hasScopes(scopes)) {
+      return next(
+        new AppError(`This access token is missing the required scope: ${scopes.join(', ')}`, 403)
+      );
+    }
+    next();
+  };
+};
+
+/**
+ * Rutas que gestionan la propia cuenta y sus credenciales (sesiones, 2FA,
+ * tokens...): exigen una sesión iniciada y rechazan los tokens de acceso personal.
+ */
+export const requireSession = (req, res, next) => {
+  if (!req.authSession) {
+    return next(
+      new AppError('This action requires signing in; access tokens cannot be used for it', 403)
+    );
+  }
+  next();
+};
@@ -1,7 +1,17 @@
+import { AppError } from "./errorHandler.js";
+import { verifyCsrfToken } from "../utils/csrf.js";
+import { isAllowedOrigin } from "../config/env.js";
+
+export const CSRF_ERROR_MESSAGE = "Invalid or missing CSRF token";
+
 /**
- * Middleware de protección CSRF mediante verificación de Referer
+ * Middleware de protección CSRF mediante tokens firmados
  *
- * Uso con sameSite='none' para agregar capa extra de seguridad
+ * Las peticiones que modifican datos deben enviar en la cabecera X-CSRF-Token
+ * el token de GET /api/auth/csrf. Si llega Origin, además debe ser uno de los
+ * permitidos en CORS_ORIGIN. Las peticiones autenticadas con Bearer (sin
+ * cookie de sesión) no lo necesitan: el navegador nunca envía esa cabecera
+ * por su cuenta.
  */
 export const csrfProtection = (req, res, next) => {
   // Solo verificar en peticiones mutantes (que cambian datos)
@@ -10,40 +20,20 @@ export const csrfProtection = (req, res, next) => {
     return next();
   }
 
-  const origin = req.get("origin");
-  const referer = req.get("referer");
-
-  const allowedOrigins = [process.env.CORS_ORIGIN].filter(Boolean);
-
-  if (origin) {
-    if (!allowedOrigins.includes(origin)) {
-      console.log(`❌ Origen bloqueado: ${origin}`);
-      return res.status(403).json({
-        status: "error",
-        message: "Forbidden - Invalid origin",
-      });
-    }
+  const authorization = req.get("authorization") || "";
+  if (authorization.startsWith("Bearer ") && !req.cookies?.token) {
+    return next();
   }
 
-  // Verificar referer (como backup)
-  if (!origin && referer) {
-    const refererDomain = new URL(referer).origin;
-    if (!allowedOrigins.includes(refererDomain)) {
-      console.log(`❌ Referer bloqueado: ${refererDomain}`);
-      return res.status(403).json({
-        status: "error",
-        message: "Forbidden - Invalid referer",
-      });
-    }
+  // Los mismos orígenes que acepta CORS (CORS_ORIGIN)
+  const origin = req.get("origin");
+  if (origin && !isAllowedOrigin(origin)) {
+    req.log.warn("Blocked request from disallowed origin", { origin });
+    return next(new AppError("Forbidden - Invalid origin", 403));
   }
 
-  // Si no hay ni origin ni referer, bloquear (sospechoso)
-  if (!origin && !referer) {
-    console.log("❌ Petición sin origin ni referer bloqueada");
-    return res.status(403).json({
-      status: "error",
-      message: "Forbidden - Missing origin/referer",
-    });
+  if (!verifyCsrfToken(req)) {
+    return next(new AppError(CSRF_ERROR_MESSAGE, 403));
   }
 
   next();
@@ -1,8 +1,22 @@
+import { config } from '../config/env.js';
+
+/**
+ * Códigos que el cliente puede usar para distinguir errores con el mismo
+ * status. Con ACCESS_TOKEN_EXPIRED o ACCESS_TOKEN_INVALID el frontend intenta
+ * renovar la sesión; cualquier otro 401 se trata como definitivo.
+ */
+export const ERROR_CODES = {
+  ACCESS_TOKEN_EXPIRED: 'ACCESS_TOKEN_EXPIRED',
+  ACCESS_TOKEN_INVALID: 'ACCESS_TOKEN_INVALID',
+  PASSWORD_RESET_REQUIRED: 'PASSWORD_RESET_REQUIRED',
+};
+
 export class AppError extends Error {
-  constructor(message, statusCode) {
+  constructor(message, statusCode, errorCode) {
     super(message);
     this.statusCode = statusCode;
     this.status = `${statusCode}`.startsWith('4') ? 'fail' : 'error';
+    this.errorCode = errorCode;
     this.isOperational = true;
 
     Error.captureStackTrace(this, this.constructor);
@@ -27,30 +41,38 @@ const handleValidationErrorDB = (err) => {
   return new AppError(message, 400);
 };
 
-const handleJWTError = () => new AppError('Invalid token. Please log in again', 401);
+const handleJWTError = () => {
+  return new AppError('Invalid token. Please log in again', 401, ERROR_CODES.ACCESS_TOKEN_INVALID);
+};
 
-const handleJWTExpiredError = () => new AppError('Token expired. Please log in again', 401);
+const handleJWTExpiredError = () => {
+  return new AppError('Token expired. Please log in again', 401, ERROR_CODES.ACCESS_TOKEN_EXPIRED);
+};
 
-const sendErrorDev = (err, res) => {
+const sendErrorDev = (err, req, res, message = err.message, code = err.errorCode) => {
   res.status(err.statusCode).json({
     status: err.status,
     error: err,
-    message: err.message,
+    message,
+    code,
+    requestId: req.id,
     stack: err.stack,
   });
 };
 
-const sendErrorProd = (err, res) => {
+const sendErrorProd = (err, req, res) => {
   if (err.isOperational) {
     res.status(err.statusCode).json({
       status: err.status,
       message: err.message,
+      code: err.errorCode,
+      requestId: req.id,
     });
   } else {
-    console.error('ERROR:', err);
     res.status(500).json({
       status: 'error',
       message: 'Something went wrong',
+      requestId: req.id,
     });
   }
 };
@@ -59,24 +81,28 @@ export const errorHandler = (err, req, res, next) => {
   err.statusCode = err.statusCode || 500;
   err.status = err.status || 'error';
 
-  if (process.env.NODE_ENV === 'development') {
-    sendErrorDev(err, res);
-  } else {
-    // Copiar propiedades específicas del error
-    let error = {
-      ...err,
-      message: err.message,
-      name: err.name,
-      stack: err.stack
-    };
+  // Errores conocidos (Mongo, JWT) se traducen en ambos entornos para
+  // responder con el código correcto; en desarrollo se conserva el detalle.
+  let error = err;
 
-    if (err.name === 'CastError') error = handleCastErrorDB(err);
-    if (err.code === 11000) error = handleDuplicateFieldsDB(err);
-    if (err.name === 'ValidationError') error = handleValidationErrorDB(err);
-    if (err.name === 'JsonWebTokenError') error = handleJWTError();
-    if (err.name === 'TokenExpiredError') error = handleJWTExpiredError();
+  if (err.name === 'CastError') error = handleCastErrorDB(err);
+  if (err.code === 11000) error = handleDuplicateFieldsDB(err);
+  if (err.name === 'ValidationError') error = handleValidationErrorDB(err);
+  if (err.name === 'JsonWebTokenError') error = handleJWTError();
+  if (err.name === 'TokenExpiredError') error = handleJWTExpiredError();
 
-    sendErrorProd(error, res);
+  // Los errores inesperados se registran con su stack; el requestId permite
+  // cruzarlos con el que recibe el cliente
+  if (!error.isOperational) {
+    req.log.error('Unhandled error', { err });
+  }
+
+  if (config.isDevelopment) {
+    err.statusCode = error.statusCode;
+    err.status = error.status;
+    sendErrorDev(err, req, res, error.message, error.errorCode);
+  } else {
+    sendErrorProd(error, req, res);
   }
 };
 
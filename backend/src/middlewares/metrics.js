@@ -0,0 +1,58 @@
+import crypto from 'crypto';
+import { config } from '../config/env.js';
+import { httpRequestDuration } from '../utils/metrics.js';
+import { AppError } from './errorHandler.js';
+
+/**
+ * Guarda el prefijo del router montado. Express lo borra de req.baseUrl
+ * cuando un error sale del router, y sin él la ruta de las métricas
+ * quedaría incompleta.
+ */
+export const trackRoute = (req, res, next) => {
+  req.routeBase = req.baseUrl;
+  next();
+};
+
+// Se usa la plantilla de la ruta (/users/:id), no la URL, para no crear una
+// serie por cada id; lo que no coincide con ninguna ruta se agrupa
+const getRouteLabel = (req) => {
+  if (!req.route) {
+    return 'unmatched';
+  }
+  return `${req.routeBase || req.baseUrl}${req.route.path}`;
+};
+
+// Mide cada petición en el histograma http_request_duration_seconds
+export const httpMetrics = (req, res, next) => {
+  const endTimer = httpRequestDuration.startTimer();
+
+  res.on('finish', () => {
+    endTimer({ method: req.method, route: getRouteLabel(req), status: res.statusCode });
+  });
+
+  next();
+};
+
+/**
+ * Con METRICS_TOKEN definido, /api/metrics exige Authorization: Bearer <token>
+ * (así lo configura Prometheus con `authorization.credentials`). Sin él, el
+ * endpoint es público.
+ */
+export const requireMetricsToken = (req, res, next) => {
+  const expected = config.metrics.token;
+  if (!expected) {
+    return next();
+  }
+
+  const authorization = req.get('authorization') || '';
+  const provided = authorization.startsWith('Bearer ') ? authorization.slice(7) : '';
+  const expectedHash = crypto.createHash('sha256').update(expected).digest();
+  const providedHash = crypto.createHash('sha256').update(provided).digest();
+
+  // Comparar hashes de igual longitud evita filtrar el token por tiempo
+  if (!crypto.timingSafeEqual(expectedHash, providedHash)) {
+    return next(new AppError('Invalid metrics token', 401));
+  }
+
+  next();
+};
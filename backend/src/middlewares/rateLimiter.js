@@ -0,0 +1,107 @@
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { getRateLimitStore } from '../utils/rateLimitStore.js';
+import { AppError } from './errorHandler.js';
+import { config } from '../config/env.js';
+
+/**
+ * Estrategias de limitación. Cada una consume un intento para `key` y devuelve
+ * si se permite, cuántos quedan y en cuántos ms se recupera la cuota.
+ */
+const STRATEGIES = {
+  // Ventana fija: como mucho `limit` peticiones cada `windowMs`
+  'fixed-window': async (store, key, { limit, windowMs }) => {
+    const { count, resetAt } = await store.increment(key, windowMs);
+
+    return {
+      allowed: count <= limit,
+      remaining: Math.max(0, limit - count),
+      resetMs: resetAt - Date.now(),
+    };
+  },
+
+  // Token bucket: capacidad `limit` que se rellena por completo en `windowMs`.
+  // Permite ráfagas cortas sin dejar pasar más de la tasa media.
+  'token-bucket': async (store, key, { limit, windowMs }) => {
+    const now = Date.now();
+    const refillPerMs = limit / windowMs;
+    const bucket = (await store.get(key)) || { tokens: limit, updatedAt: now };
+
+    const available = Math.min(limit, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+    const allowed = available >= 1;
+    const tokens = allowed ? available - 1 : available;
+
+    await store.set(key, { tokens, updatedAt: now }, windowMs);
+
+    return {
+      allowed,
+      remaining: Math.floor(tokens),
+      // Sin tokens: tiempo hasta el siguiente; con tokens: hasta llenar el bucket
+      resetMs: (tokens >= 1 ? limit - tokens : 1 - tokens) / refillPerMs,
+    };
+  },
+};
+
+const KEY_GENERATORS = {
+  ip: (req) => `ip:${req.ip}`,
+  // Requiere ir después de `protect`; sin usuario se limita por IP
+  user: (req) => (req.user ? `user:${req.user._id}` : `ip:${req.ip}`),
+  // Limita por cuenta objetivo (login, recuperación...) aunque cambie la IP
+  email: (req) => {
+    const email = req.body?.email;
+    return typeof email === 'string' && email.trim()
+      ? `email:${email.trim().toLowerCase()}`
+      : `ip:${req.ip}`;
+  },
+};
+
+/**
+ * Crea un middleware de rate limiting. `name` separa los contadores de cada
+ * ruta, `limit` son las peticiones permitidas por `windowMs` (en token bucket,
+ * la capacidad y el tiempo de rellenado completo) y `key` decide qué se
+ * limita: 'ip', 'user', 'email' o una función (req) => clave. `store` permite
+ * usar un store concreto en lugar del configurado con RATE_LIMIT_STORE.
+ */
+export const rateLimit = ({
+  name,
+  limit,
+  windowMs,
+  strategy = 'fixed-window',
+  key = 'ip',
+  store,
+  message = 'Too many requests. Please try again later',
+}) => {
+  const consume = STRATEGIES[strategy];
+  const getKey = typeof key === 'function' ? key : KEY_GENERATORS[key];
+
+  if (!consume) {
+    throw new Error(`Unknown rate limit strategy: ${strategy}`);
+  }
+  if (!getKey) {
+    throw new Error(`Unknown rate limit key: ${key}`);
+  }
+
+  return asyncHandler(async (req, res, next) => {
+    if (!config.rateLimit.enabled) {
+      return next();
+    }
+
+    const result = await consume(store || getRateLimitStore(), `${name}:${getKey(req)}`, {
+      limit,
+      windowMs,
+    });
+    const resetSeconds = Math.max(0, Math.ceil(result.resetMs / 1000));
+
+    res.set({
+      'RateLimit-Limit': String(limit),
+      'RateLimit-Remaining': String(result.remaining),
+      'RateLimit-Reset': String(resetSeconds),
+    });
+
+    if (!result.allowed) {
+      res.set('Retry-After', String(Math.max(1, resetSeconds)));
+      return next(new AppError(message, 429));
+    }
+
+    next();
+  });
+};
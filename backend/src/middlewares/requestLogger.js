@@ -0,0 +1,45 @@
+import crypto from 'crypto';
+import { logger } from '../utils/logger.js';
+
+export const REQUEST_ID_HEADER = 'X-Request-Id';
+
+// Se acepta el id de un proxy o cliente solo si tiene un formato razonable
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+const getLevel = (statusCode) => {
+  if (statusCode >= 500) {
+    return 'error';
+  }
+  return statusCode >= 400 ? 'warn' : 'info';
+};
+
+/**
+ * Asigna a cada petición un id (el de X-Request-Id si llega, o uno nuevo),
+ * lo devuelve en la respuesta y deja en req.log un logger que lo incluye.
+ * Al terminar registra el método, la ruta, el estado, la latencia y el usuario.
+ */
+export const requestLogger = (req, res, next) => {
+  const incomingId = req.get(REQUEST_ID_HEADER);
+  const requestId = VALID_REQUEST_ID.test(incomingId || '') ? incomingId : crypto.randomUUID();
+  const startedAt = process.hrtime.bigint();
+
+  req.id = requestId;
+  req.log = logger.child({ requestId });
+  res.set(REQUEST_ID_HEADER, requestId);
+
+  res.on('finish', () => {
+    const durationMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+
+    req.log[getLevel(res.statusCode)]('Request completed', {
+      method: req.method,
+      // Sin query string: puede llevar tokens (?token=, ?code=)
+      path: req.originalUrl.split('?')[0],
+      status: res.statusCode,
+      durationMs: Math.round(durationMs * 10) / 10,
+      userId: req.user?._id,
+      ip: req.ip,
+    });
+  });
+
+  next();
+};
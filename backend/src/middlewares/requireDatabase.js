@@ -0,0 +1,18 @@
+import { isDatabaseConnected } from '../config/database.js';
+import { AppError } from './errorHandler.js';
+
+// Segundos que se sugieren al cliente antes de reintentar
+const RETRY_AFTER_SECONDS = 5;
+
+/**
+ * Sin conexión con MongoDB responde 503 de inmediato, en lugar de dejar la
+ * petición esperando a que mongoose agote el buffer de operaciones.
+ */
+export const requireDatabase = (req, res, next) => {
+  if (isDatabaseConnected()) {
+    return next();
+  }
+
+  res.set('Retry-After', String(RETRY_AFTER_SECONDS));
+  next(new AppError('Service temporarily unavailable. Please try again later', 503));
+};
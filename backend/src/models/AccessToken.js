@@ -0,0 +1,76 @@
+import mongoose from "mongoose";
+import { PERMISSIONS } from "../config/roles.js";
+
+/**
+ * Token de acceso personal para scripts y CI. Solo se guarda el hash del
+ * token; sus scopes son permisos (`users:read`, ...) y limitan lo que puede
+ * hacer aunque el rol del usuario permita más.
+ */
+const accessTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: [true, "Token name is required"],
+      trim: true,
+      maxlength: [50, "Token name cannot exceed 50 characters"],
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Comienzo del token en claro, para reconocerlo en la lista
+    prefix: {
+      type: String,
+      required: true,
+    },
+    scopes: {
+      type: [{ type: String, enum: PERMISSIONS }],
+      default: [],
+    },
+    // null: el token no caduca
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+    lastUsedIp: {
+      type: String,
+      default: "",
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+// MongoDB elimina automáticamente los tokens caducados
+accessTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+accessTokenSchema.methods.isExpired = function () {
+  return Boolean(this.expiresAt && this.expiresAt <= Date.now());
+};
+
+accessTokenSchema.methods.hasScopes = function (scopes) {
+  return scopes.every((scope) => this.scopes.includes(scope));
+};
+
+accessTokenSchema.methods.toJSON = function () {
+  const tokenObject = this.toObject();
+  delete tokenObject.tokenHash;
+  return tokenObject;
+};
+
+const AccessToken = mongoose.model("AccessToken", accessTokenSchema);
+
+export default AccessToken;
@@ -0,0 +1,131 @@
+import mongoose from "mongoose";
+
+/**
+ * Tipos de evento de seguridad. El resultado (éxito o fallo) se guarda
+ * aparte, de modo que "auth.login" cubre tanto los logins correctos como
+ * los fallidos.
+ */
+export const AUDIT_EVENT_TYPES = [
+  "auth.register",
+  "auth.login",
+  "auth.logout",
+  "auth.logout_all",
+  "session.revoked",
+  "session.token_reuse",
+  "session.new_device",
+  "session.reported",
+  "password.changed",
+  "password.reset_requested",
+  "password.reset",
+  "email.verified",
+  "email.change_requested",
+  "email.changed",
+  "two_factor.enabled",
+  "two_factor.disabled",
+  "two_factor.backup_codes_regenerated",
+  "oauth.linked",
+  "oauth.unlinked",
+  "passkey.added",
+  "passkey.removed",
+  "access_token.created",
+  "access_token.revoked",
+  "account.locked",
+  "account.unlocked",
+  "account.activated",
+  "account.deactivated",
+  "account.role_changed",
+  "account.deletion_requested",
+  "account.restored",
+  "account.deleted",
+  "account.exported",
+];
+
+export const AUDIT_OUTCOMES = ["success", "failure"];
+
+/**
+ * Registro de auditoría de solo escritura: los eventos se crean pero nunca
+ * se modifican ni se borran desde la aplicación.
+ */
+const auditEventSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: AUDIT_EVENT_TYPES,
+      required: true,
+      index: true,
+    },
+    outcome: {
+      type: String,
+      enum: AUDIT_OUTCOMES,
+      default: "success",
+    },
+    // Usuario afectado (puede no existir, p. ej. un login con un email desconocido)
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // Quien realizó la acción cuando no es el propio usuario (administradores)
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+    ip: {
+      type: String,
+      default: "",
+    },
+    userAgent: {
+      type: String,
+      default: "",
+    },
+    device: {
+      type: String,
+      default: "Unknown device",
+    },
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    versionKey: false,
+  }
+);
+
+auditEventSchema.index({ user: 1, createdAt: -1 });
+auditEventSchema.index({ createdAt: -1 });
+
+const rejectChanges = function () {
+  throw new Error("Audit events are append-only");
+};
+
+auditEventSchema.pre("save", function () {
+  if (!this.isNew) {
+    rejectChanges();
+  }
+});
+
+auditEventSchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "findOneAndUpdate",
+    "replaceOne",
+    "findOneAndReplace",
+    "deleteOne",
+    "deleteMany",
+    "findOneAndDelete",
+  ],
+  rejectChanges
+);
+
+const AuditEvent = mongoose.model("AuditEvent", auditEventSchema);
+
+export default AuditEvent;
@@ -0,0 +1,49 @@
+import mongoose from "mongoose";
+
+/**
+ * Dispositivo desde el que un usuario ya ha iniciado sesión. Se reconoce
+ * por el hash de la cookie de dispositivo y por la huella del user agent
+ * (navegador y sistema operativo, sin versión).
+ */
+const knownDeviceSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+    },
+    fingerprint: {
+      type: String,
+      required: true,
+    },
+    device: {
+      type: String,
+      default: "Unknown device",
+    },
+    ip: {
+      type: String,
+      default: "",
+    },
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+knownDeviceSchema.index({ user: 1, tokenHash: 1 }, { unique: true });
+
+// Un dispositivo sin usar durante un año vuelve a considerarse nuevo
+knownDeviceSchema.index({ lastSeenAt: 1 }, { expireAfterSeconds: 365 * 24 * 60 * 60 });
+
+const KnownDevice = mongoose.model("KnownDevice", knownDeviceSchema);
+
+export default KnownDevice;
@@ -0,0 +1,46 @@
+import mongoose from "mongoose";
+
+/**
+ * Enlace de inicio de sesión sin contraseña. Se guarda el hash del token y
+ * el del valor de la cookie del navegador que lo pidió: el enlace solo
+ * funciona una vez y en ese mismo navegador.
+ */
+const magicLinkSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+      index: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    browserHash: {
+      type: String,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+// MongoDB elimina automáticamente los enlaces expirados
+magicLinkSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const MagicLink = mongoose.model("MagicLink", magicLinkSchema);
+
+export default MagicLink;
@@ -0,0 +1,67 @@
+import mongoose from "mongoose";
+import RefreshToken from "./RefreshToken.js";
+
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    device: {
+      type: String,
+      default: "Unknown device",
+    },
+    ip: {
+      type: String,
+      default: "",
+    },
+    userAgent: {
+      type: String,
+      default: "",
+    },
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+// MongoDB elimina automáticamente las sesiones expiradas
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isValid = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// La familia de refresh tokens de una sesión es su propio _id
+sessionSchema.statics.revoke = async function (filter) {
+  const sessions = await this.find({ ...filter, revokedAt: null }).select("_id");
+  const ids = sessions.map((session) => session._id);
+
+  if (ids.length === 0) {
+    return 0;
+  }
+
+  await this.updateMany({ _id: { $in: ids } }, { $set: { revokedAt: new Date() } });
+  await Promise.all(ids.map((id) => RefreshToken.revokeFamily(id.toString())));
+
+  return ids.length;
+};
+
+const Session = mongoose.model("Session", sessionSchema);
+
+export default Session;
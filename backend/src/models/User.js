@@ -1,5 +1,11 @@
 import mongoose from "mongoose";
+import crypto from "crypto";
 import bcrypt from "bcryptjs";
+import { verifyTotp } from "../utils/totp.js";
+import { ROLES, getPermissions } from "../config/roles.js";
+import { THEMES, LOCALES } from "../config/preferences.js";
+import { config } from "../config/env.js";
+import { bcryptDuration } from "../utils/metrics.js";
 
 const userSchema = new mongoose.Schema(
   {
@@ -28,17 +34,178 @@ const userSchema = new mongoose.Schema(
       ],
       index: true,
     },
+    // Opcional: las cuentas creadas con un proveedor externo o con un enlace
+    // mágico pueden no tener contraseña (el registro la exige en el validador)
     password: {
       type: String,
-      required: [true, "Password is required"],
       minlength: [6, "Password must be at least 6 characters long"],
       select: false,
     },
+    pendingEmail: {
+      type: String,
+      trim: true,
+      lowercase: true,
+    },
+    role: {
+      type: String,
+      enum: {
+        values: ROLES,
+        message: `Role must be one of: ${ROLES.join(", ")}`,
+      },
+      default: "user",
+      index: true,
+    },
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerifiedAt: {
+      type: Date,
+    },
+    verificationEmailSentAt: {
+      type: Date,
+      select: false,
+    },
+    passwordChangedAt: {
+      type: Date,
+    },
+    passwordResetToken: {
+      type: String,
+      select: false,
+    },
+    passwordResetExpires: {
+      type: Date,
+      select: false,
+    },
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      enabledAt: {
+        type: Date,
+      },
+      secret: {
+        type: String,
+        select: false,
+      },
+      pendingSecret: {
+        type: String,
+        select: false,
+      },
+      backupCodes: {
+        type: [String],
+        select: false,
+      },
+      lastUsedStep: {
+        type: Number,
+        select: false,
+      },
+    },
     isActive: {
       type: Boolean,
       default: true,
       index: true,
     },
+    oauthAccounts: [
+      {
+        _id: false,
+        provider: {
+          type: String,
+          required: true,
+        },
+        subject: {
+          type: String,
+          required: true,
+        },
+        email: String,
+        linkedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    // Credenciales WebAuthn (passkeys). El id y la clave pública van en base64url
+    passkeys: [
+      {
+        credentialId: {
+          type: String,
+          required: true,
+        },
+        publicKey: {
+          type: String,
+          required: true,
+        },
+        counter: {
+          type: Number,
+          default: 0,
+        },
+        transports: [String],
+        deviceType: String,
+        backedUp: Boolean,
+        name: {
+          type: String,
+          trim: true,
+          maxlength: [50, "Passkey name cannot exceed 50 characters"],
+        },
+        createdAt: {
+          type: Date,
+          default: Date.now,
+        },
+        lastUsedAt: Date,
+      },
+    ],
+    preferences: {
+      theme: {
+        type: String,
+        enum: THEMES,
+        default: "system",
+      },
+      locale: {
+        type: String,
+        enum: LOCALES,
+        default: "es",
+      },
+      notifications: {
+        // Emails con novedades importantes de la cuenta
+        updates: {
+          type: Boolean,
+          default: true,
+        },
+        // Aviso por email de los inicios de sesión desde dispositivos nuevos
+        securityAlerts: {
+          type: Boolean,
+          default: true,
+        },
+      },
+    },
+    // Tras denunciar un inicio de sesión ajeno, el login con contraseña queda
+    // bloqueado hasta que se restablezca
+    passwordResetRequired: {
+      type: Boolean,
+      default: false,
+    },
+    // Eliminación solicitada por el usuario: la cuenta se purga en `purgeAt`
+    // salvo que vuelva a iniciar sesión antes
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    purgeAt: {
+      type: Date,
+      default: null,
+      index: { partialFilterExpression: { purgeAt: { $type: "date" } } },
+    },
+    failedLoginAttempts: {
+      type: Number,
+      default: 0,
+    },
+    lastFailedLoginAt: {
+      type: Date,
+    },
+    lockUntil: {
+      type: Date,
+    },
   },
   {
     timestamps: true,
@@ -46,30 +213,228 @@ const userSchema = new mongoose.Schema(
   }
 );
 
+// Una identidad externa solo puede estar vinculada a un usuario
+userSchema.index(
+  { "oauthAccounts.provider": 1, "oauthAccounts.subject": 1 },
+  { unique: true, partialFilterExpression: { "oauthAccounts.subject": { $exists: true } } }
+);
+
+// Una passkey pertenece a un único usuario
+userSchema.index(
+  { "passkeys.credentialId": 1 },
+  { unique: true, partialFilterExpression: { "passkeys.credentialId": { $exists: true } } }
+);
+
 userSchema.pre("save", async function () {
   if (!this.isModified("password")) {
     return;
   }
 
   try {
+    const endTimer = bcryptDuration.startTimer({ operation: "hash" });
     const salt = await bcrypt.genSalt(12);
     this.password = await bcrypt.hash(this.password, salt);
+    endTimer();
   } catch (error) {
     throw error;
   }
 });
 
+// Registrar el cambio de contraseña (no en la creación). Se resta 1s para que
+// el token emitido justo después del cambio no quede invalidado.
+userSchema.pre("save", function () {
+  if (!this.isModified("password") || this.isNew) {
+    return;
+  }
+
+  this.passwordChangedAt = new Date(Date.now() - 1000);
+});
+
 userSchema.methods.comparePassword = async function (candidatePassword) {
+  if (!this.password) {
+    return false;
+  }
+
   try {
-    return await bcrypt.compare(candidatePassword, this.password);
+    const endTimer = bcryptDuration.startTimer({ operation: "compare" });
+    const isMatch = await bcrypt.compare(candidatePassword, this.password);
+    endTimer();
+    return isMatch;
   } catch (error) {
     throw new Error("Error comparing passwords");
   }
 };
 
+/**
+ * Genera un token de restablecimiento de un solo uso. Solo se guarda su hash;
+ * el token en claro se envía por email y no vuelve a estar disponible.
+ */
+userSchema.methods.createPasswordResetToken = function () {
+  const resetToken = crypto.randomBytes(32).toString("hex");
+  const expiresInMinutes = config.passwordReset.expiresInMinutes;
+
+  this.passwordResetToken = crypto
+    .createHash("sha256")
+    .update(resetToken)
+    .digest("hex");
+  this.passwordResetExpires = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+
+  return resetToken;
+};
+
+userSchema.methods.changedPasswordAfter = function (jwtTimestamp) {
+  if (!this.passwordChangedAt) {
+    return false;
+  }
+
+  const changedTimestamp = Math.floor(this.passwordChangedAt.getTime() / 1000);
+  return jwtTimestamp < changedTimestamp;
+};
+
+/**
+ * Username válido y libre a partir de un nombre o de la parte local de un
+ * email, para las cuentas que no pasan por el registro.
+ */
+userSchema.statics.generateAvailableUsername = async function (source) {
+  let base = source.replace(/[^a-zA-Z0-9_]/g, "_").slice(0, 24);
+  if (base.length < 3) {
+    base = `user_${base}`;
+  }
+
+  let candidate = base;
+  while (await this.exists({ username: candidate })) {
+    candidate = `${base}_${crypto.randomBytes(2).toString("hex")}`;
+  }
+
+  return candidate;
+};
+
+const MINUTE_MS = 60 * 1000;
+const MAX_LOCK_MS = 24 * 60 * MINUTE_MS;
+
+userSchema.methods.isLocked = function () {
+  return Boolean(this.lockUntil && this.lockUntil > Date.now());
+};
+
+/**
+ * Registra un intento de login fallido de forma atómica. Al llegar a
+ * LOGIN_MAX_ATTEMPTS la cuenta se bloquea LOGIN_LOCK_MINUTES y cada fallo
+ * posterior duplica el bloqueo (máximo 24h). Los fallos más antiguos que
+ * LOGIN_ATTEMPT_WINDOW minutos se olvidan. Devuelve la fecha de desbloqueo
+ * si el intento provoca un bloqueo, o null.
+ */
+userSchema.statics.registerFailedLogin = async function (userId) {
+  const maxAttempts = config.loginAttempts.maxAttempts;
+  const lockMs = config.loginAttempts.lockMinutes * MINUTE_MS;
+  const windowMs = config.loginAttempts.windowMinutes * MINUTE_MS;
+  const now = new Date();
+
+  const restarted = await this.findOneAndUpdate(
+    {
+      _id: userId,
+      $or: [{ lastFailedLoginAt: null }, { lastFailedLoginAt: { $lt: new Date(now - windowMs) } }],
+    },
+    { $set: { failedLoginAttempts: 1, lastFailedLoginAt: now } },
+    { new: true }
+  );
+
+  const user =
+    restarted ||
+    (await this.findByIdAndUpdate(
+      userId,
+      { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: now } },
+      { new: true }
+    ));
+
+  if (!user || user.failedLoginAttempts < maxAttempts) {
+    return null;
+  }
+
+  const excess = user.failedLoginAttempts - maxAttempts;
+  const lockUntil = new Date(now.getTime() + Math.min(lockMs * 2 ** excess, MAX_LOCK_MS));
+
+  await this.updateOne({ _id: userId }, { $set: { lockUntil } });
+
+  return lockUntil;
+};
+
+userSchema.methods.resetLoginAttempts = async function () {
+  if (!this.failedLoginAttempts && !this.lockUntil) {
+    return;
+  }
+
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { failedLoginAttempts: 0 }, $unset: { lastFailedLoginAt: 1, lockUntil: 1 } }
+  );
+};
+
+const hashBackupCode = (code) => {
+  return crypto
+    .createHash("sha256")
+    .update(code.replace(/[\s-]/g, "").toLowerCase())
+    .digest("hex");
+};
+
+/**
+ * Genera nuevos códigos de respaldo (se devuelven en claro una única vez
+ * y se guardan hasheados).
+ */
+userSchema.methods.generateBackupCodes = function (count = 10) {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(4).toString("hex");
+    return `${raw.slice(0, 4)}-${raw.slice(4)}`;
+  });
+
+  this.twoFactor.backupCodes = codes.map(hashBackupCode);
+
+  return codes;
+};
+
+/**
+ * Verifica un segundo factor: código TOTP o código de respaldo.
+ * Requiere haber seleccionado +twoFactor.secret, +twoFactor.backupCodes y
+ * +twoFactor.lastUsedStep. Modifica el documento (el llamador debe guardarlo):
+ * los códigos TOTP no pueden reutilizarse y los de respaldo se consumen.
+ */
+userSchema.methods.verifySecondFactor = function (code) {
+  const candidate = String(code || "").trim();
+
+  const step = this.twoFactor.secret ? verifyTotp(this.twoFactor.secret, candidate) : null;
+  if (step !== null) {
+    if (this.twoFactor.lastUsedStep !== undefined && step <= this.twoFactor.lastUsedStep) {
+      return false;
+    }
+    this.twoFactor.lastUsedStep = step;
+    return true;
+  }
+
+  const hashed = hashBackupCode(candidate);
+  const index = (this.twoFactor.backupCodes || []).indexOf(hashed);
+  if (index !== -1) {
+    this.twoFactor.backupCodes.splice(index, 1);
+    return true;
+  }
+
+  return false;
+};
+
 userSchema.methods.toJSON = function () {
   const userObject = this.toObject();
   delete userObject.password;
+  userObject.permissions = getPermissions(this.role);
+  delete userObject.passwordResetToken;
+  delete userObject.passwordResetExpires;
+  delete userObject.verificationEmailSentAt;
+  if (userObject.passkeys) {
+    userObject.passkeys = userObject.passkeys.map(({ publicKey, ...passkey }) => passkey);
+  }
+  if (userObject.twoFactor) {
+    delete userObject.twoFactor.secret;
+    delete userObject.twoFactor.pendingSecret;
+    delete userObject.twoFactor.backupCodes;
+    delete userObject.twoFactor.lastUsedStep;
+  }
   return userObject;
 };
 
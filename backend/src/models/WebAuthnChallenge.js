@@ -0,0 +1,36 @@
+import mongoose from "mongoose";
+
+/**
+ * Desafío emitido para registrar una passkey o iniciar sesión con ella. El
+ * cliente lo recibe firmado en el challengeToken, pero solo es válido
+ * mientras exista aquí: se elimina al verificarlo, así una respuesta
+ * capturada no puede reutilizarse.
+ */
+const webAuthnChallengeSchema = new mongoose.Schema(
+  {
+    challenge: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    purpose: {
+      type: String,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+// MongoDB elimina automáticamente los desafíos que nadie llegó a usar
+webAuthnChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const WebAuthnChallenge = mongoose.model("WebAuthnChallenge", webAuthnChallengeSchema);
+
+export default WebAuthnChallenge;
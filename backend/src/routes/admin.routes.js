@@ -0,0 +1,46 @@
+import express from 'express';
+import {
+  listUsers,
+  getUser,
+  updateUserStatus,
+  updateUserRole,
+  unlockUser,
+} from '../controllers/admin.controller.js';
+import { listAuditEvents } from '../controllers/audit.controller.js';
+import {
+  validateListUsers,
+  validateUserId,
+  validateUpdateStatus,
+  validateUpdateRole,
+  validateListAuditEvents,
+} from '../validators/admin.validator.js';
+import { protect, requirePermission } from '../middlewares/auth.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+router.get('/users', requirePermission('users:read'), validateListUsers, listUsers);
+router.get('/users/:id', requirePermission('users:read'), validateUserId, getUser);
+router.patch(
+  '/users/:id/status',
+  requirePermission('users:write'),
+  validateUpdateStatus,
+  updateUserStatus
+);
+router.patch('/users/:id/unlock', requirePermission('users:write'), validateUserId, unlockUser);
+router.patch(
+  '/users/:id/role',
+  requirePermission('users:manage-roles'),
+  validateUpdateRole,
+  updateUserRole
+);
+
+router.get(
+  '/audit-events',
+  requirePermission('audit:read'),
+  validateListAuditEvents,
+  listAuditEvents
+);
+
+export default router;
@@ -1,13 +1,189 @@
 import express from 'express';
-import { register, login, logout, getMe } from '../controllers/auth.controller.js';
-import { validateRegister, validateLogin } from '../validators/auth.validator.js';
-import { protect } from '../middlewares/auth.js';
+import {
+  register,
+  login,
+  refresh,
+  logout,
+  getMe,
+  verifyEmail,
+  resendVerificationEmail,
+} from '../controllers/auth.controller.js';
+import { forgotPassword, resetPassword, changePassword } from '../controllers/password.controller.js';
+import {
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes,
+  verifyTwoFactorLogin,
+} from '../controllers/twoFactor.controller.js';
+import {
+  getSessions,
+  revokeSession,
+  logoutAll,
+  reportUnrecognizedLogin,
+} from '../controllers/session.controller.js';
+import { getMyActivity } from '../controllers/audit.controller.js';
+import { requestMagicLink, verifyMagicLink } from '../controllers/magicLink.controller.js';
+import {
+  getProviders,
+  startOAuthLogin,
+  startOAuthLink,
+  oauthCallback,
+  unlinkOAuthProvider,
+} from '../controllers/oauth.controller.js';
+import {
+  getRegistrationOptions,
+  verifyRegistration,
+  getAuthenticationOptions,
+  verifyAuthentication,
+  getPasskeys,
+  deletePasskey,
+} from '../controllers/webauthn.controller.js';
+import {
+  validateRegister,
+  validateLogin,
+  validateEmail,
+  validateResetPassword,
+  validateTwoFactorCode,
+  validateTwoFactorLogin,
+  validateDisableTwoFactor,
+  validateChangePassword,
+  validateMagicLinkToken,
+  validatePasskeyRegistration,
+  validatePasskeyLogin,
+  validateActivityQuery,
+} from '../validators/auth.validator.js';
+import { validateToken } from '../validators/user.validator.js';
+import { protect, requireScope, requireSession } from '../middlewares/auth.js';
+import { rateLimit } from '../middlewares/rateLimiter.js';
+
+const MINUTE_MS = 60 * 1000;
+
+// Creación de cuentas por IP
+const registerLimiter = rateLimit({ name: 'register', limit: 5, windowMs: 60 * MINUTE_MS });
+
+// Login por cuenta: permite alguna ráfaga (errores de tecleo) pero no fuerza bruta
+const loginLimiter = rateLimit({
+  name: 'login',
+  strategy: 'token-bucket',
+  limit: 10,
+  windowMs: 15 * MINUTE_MS,
+  key: 'email',
+});
+
+// Resto de rutas públicas por IP (refresh, verificación, 2FA, tokens de email)
+const publicLimiter = rateLimit({ name: 'auth', limit: 60, windowMs: 15 * MINUTE_MS });
+
+// Rutas que envían emails: por destinatario, para no usarlas como spam
+const emailLimiter = rateLimit({
+  name: 'email',
+  limit: 3,
+  windowMs: 15 * MINUTE_MS,
+  key: 'email',
+});
+
+// Rutas autenticadas que comprueban la contraseña o un código
+const sensitiveLimiter = rateLimit({
+  name: 'sensitive',
+  strategy: 'token-bucket',
+  limit: 10,
+  windowMs: 15 * MINUTE_MS,
+  key: 'user',
+});
 
 const router = express.Router();
 
-router.post('/register', validateRegister, register);
-router.post('/login', validateLogin, login);
-router.post('/logout', protect, logout);
-router.get('/me', protect, getMe);
+router.post('/register', registerLimiter, validateRegister, register);
+router.post('/login', publicLimiter, loginLimiter, validateLogin, login);
+router.post('/refresh', publicLimiter, refresh);
+router.post('/2fa/verify', publicLimiter, validateTwoFactorLogin, verifyTwoFactorLogin);
+
+router.get('/verify-email', publicLimiter, verifyEmail);
+router.post('/verify-email', publicLimiter, verifyEmail);
+router.post(
+  '/verify-email/resend',
+  publicLimiter,
+  emailLimiter,
+  validateEmail,
+  resendVerificationEmail
+);
+
+router.post('/forgot-password', publicLimiter, emailLimiter, validateEmail, forgotPassword);
+router.post('/reset-password/:token', publicLimiter, validateResetPassword, resetPassword);
+
+router.post('/magic-link', publicLimiter, emailLimiter, validateEmail, requestMagicLink);
+router.post('/magic-link/verify', publicLimiter, validateMagicLinkToken, verifyMagicLink);
+
+router.get('/oauth/providers', getProviders);
+router.get('/oauth/:provider', publicLimiter, startOAuthLogin);
+router.get('/oauth/:provider/callback', publicLimiter, oauthCallback);
+router.post('/oauth/:provider/link', protect, requireSession, startOAuthLink);
+router.delete('/oauth/:provider', protect, requireSession, unlinkOAuthProvider);
+
+router.post('/webauthn/login/options', publicLimiter, getAuthenticationOptions);
+router.post('/webauthn/login/verify', publicLimiter, validatePasskeyLogin, verifyAuthentication);
+router.post('/webauthn/register/options', protect, requireSession, getRegistrationOptions);
+router.post(
+  '/webauthn/register/verify',
+  protect,
+  requireSession,
+  sensitiveLimiter,
+  validatePasskeyRegistration,
+  verifyRegistration
+);
+router.get('/webauthn/credentials', protect, requireSession, getPasskeys);
+router.delete('/webauthn/credentials/:id', protect, requireSession, deletePasskey);
+
+router.post('/logout', protect, requireSession, logout);
+router.post('/logout-all', protect, requireSession, logoutAll);
+router.get('/me', protect, requireScope('profile:read'), getMe);
+router.patch(
+  '/password',
+  protect,
+  requireSession,
+  sensitiveLimiter,
+  validateChangePassword,
+  changePassword
+);
+
+// Enlace "No fui yo" del aviso de inicio de sesión desde un dispositivo nuevo
+router.post('/not-me', publicLimiter, validateToken, reportUnrecognizedLogin);
+
+router.get('/sessions', protect, requireSession, getSessions);
+router.delete('/sessions/:id', protect, requireSession, revokeSession);
+
+router.get(
+  '/activity',
+  protect,
+  requireScope('profile:read'),
+  validateActivityQuery,
+  getMyActivity
+);
+
+router.post('/2fa/setup', protect, requireSession, setupTwoFactor);
+router.post(
+  '/2fa/enable',
+  protect,
+  requireSession,
+  sensitiveLimiter,
+  validateTwoFactorCode,
+  enableTwoFactor
+);
+router.post(
+  '/2fa/disable',
+  protect,
+  requireSession,
+  sensitiveLimiter,
+  validateDisableTwoFactor,
+  disableTwoFactor
+);
+router.post(
+  '/2fa/backup-codes',
+  protect,
+  requireSession,
+  sensitiveLimiter,
+  validateTwoFactorCode,
+  regenerateBackupCodes
+);
 
 export default router;
@@ -0,0 +1,61 @@
+import express from 'express';
+import {
+  updateMe,
+  deleteMe,
+  exportMyData,
+  getPreferences,
+  updatePreferences,
+  confirmEmailChange,
+} from '../controllers/user.controller.js';
+import {
+  getAccessTokens,
+  createAccessToken,
+  revokeAccessToken,
+} from '../controllers/accessToken.controller.js';
+import {
+  validateUpdateMe,
+  validateDeleteMe,
+  validateUpdatePreferences,
+  validateCreateAccessToken,
+  validateAccessTokenId,
+  validateToken,
+} from '../validators/user.validator.js';
+import { protect, requireScope, requireSession } from '../middlewares/auth.js';
+import { rateLimit } from '../middlewares/rateLimiter.js';
+
+const WINDOW_MS = 15 * 60 * 1000;
+
+// Editar el perfil puede enviar un email de confirmación
+const updateMeLimiter = rateLimit({ name: 'update-me', limit: 10, windowMs: WINDOW_MS, key: 'user' });
+// Borrar la cuenta pide la contraseña; exportar los datos es una consulta costosa
+const deleteLimiter = rateLimit({ name: 'delete-me', limit: 5, windowMs: WINDOW_MS, key: 'user' });
+const exportLimiter = rateLimit({ name: 'export', limit: 5, windowMs: WINDOW_MS, key: 'user' });
+const confirmEmailLimiter = rateLimit({ name: 'confirm-email', limit: 20, windowMs: WINDOW_MS });
+
+const router = express.Router();
+
+router.patch(
+  '/me',
+  protect,
+  requireScope('profile:write'),
+  updateMeLimiter,
+  validateUpdateMe,
+  updateMe
+);
+router.delete('/me', protect, requireSession, deleteLimiter, validateDeleteMe, deleteMe);
+router.get('/me/export', protect, requireSession, exportLimiter, exportMyData);
+router.get('/me/preferences', protect, requireScope('profile:read'), getPreferences);
+router.patch(
+  '/me/preferences',
+  protect,
+  requireScope('profile:write'),
+  validateUpdatePreferences,
+  updatePreferences
+);
+
+router.get('/me/tokens', protect, requireSession, getAccessTokens);
+router.post('/me/tokens', protect, requireSession, validateCreateAccessToken, createAccessToken);
+router.delete('/me/tokens/:id', protect, requireSession, validateAccessTokenId, revokeAccessToken);
+router.post('/confirm-email', confirmEmailLimiter, validateToken, confirmEmailChange);
+
+export default router;
@@ -1,22 +1,44 @@
 import express from 'express';
-import dotenv from 'dotenv';
 import cookieParser from 'cookie-parser';
 import cors from 'cors';
+import { config, isAllowedOrigin } from './config/env.js';
+import { logger } from './utils/logger.js';
 import connectDB from './config/database.js';
+import { startAccountPurgeJob } from './utils/accountDeletion.js';
+import { gracefulShutdown } from './utils/shutdown.js';
 import authRoutes from './routes/auth.routes.js';
+import userRoutes from './routes/user.routes.js';
+import adminRoutes from './routes/admin.routes.js';
+import healthRoutes from './routes/health.routes.js';
 import { errorHandler, notFound } from './middlewares/errorHandler.js';
 import { csrfProtection } from './middlewares/csrfProtection.js';
-
-dotenv.config();
+import { requestLogger, REQUEST_ID_HEADER } from './middlewares/requestLogger.js';
+import { httpMetrics, requireMetricsToken, trackRoute } from './middlewares/metrics.js';
+import { getMetrics } from './controllers/metrics.controller.js';
+import { getCsrfToken } from './controllers/auth.controller.js';
+import { requireDatabase } from './middlewares/requireDatabase.js';
 
 const app = express();
 
-connectDB();
+startAccountPurgeJob();
+
+// Primero: el requestId y req.log tienen que existir para todo lo demás
+app.use(requestLogger);
+app.use(httpMetrics);
 
 app.use(
   cors({
-    origin: process.env.CORS_ORIGIN || 'http://localhost:3000',
+    // Sin Origin (curl, servidor a servidor) no aplica CORS
+    origin: (origin, callback) => callback(null, !origin || isAllowedOrigin(origin)),
     credentials: true,
+    // Permite al frontend leer cuánto falta para volver a intentarlo y el id de la petición
+    exposedHeaders: [
+      'Retry-After',
+      'RateLimit-Limit',
+      'RateLimit-Remaining',
+      'RateLimit-Reset',
+      REQUEST_ID_HEADER,
+    ],
   })
 );
 
@@ -24,48 +46,45 @@ app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 app.use(cookieParser());
 
-// Protección CSRF mediante verificación de origin/referer (solo en producción)
-if (process.env.NODE_ENV === 'production') {
-  app.use(csrfProtection);
-}
+// Protección CSRF mediante tokens firmados, en todos los entornos
+app.use(csrfProtection);
 
-app.use((req, res, next) => {
-  console.log(`${req.method} ${req.path} - ${new Date().toISOString()}`);
-  next();
-});
+// Probes: /live (el proceso responde) y /ready (puede atender tráfico)
+app.use('/api/health', trackRoute, healthRoutes);
 
-app.get('/api/health', (req, res) => {
-  res.status(200).json({
-    status: 'success',
-    message: 'Server is running',
-    timestamp: new Date().toISOString(),
-  });
-});
+// Formato de Prometheus; protegido con METRICS_TOKEN si está definido
+app.get('/api/metrics', requireMetricsToken, getMetrics);
 
-app.use('/api/auth', authRoutes);
+// No usa MongoDB: el frontend debe poder pedir el token aunque la base de datos no responda
+app.get('/api/auth/csrf', getCsrfToken);
+
+// Las rutas siguientes necesitan MongoDB: sin conexión responden 503 al momento
+app.use('/api', requireDatabase);
+
+app.use('/api/auth', trackRoute, authRoutes);
+app.use('/api/users', trackRoute, userRoutes);
+app.use('/api/admin', trackRoute, adminRoutes);
 
 app.use(notFound);
 app.use(errorHandler);
 
-const PORT = process.env.PORT || 5000;
+const server = app.listen(config.port, () => {
+  logger.info('Server started', { env: config.env, port: config.port });
+});
 
-const server = app.listen(PORT, () => {
-  console.log(`Server running in ${process.env.NODE_ENV || 'development'} mode on port ${PORT}`);
+// El servidor arranca sin esperar a MongoDB (readiness responde 503 mientras
+// tanto); si se agotan los reintentos de conexión el proceso se apaga
+connectDB().catch(() => {
+  gracefulShutdown(server, { reason: 'database_unavailable', exitCode: 1 });
 });
 
 process.on('unhandledRejection', (err) => {
-  console.log('UNHANDLED REJECTION! Shutting down...');
-  console.log(err.name, err.message);
-  server.close(() => {
-    process.exit(1);
-  });
+  logger.error('Unhandled rejection, shutting down', { err });
+  gracefulShutdown(server, { reason: 'unhandledRejection', exitCode: 1 });
 });
 
-process.on('SIGTERM', () => {
-  console.log('SIGTERM RECEIVED. Shutting down gracefully');
-  server.close(() => {
-    console.log('Process terminated');
-  });
+['SIGTERM', 'SIGINT'].forEach((signal) => {
+  process.on(signal, () => gracefulShutdown(server, { reason: signal }));
 });
 
 export default app;
@@ -0,0 +1,100 @@
+import User from '../models/User.js';
+import Session from '../models/Session.js';
+import RefreshToken from '../models/RefreshToken.js';
+import KnownDevice from '../models/KnownDevice.js';
+import MagicLink from '../models/MagicLink.js';
+import AccessToken from '../models/AccessToken.js';
+import AuditEvent from '../models/AuditEvent.js';
+import { recordAuditEvent } from './audit.js';
+import { config } from '../config/env.js';
+import { isDatabaseConnected } from '../config/database.js';
+import { logger } from './logger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+const getGraceDays = () => config.accountDeletion.graceDays;
+
+/**
+ * Marca la cuenta para su eliminación al terminar el periodo de gracia,
+ * cierra todas sus sesiones y revoca sus tokens de acceso personal. El resto
+ * de datos sigue intacto hasta la purga.
+ */
+export const scheduleAccountDeletion = async (user) => {
+  const now = new Date();
+
+  user.deletedAt = now;
+  user.purgeAt = new Date(now.getTime() + getGraceDays() * DAY_MS);
+  await user.save({ validateBeforeSave: false });
+
+  await Session.revoke({ user: user._id });
+  await AccessToken.deleteMany({ user: user._id });
+
+  return user.purgeAt;
+};
+
+// Un login completo durante el periodo de gracia cancela la eliminación
+export const restoreDeletedAccount = async (user, req) => {
+  if (!user.deletedAt) {
+    return;
+  }
+
+  await User.updateOne({ _id: user._id }, { $set: { deletedAt: null, purgeAt: null } });
+  user.deletedAt = null;
+  user.purgeAt = null;
+
+  await recordAuditEvent(req, 'account.restored', { user });
+};
+
+/**
+ * Elimina definitivamente las cuentas cuyo periodo de gracia ha terminado,
+ * junto con sus sesiones, tokens y dispositivos. El registro de auditoría
+ * es de solo escritura y se conserva.
+ */
+export const purgeDeletedAccounts = async () => {
+  const users = await User.find({ purgeAt: { $lte: new Date() } }).select('_id email');
+  let purged = 0;
+
+  for (const user of users) {
+    // La condición evita borrar una cuenta restaurada mientras tanto
+    const { deletedCount } = await User.deleteOne({
+      _id: user._id,
+      purgeAt: { $lte: new Date() },
+    });
+
+    if (!deletedCount) {
+      continue;
+    }
+
+    await Promise.all([
+      Session.deleteMany({ user: user._id }),
+      RefreshToken.deleteMany({ user: user._id }),
+      KnownDevice.deleteMany({ user: user._id }),
+      MagicLink.deleteMany({ email: user.email }),
+      AccessToken.deleteMany({ user: user._id }),
+    ]);
+    await AuditEvent.create({ type: 'account.deleted', user: user._id });
+    purged += 1;
+  }
+
+  return purged;
+};
+
+export const startAccountPurgeJob = () => {
+  setInterval(async () => {
+    // Sin conexión se salta la pasada: la siguiente recogerá lo pendiente
+    if (!isDatabaseConnected()) {
+      return;
+    }
+
+    try {
+      const purged = await purgeDeletedAccounts();
+
+      if (purged) {
+        logger.info('Purged deleted accounts', { count: purged });
+      }
+    } catch (error) {
+      logger.error('Error purging deleted accounts', { err: error });
+    }
+  }, PURGE_INTERVAL_MS).unref();
+};
@@ -0,0 +1,34 @@
+import AuditEvent from '../models/AuditEvent.js';
+import { describeDevice } from './device.js';
+
+/**
+ * Registra un evento de auditoría con la IP y el dispositivo de la petición.
+ * Por defecto el usuario afectado es el autenticado; si se indica otro
+ * (acciones de administración), el autenticado queda como `actor`.
+ * Un fallo al guardar el evento nunca debe romper la petición.
+ */
+export const recordAuditEvent = async (
+  req,
+  type,
+  { user = req.user, outcome = 'success', email, metadata } = {}
+) => {
+  const userId = user?._id || user || null;
+  const actorId = req.user && userId && !req.user._id.equals(userId) ? req.user._id : null;
+  const userAgent = req.get('user-agent') || '';
+
+  try {
+    await AuditEvent.create({
+      type,
+      outcome,
+      user: userId,
+      actor: actorId,
+      email: email || user?.email,
+      ip: req.ip,
+      userAgent,
+      device: describeDevice(userAgent),
+      metadata,
+    });
+  } catch (error) {
+    req.log.error('Error recording audit event', { type, err: error });
+  }
+};
@@ -0,0 +1,66 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { getCookieOptions } from './jwt.js';
+import { config } from '../config/env.js';
+
+// Cookie httpOnly que identifica al navegador; el token se deriva de ella
+export const CSRF_COOKIE = 'csrfSecret';
+export const CSRF_HEADER = 'x-csrf-token';
+
+const CSRF_COOKIE_PATH = '/api';
+
+// Sesión de la cookie de acceso ('' sin sesión). Se acepta el token caducado:
+// la sesión sigue siendo la misma hasta el refresh, que conserva el id
+const getSessionId = (req) => {
+  const token = req.cookies?.token;
+  if (!token || token === 'none') {
+    return '';
+  }
+
+  try {
+    return jwt.verify(token, config.jwt.secret, { ignoreExpiration: true }).sid || '';
+  } catch (error) {
+    return '';
+  }
+};
+
+const sign = (secret, sessionId, nonce) => {
+  return crypto
+    .createHmac('sha256', config.jwt.secret)
+    .update(`${secret}.${sessionId}.${nonce}`)
+    .digest('base64url');
+};
+
+/**
+ * Token CSRF firmado ligado a la cookie del navegador y a la sesión
+ * (double submit firmado): otro sitio no puede leer la cookie ni, por tanto,
+ * fabricar un token válido. Al iniciar o cerrar sesión cambia la sesión y los
+ * tokens anteriores dejan de valer. Reutiliza la cookie existente para que
+ * los tokens ya emitidos en la misma sesión sigan valiendo.
+ */
+export const createCsrfToken = (req, res) => {
+  const current = req.cookies?.[CSRF_COOKIE];
+  const secret = /^[a-f0-9]{64}$/.test(current || '')
+    ? current
+    : crypto.randomBytes(32).toString('hex');
+
+  // Sin fecha de caducidad: dura lo que la sesión del navegador
+  res.cookie(CSRF_COOKIE, secret, { ...getCookieOptions(), path: CSRF_COOKIE_PATH });
+
+  const nonce = crypto.randomBytes(16).toString('base64url');
+  return `${nonce}.${sign(secret, getSessionId(req), nonce)}`;
+};
+
+export const verifyCsrfToken = (req) => {
+  const secret = req.cookies?.[CSRF_COOKIE];
+  const [nonce, signature] = String(req.get(CSRF_HEADER) || '').split('.');
+
+  if (!secret || !nonce || !signature) {
+    return false;
+  }
+
+  const expected = Buffer.from(sign(secret, getSessionId(req), nonce));
+  const received = Buffer.from(signature);
+
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
@@ -0,0 +1,39 @@
+const BROWSERS = [
+  ['Edge', /Edg(?:e|A|iOS)?\//],
+  ['Opera', /OPR\/|Opera/],
+  ['Firefox', /Firefox\/|FxiOS\//],
+  ['Chrome', /Chrome\/|CriOS\//],
+  ['Safari', /Safari\//],
+];
+
+const OPERATING_SYSTEMS = [
+  ['Windows', /Windows/],
+  ['Android', /Android/],
+  ['iOS', /iPhone|iPad|iPod/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['Linux', /Linux/],
+];
+
+const findMatch = (list, userAgent) => {
+  const match = list.find(([, pattern]) => pattern.test(userAgent));
+  return match ? match[0] : null;
+};
+
+/**
+ * Obtiene una descripción legible del dispositivo a partir del User-Agent
+ * (ej: "Chrome on Windows"). No pretende ser exhaustivo.
+ */
+export const describeDevice = (userAgent = '') => {
+  if (!userAgent) {
+    return 'Unknown device';
+  }
+
+  const browser = findMatch(BROWSERS, userAgent);
+  const os = findMatch(OPERATING_SYSTEMS, userAgent);
+
+  if (browser && os) return `${browser} on ${os}`;
+  if (browser || os) return browser || os;
+
+  // Clientes no navegador (curl, scripts, etc.)
+  return userAgent.split(' ')[0].slice(0, 60);
+};
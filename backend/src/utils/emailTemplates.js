@@ -0,0 +1,103 @@
+import { config } from '../config/env.js';
+
+export const buildFrontendUrl = (pathname, params = {}) => {
+  const url = new URL(pathname, config.frontendUrl);
+  Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+  return url.toString();
+};
+
+const layout = (title, body) => `
+  <div style="font-family: Arial, sans-serif; max-width: 560px; margin: 0 auto;">
+    <h2 style="color: #2563eb;">${title}</h2>
+    ${body}
+    <p style="color: #6b7280; font-size: 12px;">Si no solicitaste este correo, puedes ignorarlo.</p>
+  </div>
+`;
+
+const button = (url, label) => `
+  <p>
+    <a href="${url}" style="display: inline-block; padding: 10px 16px; background: #2563eb; color: #fff; border-radius: 8px; text-decoration: none;">${label}</a>
+  </p>
+  <p style="font-size: 12px; color: #6b7280;">O copia este enlace en tu navegador: ${url}</p>
+`;
+
+export const verificationEmail = ({ username, url, expiresIn }) => ({
+  subject: 'Verifica tu correo electrónico',
+  text: `Hola ${username},\n\nConfirma tu correo electrónico abriendo este enlace (válido durante ${expiresIn}):\n${url}\n\nSi no creaste esta cuenta, ignora este correo.`,
+  html: layout(
+    'Verifica tu correo electrónico',
+    `<p>Hola ${username},</p>
+     <p>Confirma tu correo electrónico para activar tu cuenta. El enlace es válido durante ${expiresIn}.</p>
+     ${button(url, 'Verificar correo')}`
+  ),
+});
+
+export const passwordResetEmail = ({ username, url, expiresInMinutes }) => ({
+  subject: 'Restablece tu contraseña',
+  text: `Hola ${username},\n\nRecibimos una solicitud para restablecer tu contraseña. Abre este enlace (válido durante ${expiresInMinutes} minutos):\n${url}\n\nSi no lo solicitaste, ignora este correo: tu contraseña no cambiará.`,
+  html: layout(
+    'Restablece tu contraseña',
+    `<p>Hola ${username},</p>
+     <p>Recibimos una solicitud para restablecer tu contraseña. El enlace es válido durante ${expiresInMinutes} minutos y solo puede usarse una vez.</p>
+     ${button(url, 'Restablecer contraseña')}`
+  ),
+});
+
+export const emailChangeEmail = ({ username, url, expiresIn }) => ({
+  subject: 'Confirma tu nuevo correo electrónico',
+  text: `Hola ${username},\n\nSolicitaste usar esta dirección como tu nuevo correo. Confírmalo abriendo este enlace (válido durante ${expiresIn}):\n${url}\n\nHasta que lo confirmes, seguiremos usando tu correo anterior.`,
+  html: layout(
+    'Confirma tu nuevo correo electrónico',
+    `<p>Hola ${username},</p>
+     <p>Solicitaste usar esta dirección como tu nuevo correo. Hasta que lo confirmes, seguiremos usando tu correo anterior. El enlace es válido durante ${expiresIn}.</p>
+     ${button(url, 'Confirmar correo')}`
+  ),
+});
+
+export const magicLinkEmail = ({ username, url, expiresInMinutes }) => ({
+  subject: 'Tu enlace para iniciar sesión',
+  text: `Hola${username ? ` ${username}` : ''},\n\nAbre este enlace para iniciar sesión (válido durante ${expiresInMinutes} minutos, un solo uso y en el mismo navegador desde el que lo pediste):\n${url}\n\nSi no lo solicitaste, ignora este correo.`,
+  html: layout(
+    'Inicia sesión',
+    `<p>Hola${username ? ` ${username}` : ''},</p>
+     <p>Usa este botón para iniciar sesión. El enlace es válido durante ${expiresInMinutes} minutos, solo puede usarse una vez y debe abrirse en el mismo navegador desde el que lo pediste.</p>
+     ${button(url, 'Iniciar sesión')}`
+  ),
+});
+
+export const newDeviceLoginEmail = ({ username, device, ip, date, url }) => {
+  const when = new Date(date).toLocaleString('es-ES', { dateStyle: 'long', timeStyle: 'short' });
+
+  return {
+    subject: 'Nuevo inicio de sesión en tu cuenta',
+    text: `Hola ${username},\n\nSe ha iniciado sesión en tu cuenta desde un dispositivo nuevo:\n\nDispositivo: ${device}\nIP: ${ip}\nFecha: ${when}\n\nSi fuiste tú, no tienes que hacer nada. Si no lo reconoces, abre este enlace para cerrar esa sesión y restablecer tu contraseña:\n${url}`,
+    html: layout(
+      'Nuevo inicio de sesión',
+      `<p>Hola ${username},</p>
+       <p>Se ha iniciado sesión en tu cuenta desde un dispositivo nuevo:</p>
+       <ul>
+         <li><strong>Dispositivo:</strong> ${device}</li>
+         <li><strong>IP:</strong> ${ip}</li>
+         <li><strong>Fecha:</strong> ${when}</li>
+       </ul>
+       <p>Si fuiste tú, no tienes que hacer nada. Si no lo reconoces, cierra esa sesión y restablece tu contraseña.</p>
+       ${button(url, 'No fui yo')}`
+    ),
+  };
+};
+
+export const accountDeletionEmail = ({ username, purgeAt, url }) => {
+  const when = new Date(purgeAt).toLocaleString('es-ES', { dateStyle: 'long' });
+
+  return {
+    subject: 'Tu cuenta se eliminará pronto',
+    text: `Hola ${username},\n\nHemos recibido tu solicitud para eliminar tu cuenta. Se eliminará definitivamente el ${when}, junto con todos tus datos.\n\nSi cambias de opinión, inicia sesión antes de esa fecha y la cuenta se restaurará:\n${url}`,
+    html: layout(
+      'Eliminación de cuenta',
+      `<p>Hola ${username},</p>
+       <p>Hemos recibido tu solicitud para eliminar tu cuenta. Se eliminará definitivamente el <strong>${when}</strong>, junto con todos tus datos.</p>
+       <p>Si cambias de opinión, inicia sesión antes de esa fecha y la cuenta se restaurará.</p>
+       ${button(url, 'Iniciar sesión')}`
+    ),
+  };
+};
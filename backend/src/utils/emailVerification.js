@@ -0,0 +1,39 @@
+import { generatePurposeToken } from './jwt.js';
+import { sendMail } from './mailer.js';
+import { buildFrontendUrl, verificationEmail } from './emailTemplates.js';
+import { config } from '../config/env.js';
+
+export const VERIFY_EMAIL_PURPOSE = 'verify-email';
+
+/**
+ * Política de verificación: con REQUIRE_EMAIL_VERIFICATION=true los usuarios
+ * sin verificar no pueden iniciar sesión. Por defecto solo se recomienda.
+ */
+export const isEmailVerificationRequired = () => {
+  return config.emailVerification.required;
+};
+
+export const getResendCooldown = () => {
+  return config.emailVerification.resendCooldownSeconds * 1000;
+};
+
+export const sendVerificationEmail = async (user) => {
+  const expiresIn = config.emailVerification.expiresIn;
+
+  // El email forma parte del token: si cambia, los enlaces anteriores dejan de valer
+  const token = generatePurposeToken(
+    VERIFY_EMAIL_PURPOSE,
+    { id: user._id, email: user.email },
+    expiresIn
+  );
+
+  const url = buildFrontendUrl('/verify-email', { token });
+
+  await sendMail({
+    to: user.email,
+    ...verificationEmail({ username: user.username, url, expiresIn }),
+  });
+
+  user.verificationEmailSentAt = new Date();
+  await user.save({ validateBeforeSave: false });
+};
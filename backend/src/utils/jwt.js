@@ -1,31 +1,190 @@
+import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
+import RefreshToken from '../models/RefreshToken.js';
+import Session from '../models/Session.js';
+import { describeDevice } from './device.js';
+import { checkLoginDevice } from './knownDevices.js';
+import { restoreDeletedAccount } from './accountDeletion.js';
+import { getPermissions } from '../config/roles.js';
+import { AppError, ERROR_CODES } from '../middlewares/errorHandler.js';
+import { config } from '../config/env.js';
 
-export const generateToken = (userId) => {
-  return jwt.sign({ id: userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || '7d',
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const REFRESH_COOKIE_PATH = '/api/auth';
+const REFRESH_TOKEN_DELIVERY_HEADER = 'x-refresh-token-delivery';
+
+export const generateToken = (userId, sessionId) => {
+  return jwt.sign({ id: userId, sid: sessionId }, config.jwt.secret, {
+    expiresIn: config.jwt.expiresIn,
+  });
+};
+
+/**
+ * Tokens firmados de un solo propósito (verificación de email, etc.).
+ * El campo `purpose` impide reutilizar un token emitido para otro flujo.
+ */
+export const generatePurposeToken = (purpose, payload, expiresIn) => {
+  return jwt.sign({ ...payload, purpose }, config.jwt.secret, { expiresIn });
+};
+
+export const verifyPurposeToken = (token, purpose) => {
+  const decoded = jwt.verify(token, config.jwt.secret);
+
+  if (decoded.purpose !== purpose) {
+    throw new jwt.JsonWebTokenError('invalid token purpose');
+  }
+
+  return decoded;
+};
+
+export const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+const getRefreshTokenTtl = () => {
+  return config.jwt.refreshExpiresInDays * DAY_MS;
+};
+
+export const getCookieOptions = (expires) => ({
+  expires,
+  httpOnly: true,
+  secure: config.isProduction,
+  sameSite: config.isProduction ? 'none' : 'strict',
+});
+
+/**
+ * Emite un refresh token de un solo uso dentro de una familia.
+ * Solo se guarda el hash; el token en claro viaja únicamente al cliente.
+ */
+export const generateRefreshToken = async (userId, family) => {
+  const refreshToken = crypto.randomBytes(40).toString('hex');
+
+  await RefreshToken.create({
+    user: userId,
+    family,
+    tokenHash: hashToken(refreshToken),
+    expiresAt: new Date(Date.now() + getRefreshTokenTtl()),
+  });
+
+  return refreshToken;
+};
+
+export const clearAuthCookies = (res) => {
+  const expires = new Date(Date.now() + 10 * 1000);
+
+  res.cookie('token', 'none', getCookieOptions(expires));
+  res.cookie('refreshToken', 'none', {
+    ...getCookieOptions(expires),
+    path: REFRESH_COOKIE_PATH,
+  });
+};
+
+/**
+ * Crea la sesión de un nuevo login o extiende una existente (refresh),
+ * registrando el dispositivo y la IP desde los que se usa.
+ */
+const startOrExtendSession = async (user, req, session) => {
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + getRefreshTokenTtl());
+
+  if (session) {
+    session.ip = req.ip;
+    session.lastSeenAt = now;
+    session.expiresAt = expiresAt;
+    return session.save();
+  }
+
+  const userAgent = req.get('user-agent') || '';
+
+  return Session.create({
+    user: user._id,
+    device: describeDevice(userAgent),
+    ip: req.ip,
+    userAgent,
+    lastSeenAt: now,
+    expiresAt,
   });
 };
 
-export const sendTokenResponse = (user, statusCode, res) => {
-  const token = generateToken(user._id);
+// Tras denunciar un login ajeno ("No fui yo") la contraseña se considera comprometida
+export const passwordResetRequiredError = () => {
+  return new AppError(
+    'You must reset your password. Check your email for a reset link',
+    403,
+    ERROR_CODES.PASSWORD_RESET_REQUIRED
+  );
+};
+
+/**
+ * Inicia (o extiende) la sesión y deja las cookies de autenticación en la
+ * respuesta. Devuelve los tokens para quien necesite enviarlos en el body.
+ * Todos los métodos de login pasan por aquí, así que las condiciones que
+ * impiden abrir una sesión nueva se comprueban en este punto.
+ */
+export const setAuthCookies = async (user, req, res, session) => {
+  if (!session && user.passwordResetRequired) {
+    throw passwordResetRequiredError();
+  }
 
-  const cookieOptions = {
-    expires: new Date(
-      Date.now() + (parseInt(process.env.JWT_COOKIE_EXPIRES_IN) || 7) * 24 * 60 * 60 * 1000
-    ),
-    httpOnly: true,
-    secure: process.env.NODE_ENV === 'production',
-    sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'strict',
+  const activeSession = await startOrExtendSession(user, req, session);
+
+  // Solo los logins nuevos (no los refresh) restauran la cuenta y pasan por
+  // el control de dispositivos
+  if (!session) {
+    await restoreDeletedAccount(user, req);
+    await checkLoginDevice(user, req, res, activeSession);
+  }
+
+  const token = generateToken(user._id, activeSession._id);
+  const refreshToken = await generateRefreshToken(user._id, activeSession._id.toString());
+
+  const cookieOptions = getCookieOptions(
+    new Date(Date.now() + config.jwt.cookieExpiresInDays * DAY_MS)
+  );
+
+  // El refresh token solo se envía a las rutas de autenticación
+  const refreshCookieOptions = {
+    ...getCookieOptions(new Date(Date.now() + getRefreshTokenTtl())),
+    path: REFRESH_COOKIE_PATH,
   };
 
-  res.status(statusCode).cookie('token', token, cookieOptions).json({
+  res
+    .cookie('token', token, cookieOptions)
+    .cookie('refreshToken', refreshToken, refreshCookieOptions);
+
+  return { token, refreshToken };
+};
+
+/**
+ * El refresh token solo viaja en la cookie httpOnly, fuera del alcance de un
+ * XSS. Los clientes sin navegador (CLI, apps nativas) lo piden en el body con
+ * X-Refresh-Token-Delivery: body; se exige además que no haya Origin, que un
+ * script en una página no puede omitir.
+ */
+const wantsRefreshTokenInBody = (req) => {
+  return req.get(REFRESH_TOKEN_DELIVERY_HEADER) === 'body' && !req.get('origin');
+};
+
+export const sendTokenResponse = async (user, statusCode, req, res, session) => {
+  const { token, refreshToken } = await setAuthCookies(user, req, res, session);
+
+  res.status(statusCode).json({
     status: 'success',
     token,
+    refreshToken: wantsRefreshTokenInBody(req) ? refreshToken : undefined,
     data: {
       user: {
         _id: user._id,
         username: user.username,
         email: user.email,
+        emailVerified: user.emailVerified,
+        role: user.role,
+        permissions: getPermissions(user.role),
+        twoFactor: {
+          enabled: Boolean(user.twoFactor?.enabled),
+        },
+        preferences: user.preferences,
         createdAt: user.createdAt,
       },
     },
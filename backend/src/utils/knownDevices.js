@@ -0,0 +1,104 @@
+import crypto from 'crypto';
+import KnownDevice from '../models/KnownDevice.js';
+import { generatePurposeToken, hashToken, getCookieOptions } from './jwt.js';
+import { describeDevice } from './device.js';
+import { sendMail } from './mailer.js';
+import { buildFrontendUrl, newDeviceLoginEmail } from './emailTemplates.js';
+import { recordAuditEvent } from './audit.js';
+import { config } from '../config/env.js';
+
+export const NOT_ME_PURPOSE = 'login-not-me';
+
+const DEVICE_COOKIE = 'deviceId';
+const DEVICE_COOKIE_PATH = '/api/auth';
+const DEVICE_COOKIE_TTL_MS = 365 * 24 * 60 * 60 * 1000;
+
+// La huella ignora versiones para que una actualización del navegador no cuente como nuevo
+const getFingerprint = (userAgent) => hashToken(describeDevice(userAgent));
+
+const getDeviceId = (req, res) => {
+  const current = req.cookies?.[DEVICE_COOKIE];
+  const deviceId = /^[a-f0-9]{64}$/.test(current || '')
+    ? current
+    : crypto.randomBytes(32).toString('hex');
+
+  res.cookie(DEVICE_COOKIE, deviceId, {
+    ...getCookieOptions(new Date(Date.now() + DEVICE_COOKIE_TTL_MS)),
+    path: DEVICE_COOKIE_PATH,
+  });
+
+  return deviceId;
+};
+
+const sendNewDeviceAlert = async (user, req, session, knownDevice) => {
+  const token = generatePurposeToken(
+    NOT_ME_PURPOSE,
+    { id: user._id, sid: session._id, did: knownDevice._id },
+    config.loginAlert.expiresIn
+  );
+
+  try {
+    await sendMail({
+      to: user.email,
+      ...newDeviceLoginEmail({
+        username: user.username,
+        device: knownDevice.device,
+        ip: req.ip,
+        date: session.createdAt,
+        url: buildFrontendUrl('/not-me', { token }),
+      }),
+    });
+  } catch (error) {
+    req.log.error('Error sending new device alert', { err: error });
+  }
+};
+
+/**
+ * Comprueba si un login nuevo viene de un dispositivo conocido: la cookie de
+ * dispositivo debe coincidir y el navegador y sistema operativo también.
+ * Un dispositivo desconocido se registra y, si el usuario ya tenía otros y
+ * tiene activadas las alertas de seguridad, se le avisa por email.
+ */
+export const checkLoginDevice = async (user, req, res, session) => {
+  const userAgent = req.get('user-agent') || '';
+  const tokenHash = hashToken(getDeviceId(req, res));
+  const fingerprint = getFingerprint(userAgent);
+
+  const knownDevice = await KnownDevice.findOne({ user: user._id, tokenHash });
+
+  if (knownDevice && knownDevice.fingerprint === fingerprint) {
+    knownDevice.ip = req.ip;
+    knownDevice.lastSeenAt = new Date();
+    await knownDevice.save();
+    return;
+  }
+
+  const hasOtherDevices = await KnownDevice.exists({ user: user._id });
+
+  const newDevice = await KnownDevice.findOneAndUpdate(
+    { user: user._id, tokenHash },
+    {
+      $set: {
+        fingerprint,
+        device: describeDevice(userAgent),
+        ip: req.ip,
+        lastSeenAt: new Date(),
+      },
+    },
+    { upsert: true, new: true }
+  );
+
+  // El primer dispositivo de una cuenta no es motivo de alerta
+  if (!hasOtherDevices) {
+    return;
+  }
+
+  await recordAuditEvent(req, 'session.new_device', {
+    user,
+    metadata: { session: session._id, device: newDevice.device },
+  });
+
+  if (user.preferences?.notifications?.securityAlerts) {
+    await sendNewDeviceAlert(user, req, session, newDevice);
+  }
+};
@@ -0,0 +1,79 @@
+/**
+ * Logger estructurado: cada línea es un objeto JSON con la hora, el nivel y
+ * el mensaje, más los campos que se pasen. Los campos con nombre sensible
+ * (contraseñas, tokens, cookies...) se ocultan siempre antes de escribir.
+ *
+ * Uso: logger.info('Mensaje', { campo: valor }). Con child() se crea un
+ * logger que añade campos fijos a cada línea (p. ej. el requestId).
+ */
+export const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+const REDACTED = '[REDACTED]';
+const SENSITIVE_KEY = /password|passwd|secret|token|cookie|authorization|csrf|otp/i;
+
+let minLevel = LOG_LEVELS.info;
+
+export const setLogLevel = (level) => {
+  minLevel = LOG_LEVELS[level] ?? LOG_LEVELS.info;
+};
+
+const serializeError = (error) => ({
+  ...error,
+  name: error.name,
+  message: error.message,
+  stack: error.stack,
+});
+
+// Copia profunda ocultando los valores sensibles; tolera referencias circulares
+const redact = (value, seen = new WeakSet()) => {
+  if (value instanceof Error) {
+    return redact(serializeError(value), seen);
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  if (typeof value.toJSON === 'function') {
+    return redact(value.toJSON(), seen);
+  }
+  if (seen.has(value)) {
+    return '[Circular]';
+  }
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, seen));
+  }
+
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [
+      key,
+      SENSITIVE_KEY.test(key) && item != null ? REDACTED : redact(item, seen),
+    ])
+  );
+};
+
+const write = (level, msg, bindings, fields) => {
+  if (LOG_LEVELS[level] < minLevel) {
+    return;
+  }
+
+  const line = {
+    time: new Date().toISOString(),
+    level,
+    msg,
+    ...redact(bindings),
+    ...redact(fields),
+  };
+
+  process.stdout.write(`${JSON.stringify(line)}\n`);
+};
+
+const createLogger = (bindings = {}) => ({
+  debug: (msg, fields) => write('debug', msg, bindings, fields),
+  info: (msg, fields) => write('info', msg, bindings, fields),
+  warn: (msg, fields) => write('warn', msg, bindings, fields),
+  error: (msg, fields) => write('error', msg, bindings, fields),
+  child: (extra) => createLogger({ ...bindings, ...extra }),
+});
+
+export const logger = createLogger();
@@ -0,0 +1,81 @@
+import { AppError } from '../middlewares/errorHandler.js';
+import { config } from '../config/env.js';
+
+const MINUTE_MS = 60 * 1000;
+
+// Intentos fallidos por IP en memoria: ip -> { count, windowStart, lockUntil }
+const ipAttempts = new Map();
+
+const getIpMaxAttempts = () => config.loginAttempts.ipMaxAttempts;
+const getLockMs = () => config.loginAttempts.lockMinutes * MINUTE_MS;
+const getWindowMs = () => config.loginAttempts.windowMinutes * MINUTE_MS;
+
+const getActiveEntry = (ip) => {
+  const entry = ipAttempts.get(ip);
+
+  if (!entry) {
+    return null;
+  }
+
+  const now = Date.now();
+  const windowExpired = now - entry.windowStart > getWindowMs();
+  const lockExpired = !entry.lockUntil || entry.lockUntil <= now;
+
+  if (windowExpired && lockExpired) {
+    ipAttempts.delete(ip);
+    return null;
+  }
+
+  return entry;
+};
+
+export const getIpLockUntil = (ip) => {
+  const entry = getActiveEntry(ip);
+  return entry?.lockUntil > Date.now() ? new Date(entry.lockUntil) : null;
+};
+
+/**
+ * Suma un fallo a la IP. Al superar LOGIN_IP_MAX_ATTEMPTS dentro de la ventana
+ * la IP queda bloqueada LOGIN_LOCK_MINUTES. Devuelve la fecha de desbloqueo
+ * si el intento provoca un bloqueo, o null.
+ */
+export const registerFailedIpAttempt = (ip) => {
+  const now = Date.now();
+  const entry = getActiveEntry(ip) || { count: 0, windowStart: now, lockUntil: null };
+
+  entry.count += 1;
+
+  if (entry.count >= getIpMaxAttempts()) {
+    entry.lockUntil = now + getLockMs();
+    entry.count = 0;
+    entry.windowStart = now;
+  }
+
+  ipAttempts.set(ip, entry);
+
+  return entry.lockUntil > now ? new Date(entry.lockUntil) : null;
+};
+
+// Limpieza periódica para que el mapa no crezca sin límite
+setInterval(() => {
+  for (const ip of ipAttempts.keys()) {
+    getActiveEntry(ip);
+  }
+}, 10 * MINUTE_MS).unref();
+
+/**
+ * Error 429 para una cuenta o IP bloqueada, con la cabecera Retry-After
+ * para que el cliente pueda indicar cuánto falta.
+ */
+export const lockoutError = (res, lockUntil) => {
+  const retryAfter = Math.max(1, Math.ceil((lockUntil.getTime() - Date.now()) / 1000));
+  const minutes = Math.ceil(retryAfter / 60);
+  const unit = minutes === 1 ? 'minute' : 'minutes';
+
+  res.set('Retry-After', String(retryAfter));
+
+  return new AppError(
+    `Too many failed login attempts. Please try again in ${minutes} ${unit}`,
+    429
+  );
+};
@@ -0,0 +1,72 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { config } from '../config/env.js';
+import { logger } from './logger.js';
+
+/**
+ * Envío de emails mediante transportes intercambiables.
+ *
+ * Un transporte es una fábrica que devuelve un objeto con `send(message)`.
+ * Se selecciona con MAIL_TRANSPORT (por defecto "console") y se pueden
+ * registrar otros (SMTP, API de un proveedor, etc.) con registerTransport.
+ */
+const transports = new Map();
+
+export const registerTransport = (name, factory) => {
+  transports.set(name, factory);
+};
+
+// Desarrollo: imprime el email en la consola
+registerTransport('console', () => ({
+  send: async (message) => {
+    logger.info('Email sent', {
+      transport: 'console',
+      to: message.to,
+      subject: message.subject,
+      text: message.text,
+    });
+  },
+}));
+
+// Desarrollo/tests: guarda cada email como JSON en MAIL_FILE_DIR
+registerTransport('file', () => {
+  const directory = config.mail.fileDir;
+
+  return {
+    send: async (message) => {
+      await fs.mkdir(directory, { recursive: true });
+      const fileName = `${Date.now()}-${message.to.replace(/[^a-z0-9@._-]/gi, '_')}.json`;
+      await fs.writeFile(
+        path.join(directory, fileName),
+        JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+      );
+    },
+  };
+});
+
+let activeTransport;
+
+const getTransport = () => {
+  if (!activeTransport) {
+    const name = config.mail.transport;
+    const factory = transports.get(name);
+
+    if (!factory) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+
+    activeTransport = factory();
+  }
+
+  return activeTransport;
+};
+
+export const sendMail = async ({ to, subject, text, html }) => {
+  await getTransport().send({
+    from: config.mail.from,
+    to,
+    subject,
+    text,
+    html,
+  });
+};
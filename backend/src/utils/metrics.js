@@ -0,0 +1,189 @@
+import { CONNECTION_STATES, databaseEvents, getConnectionState } from '../config/database.js';
+
+/**
+ * Métricas en memoria con formato de exposición de Prometheus. Cada proceso
+ * lleva sus propios contadores; Prometheus los recoge de GET /api/metrics.
+ *
+ * Tipos soportados: counter (solo crece), histogram (distribución en buckets
+ * acumulados más _sum y _count) y gauge (valor calculado en cada scrape).
+ */
+const registry = new Map();
+
+// Segundos: de 5ms a 10s, cubre desde un health check hasta un bcrypt lento
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const escapeLabelValue = (value) => {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+};
+
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels).filter(([, value]) => value !== undefined);
+  if (entries.length === 0) {
+    return '';
+  }
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(',')}}`;
+};
+
+// Identifica una serie por sus labels, independientemente del orden
+const seriesKey = (labels) => {
+  return JSON.stringify(Object.keys(labels).sort().map((key) => [key, labels[key]]));
+};
+
+const register = (metric) => {
+  if (registry.has(metric.name)) {
+    throw new Error(`Metric already registered: ${metric.name}`);
+  }
+  registry.set(metric.name, metric);
+  return metric;
+};
+
+// `labelNames` declara los labels que usará el contador; sin ellos es una serie única
+export const createCounter = ({ name, help, labelNames = [] }) => {
+  const series = new Map();
+
+  return register({
+    name,
+    help,
+    type: 'counter',
+    inc: (labels = {}, amount = 1) => {
+      const key = seriesKey(labels);
+      const current = series.get(key) || { labels, value: 0 };
+      series.set(key, { labels, value: current.value + amount });
+    },
+    // Un contador sin labels expone 0 desde el arranque para que rate() y las
+    // alertas de serie ausente funcionen; con labels, cada serie aparece con su
+    // primer incremento
+    collect: () => {
+      if (series.size === 0 && labelNames.length === 0) {
+        return [`${name} 0`];
+      }
+      return [...series.values()].map(
+        ({ labels, value }) => `${name}${formatLabels(labels)} ${value}`
+      );
+    },
+  });
+};
+
+export const createHistogram = ({ name, help, buckets = DEFAULT_BUCKETS }) => {
+  const series = new Map();
+
+  const observe = (labels, value) => {
+    const key = seriesKey(labels);
+    if (!series.has(key)) {
+      series.set(key, { labels, counts: buckets.map(() => 0), sum: 0, count: 0 });
+    }
+
+    const entry = series.get(key);
+    buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        entry.counts[index] += 1;
+      }
+    });
+    entry.sum += value;
+    entry.count += 1;
+  };
+
+  return register({
+    name,
+    help,
+    type: 'histogram',
+    observe,
+    // Devuelve una función que registra los segundos transcurridos
+    startTimer: (labels = {}) => {
+      const startedAt = process.hrtime.bigint();
+      return (extraLabels = {}) => {
+        const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+        observe({ ...labels, ...extraLabels }, seconds);
+        return seconds;
+      };
+    },
+    collect: () => {
+      return [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+        ...buckets.map((bound, index) => {
+          return `${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`;
+        }),
+        `${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+        `${name}_sum${formatLabels(labels)} ${sum}`,
+        `${name}_count${formatLabels(labels)} ${count}`,
+      ]);
+    },
+  });
+};
+
+// `read` devuelve el valor actual o una lista de { labels, value }
+export const createGauge = ({ name, help, read }) => {
+  return register({
+    name,
+    help,
+    type: 'gauge',
+    collect: () => {
+      const value = read();
+      const samples = Array.isArray(value) ? value : [{ labels: {}, value }];
+      return samples.map((sample) => `${name}${formatLabels(sample.labels)} ${sample.value}`);
+    },
+  });
+};
+
+export const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+export const renderMetrics = () => {
+  const blocks = [...registry.values()].map((metric) => {
+    return [
+      `# HELP ${metric.name} ${metric.help}`,
+      `# TYPE ${metric.name} ${metric.type}`,
+      ...metric.collect(),
+    ].join('\n');
+  });
+
+  return `${blocks.join('\n')}\n`;
+};
+
+// --- Métricas de la aplicación ---
+
+export const httpRequestDuration = createHistogram({
+  name: 'http_request_duration_seconds',
+  help: 'Duration of HTTP requests in seconds by method, route and status code',
+});
+
+export const authRegistrations = createCounter({
+  name: 'auth_registrations_total',
+  help: 'Accounts registered with email and password',
+});
+
+export const authLogins = createCounter({
+  name: 'auth_logins_total',
+  help: 'Login attempts by method, outcome (success, mfa_required, failure) and failure reason',
+  labelNames: ['method', 'outcome', 'reason'],
+});
+
+export const authLogouts = createCounter({
+  name: 'auth_logouts_total',
+  help: 'Logouts by scope (current session or all sessions)',
+  labelNames: ['scope'],
+});
+
+export const bcryptDuration = createHistogram({
+  name: 'bcrypt_duration_seconds',
+  help: 'Duration of bcrypt operations in seconds by operation (hash, compare)',
+  buckets: [0.05, 0.1, 0.2, 0.3, 0.5, 0.75, 1, 2, 5],
+});
+
+createGauge({
+  name: 'mongodb_connection_state',
+  help: 'MongoDB connection state (1 for the current state, 0 for the others)',
+  read: () => {
+    const current = getConnectionState();
+    return CONNECTION_STATES.map((state) => ({
+      labels: { state },
+      value: state === current ? 1 : 0,
+    }));
+  },
+});
+
+const databaseTransitions = createCounter({
+  name: 'mongodb_connection_transitions_total',
+  help: 'MongoDB connection state transitions by new state',
+  labelNames: ['state'],
+});
+
+databaseEvents.on('stateChange', ({ state }) => databaseTransitions.inc({ state }));
@@ -0,0 +1,210 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { AppError } from '../middlewares/errorHandler.js';
+import { config } from '../config/env.js';
+
+/**
+ * Cliente OAuth 2.0 / OpenID Connect mínimo: flujo authorization code con
+ * PKCE (S256), verificación del id_token contra el JWKS del issuer y
+ * obtención de un perfil normalizado { subject, email, emailVerified, name }.
+ */
+const DISCOVERY_TTL_MS = 60 * 60 * 1000;
+
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+const base64Url = (buffer) => buffer.toString('base64url');
+
+export const generatePkcePair = () => {
+  const codeVerifier = base64Url(crypto.randomBytes(32));
+  const codeChallenge = base64Url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+  return { codeVerifier, codeChallenge };
+};
+
+export const generateRandomToken = () => base64Url(crypto.randomBytes(24));
+
+// Un proveedor lento no debe dejar colgada la petición del usuario
+const fetchJson = async (url, options = {}) => {
+  let response;
+  try {
+    response = await fetch(url, {
+      ...options,
+      headers: { Accept: 'application/json', ...options.headers },
+      signal: AbortSignal.timeout(config.oauth.requestTimeoutMs),
+    });
+  } catch (error) {
+    if (error.name === 'TimeoutError') {
+      throw new AppError('The sign-in provider did not respond in time', 504);
+    }
+    throw error;
+  }
+
+  if (!response.ok) {
+    throw new Error(`OAuth request to ${url} failed with status ${response.status}`);
+  }
+
+  return response.json();
+};
+
+const discover = async (issuer) => {
+  const cached = discoveryCache.get(issuer);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.config;
+  }
+
+  const config = await fetchJson(
+    `${issuer.replace(/\/$/, '')}/.well-known/openid-configuration`
+  );
+  discoveryCache.set(issuer, { config, expiresAt: Date.now() + DISCOVERY_TTL_MS });
+
+  return config;
+};
+
+const getEndpoints = async (provider) => {
+  if (provider.type !== 'oidc') {
+    return provider;
+  }
+
+  const config = await discover(provider.issuer);
+
+  return {
+    issuer: config.issuer,
+    authorizationEndpoint: config.authorization_endpoint,
+    tokenEndpoint: config.token_endpoint,
+    userinfoEndpoint: config.userinfo_endpoint,
+    jwksUri: config.jwks_uri,
+  };
+};
+
+export const buildAuthorizationUrl = async (
+  provider,
+  { state, nonce, codeChallenge, redirectUri }
+) => {
+  const { authorizationEndpoint } = await getEndpoints(provider);
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: redirectUri,
+    scope: provider.scope,
+    state,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256',
+  });
+
+  if (provider.type === 'oidc') {
+    params.set('nonce', nonce);
+  }
+
+  return `${authorizationEndpoint}?${params.toString()}`;
+};
+
+const exchangeCode = async (provider, endpoints, { code, codeVerifier, redirectUri }) => {
+  const tokens = await fetchJson(endpoints.tokenEndpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: redirectUri,
+      client_id: provider.clientId,
+      client_secret: provider.clientSecret || '',
+      code_verifier: codeVerifier,
+    }),
+  });
+
+  if (tokens.error) {
+    throw new Error(`OAuth token error: ${tokens.error}`);
+  }
+
+  return tokens;
+};
+
+const getSigningKey = async (jwksUri, kid, forceRefresh = false) => {
+  let keys = jwksCache.get(jwksUri);
+
+  if (!keys || forceRefresh) {
+    keys = (await fetchJson(jwksUri)).keys || [];
+    jwksCache.set(jwksUri, keys);
+  }
+
+  const jwk = keys.find((key) => key.kid === kid) || (!kid && keys[0]);
+
+  if (!jwk) {
+    // El issuer puede haber rotado sus claves
+    if (!forceRefresh) {
+      return getSigningKey(jwksUri, kid, true);
+    }
+    throw new Error('No matching signing key for id_token');
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+const verifyIdToken = async (provider, endpoints, idToken, nonce) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+
+  if (!decoded) {
+    throw new Error('Malformed id_token');
+  }
+
+  const key = await getSigningKey(endpoints.jwksUri, decoded.header.kid);
+  const claims = jwt.verify(idToken, key, {
+    algorithms: ['RS256', 'ES256'],
+    issuer: endpoints.issuer,
+    audience: provider.clientId,
+  });
+
+  if (claims.nonce !== nonce) {
+    throw new Error('Invalid id_token nonce');
+  }
+
+  return claims;
+};
+
+const getOidcProfile = async (provider, endpoints, tokens, nonce) => {
+  let claims = await verifyIdToken(provider, endpoints, tokens.id_token, nonce);
+
+  // Algunos issuers solo incluyen el email en userinfo
+  if (!claims.email && endpoints.userinfoEndpoint) {
+    const userinfo = await fetchJson(endpoints.userinfoEndpoint, {
+      headers: { Authorization: `Bearer ${tokens.access_token}` },
+    });
+    if (userinfo.sub === claims.sub) {
+      claims = { ...userinfo, ...claims };
+    }
+  }
+
+  return {
+    subject: String(claims.sub),
+    email: claims.email?.toLowerCase(),
+    emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+    name: claims.name || claims.preferred_username,
+  };
+};
+
+const getGithubProfile = async (provider, tokens) => {
+  const headers = { Authorization: `Bearer ${tokens.access_token}` };
+  const [profile, emails] = await Promise.all([
+    fetchJson(provider.userEndpoint, { headers }),
+    fetchJson(provider.emailsEndpoint, { headers }),
+  ]);
+
+  const primary = emails.find((entry) => entry.primary) || emails[0];
+
+  return {
+    subject: String(profile.id),
+    email: primary?.email?.toLowerCase(),
+    emailVerified: Boolean(primary?.verified),
+    name: profile.login,
+  };
+};
+
+export const fetchOAuthProfile = async (provider, { code, codeVerifier, nonce, redirectUri }) => {
+  const endpoints = await getEndpoints(provider);
+  const tokens = await exchangeCode(provider, endpoints, { code, codeVerifier, redirectUri });
+
+  return provider.type === 'oidc'
+    ? getOidcProfile(provider, endpoints, tokens, nonce)
+    : getGithubProfile(provider, tokens);
+};
@@ -0,0 +1,8 @@
+// Escapa el texto del usuario para usarlo en una búsqueda por RegExp
+export const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// En Express 5 req.query se recalcula en cada acceso: los sanitizers no lo modifican
+export const getPagination = (query) => ({
+  page: parseInt(query.page) || 1,
+  limit: parseInt(query.limit) || 20,
+});
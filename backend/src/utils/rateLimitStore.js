@@ -0,0 +1,83 @@
+import { config } from '../config/env.js';
+
+/**
+ * Stores intercambiables para el rate limiter.
+ *
+ * Un store es una fábrica que devuelve un objeto con:
+ *   - increment(key, windowMs) -> { count, resetAt }  contador de ventana fija
+ *   - get(key) -> valor o null                        estado del token bucket
+ *   - set(key, value, ttlMs)
+ *   - reset(key)
+ *
+ * Todos los métodos pueden ser asíncronos. Se selecciona con RATE_LIMIT_STORE
+ * (por defecto "memory"); para varias instancias del servidor hay que registrar
+ * un store compartido (Redis, Memcached, etc.) con registerRateLimitStore.
+ */
+const stores = new Map();
+
+export const registerRateLimitStore = (name, factory) => {
+  stores.set(name, factory);
+};
+
+// Store en memoria del proceso: suficiente para una sola instancia
+registerRateLimitStore('memory', () => {
+  const entries = new Map();
+
+  const getEntry = (key) => {
+    const entry = entries.get(key);
+
+    if (entry && entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+
+    return entry || null;
+  };
+
+  // Limpieza periódica de las claves expiradas
+  setInterval(() => {
+    for (const key of entries.keys()) {
+      getEntry(key);
+    }
+  }, 60 * 1000).unref();
+
+  return {
+    increment: async (key, windowMs) => {
+      const entry = getEntry(key);
+
+      if (entry) {
+        entry.value += 1;
+        return { count: entry.value, resetAt: entry.expiresAt };
+      }
+
+      const expiresAt = Date.now() + windowMs;
+      entries.set(key, { value: 1, expiresAt });
+
+      return { count: 1, resetAt: expiresAt };
+    },
+    get: async (key) => getEntry(key)?.value ?? null,
+    set: async (key, value, ttlMs) => {
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    },
+    reset: async (key) => {
+      entries.delete(key);
+    },
+  };
+});
+
+let activeStore;
+
+export const getRateLimitStore = () => {
+  if (!activeStore) {
+    const name = config.rateLimit.store;
+    const factory = stores.get(name);
+
+    if (!factory) {
+      throw new Error(`Unknown rate limit store: ${name}`);
+    }
+
+    activeStore = factory();
+  }
+
+  return activeStore;
+};
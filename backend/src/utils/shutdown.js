@@ -0,0 +1,67 @@
+import mongoose from 'mongoose';
+import { config } from '../config/env.js';
+import { logger } from './logger.js';
+
+const IDLE_SWEEP_MS = 250;
+
+let shuttingDown = false;
+
+// Mientras es true, /api/health/ready responde 503 para dejar de recibir tráfico
+export const isShuttingDown = () => shuttingDown;
+
+// Espera a que el servidor termine las peticiones en curso, como mucho `timeoutMs`
+const drainServer = (server, timeoutMs) => {
+  return new Promise((resolve) => {
+    // close() solo cierra las keep-alive inactivas en ese momento; las que
+    // quedan libres al terminar su petición se cierran aquí
+    const idleSweep = setInterval(() => server.closeIdleConnections(), IDLE_SWEEP_MS);
+
+    const timer = setTimeout(() => {
+      logger.warn('Drain timeout reached, closing remaining connections', { timeoutMs });
+      clearInterval(idleSweep);
+      server.closeAllConnections();
+      resolve(false);
+    }, timeoutMs);
+
+    // Deja de aceptar conexiones; el callback llega al cerrarse la última
+    server.close(() => {
+      clearTimeout(timer);
+      clearInterval(idleSweep);
+      resolve(true);
+    });
+  });
+};
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Apagado ordenado: marca el proceso como no listo, sigue atendiendo durante
+ * SHUTDOWN_READINESS_DELAY_MS para que los probes vean el 503 y el balanceador
+ * retire la instancia, deja de aceptar conexiones, espera a las peticiones en
+ * curso (hasta SHUTDOWN_DRAIN_TIMEOUT_SECONDS) y cierra la conexión con
+ * MongoDB antes de salir. Las señales repetidas se ignoran.
+ */
+export const gracefulShutdown = async (server, { reason, exitCode = 0 }) => {
+  if (shuttingDown) {
+    return;
+  }
+  shuttingDown = true;
+
+  const { readinessDelayMs, drainTimeoutSeconds } = config.shutdown;
+  logger.info('Shutting down', { reason, readinessDelayMs });
+
+  await wait(readinessDelayMs);
+
+  const drained = await drainServer(server, drainTimeoutSeconds * 1000);
+
+  try {
+    await mongoose.connection.close();
+    logger.info('MongoDB connection closed');
+  } catch (error) {
+    logger.error('Error closing MongoDB connection', { err: error });
+    exitCode = 1;
+  }
+
+  logger.info('Process terminated', { drained, exitCode });
+  process.exit(exitCode);
+};
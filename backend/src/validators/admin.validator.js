@@ -0,0 +1,58 @@
+import { body, param, query } from 'express-validator';
+import { handleValidationErrors } from './common.js';
+import { ROLES } from '../config/roles.js';
+import { AUDIT_EVENT_TYPES, AUDIT_OUTCOMES } from '../models/AuditEvent.js';
+
+export const validateListUsers = [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('search').optional().isString().isLength({ max: 100 }).withMessage('Search is too long'),
+  query('role').optional().isIn(ROLES).withMessage(`Role must be one of: ${ROLES.join(', ')}`),
+  query('status')
+    .optional()
+    .isIn(['active', 'inactive'])
+    .withMessage('Status must be active or inactive'),
+  handleValidationErrors,
+];
+
+export const validateUserId = [
+  param('id').isMongoId().withMessage('Invalid user id'),
+  handleValidationErrors,
+];
+
+export const validateUpdateStatus = [
+  param('id').isMongoId().withMessage('Invalid user id'),
+  body('isActive').isBoolean({ strict: true }).withMessage('isActive must be a boolean'),
+  handleValidationErrors,
+];
+
+export const validateUpdateRole = [
+  param('id').isMongoId().withMessage('Invalid user id'),
+  body('role').isIn(ROLES).withMessage(`Role must be one of: ${ROLES.join(', ')}`),
+  handleValidationErrors,
+];
+
+export const validateListAuditEvents = [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('user').optional().isMongoId().withMessage('Invalid user id'),
+  query('type')
+    .optional()
+    .isIn(AUDIT_EVENT_TYPES)
+    .withMessage('Unknown audit event type'),
+  query('outcome')
+    .optional()
+    .isIn(AUDIT_OUTCOMES)
+    .withMessage(`Outcome must be one of: ${AUDIT_OUTCOMES.join(', ')}`),
+  query('email').optional().isString().isLength({ max: 100 }).withMessage('Email is too long'),
+  query('ip').optional().isIP().withMessage('Invalid IP address'),
+  query('from').optional().isISO8601().withMessage('From must be a valid date'),
+  query('to').optional().isISO8601().withMessage('To must be a valid date'),
+  handleValidationErrors,
+];
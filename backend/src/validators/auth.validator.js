@@ -1,44 +1,88 @@
-import { body, validationResult } from 'express-validator';
-import { AppError } from '../middlewares/errorHandler.js';
+import { body, param, query } from 'express-validator';
+import { handleValidationErrors, usernameRule, emailRule, passwordRule } from './common.js';
 
 export const validateRegister = [
-  body('username')
-    .trim()
-    .isLength({ min: 3, max: 30 })
-    .withMessage('Username must be between 3 and 30 characters')
-    .matches(/^[a-zA-Z0-9_]+$/)
-    .withMessage('Username can only contain letters, numbers, and underscores'),
-  body('email')
-    .trim()
-    .isEmail()
-    .withMessage('Please provide a valid email address')
-    .normalizeEmail(),
-  body('password')
-    .isLength({ min: 6 })
-    .withMessage('Password must be at least 6 characters long'),
-  (req, res, next) => {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      const errorMessages = errors.array().map((err) => err.msg).join('. ');
-      return next(new AppError(errorMessages, 400));
-    }
-    next();
-  },
+  usernameRule(),
+  emailRule(),
+  passwordRule(),
+  handleValidationErrors,
 ];
 
 export const validateLogin = [
-  body('email')
-    .trim()
-    .isEmail()
-    .withMessage('Please provide a valid email address')
-    .normalizeEmail(),
+  emailRule(),
   body('password').notEmpty().withMessage('Password is required'),
-  (req, res, next) => {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      const errorMessages = errors.array().map((err) => err.msg).join('. ');
-      return next(new AppError(errorMessages, 400));
-    }
-    next();
-  },
+  handleValidationErrors,
+];
+
+export const validateEmail = [
+  emailRule(),
+  handleValidationErrors,
+];
+
+export const validateResetPassword = [
+  param('token')
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Password reset link is invalid or has expired'),
+  passwordRule(),
+  handleValidationErrors,
+];
+
+export const validateTwoFactorCode = [
+  body('code').trim().notEmpty().withMessage('Verification code is required'),
+  handleValidationErrors,
+];
+
+export const validateTwoFactorLogin = [
+  // Opcional: tras el login social el desafío llega en la cookie mfaChallenge
+  body('mfaToken').optional().isString().withMessage('Two-factor challenge is invalid'),
+  body('code').trim().notEmpty().withMessage('Verification code is required'),
+  handleValidationErrors,
+];
+
+export const validateDisableTwoFactor = [
+  body('password').notEmpty().withMessage('Password is required'),
+  body('code').trim().notEmpty().withMessage('Verification code is required'),
+  handleValidationErrors,
+];
+
+export const validateChangePassword = [
+  body('currentPassword').notEmpty().withMessage('Current password is required'),
+  passwordRule('newPassword'),
+  body('newPassword')
+    .custom((value, { req }) => value !== req.body.currentPassword)
+    .withMessage('New password must be different from the current password'),
+  handleValidationErrors,
+];
+
+export const validateMagicLinkToken = [
+  body('token').isString().notEmpty().withMessage('Token is required'),
+  handleValidationErrors,
+];
+
+export const validatePasskeyRegistration = [
+  body('challengeToken').isString().notEmpty().withMessage('Challenge is required'),
+  body('response').isObject().withMessage('Authenticator response is required'),
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Passkey name cannot exceed 50 characters'),
+  handleValidationErrors,
+];
+
+export const validatePasskeyLogin = [
+  body('challengeToken').isString().notEmpty().withMessage('Challenge is required'),
+  body('response').isObject().withMessage('Authenticator response is required'),
+  body('response.id').isString().notEmpty().withMessage('Authenticator response is required'),
+  handleValidationErrors,
+];
+
+export const validateActivityQuery = [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50'),
+  handleValidationErrors,
 ];
@@ -0,0 +1,32 @@
+import { body, validationResult } from 'express-validator';
+import { AppError } from '../middlewares/errorHandler.js';
+
+export const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    const errorMessages = errors.array().map((err) => err.msg).join('. ');
+    return next(new AppError(errorMessages, 400));
+  }
+  next();
+};
+
+// Mismas reglas que el esquema de User (longitud y caracteres permitidos)
+export const usernameRule = (field = 'username') =>
+  body(field)
+    .trim()
+    .isLength({ min: 3, max: 30 })
+    .withMessage('Username must be between 3 and 30 characters')
+    .matches(/^[a-zA-Z0-9_]+$/)
+    .withMessage('Username can only contain letters, numbers, and underscores');
+
+export const emailRule = (field = 'email') =>
+  body(field)
+    .trim()
+    .isEmail()
+    .withMessage('Please provide a valid email address')
+    .normalizeEmail();
+
+export const passwordRule = (field = 'password') =>
+  body(field)
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long');
@@ -0,0 +1,67 @@
+import { body, param } from 'express-validator';
+import { handleValidationErrors, usernameRule, emailRule } from './common.js';
+import { THEMES, LOCALES } from '../config/preferences.js';
+import { PERMISSIONS } from '../config/roles.js';
+
+export const validateUpdateMe = [
+  body()
+    .custom((value) => value?.username !== undefined || value?.email !== undefined)
+    .withMessage('Provide a username or email to update'),
+  usernameRule().optional(),
+  emailRule().optional(),
+  handleValidationErrors,
+];
+
+export const validateUpdatePreferences = [
+  body('theme')
+    .optional()
+    .isIn(THEMES)
+    .withMessage(`Theme must be one of: ${THEMES.join(', ')}`),
+  body('locale')
+    .optional()
+    .isIn(LOCALES)
+    .withMessage(`Locale must be one of: ${LOCALES.join(', ')}`),
+  body('notifications.updates')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('updates must be a boolean'),
+  body('notifications.securityAlerts')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('securityAlerts must be a boolean'),
+  handleValidationErrors,
+];
+
+export const validateDeleteMe = [
+  body('password').notEmpty().withMessage('Password is required'),
+  handleValidationErrors,
+];
+
+export const validateCreateAccessToken = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Token name is required')
+    .isLength({ max: 50 })
+    .withMessage('Token name cannot exceed 50 characters'),
+  body('scopes').isArray({ min: 1 }).withMessage('Select at least one scope'),
+  body('scopes.*')
+    .isIn(PERMISSIONS)
+    .withMessage(`Scopes must be any of: ${PERMISSIONS.join(', ')}`),
+  body('expiresInDays')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: 365 })
+    .withMessage('expiresInDays must be between 1 and 365')
+    .toInt(),
+  handleValidationErrors,
+];
+
+export const validateAccessTokenId = [
+  param('id').isMongoId().withMessage('Invalid token id'),
+  handleValidationErrors,
+];
+
+export const validateToken = [
+  body('token').notEmpty().withMessage('Token is required'),
+  handleValidationErrors,
+];
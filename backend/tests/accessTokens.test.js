@@ -0,0 +1,153 @@
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import User from '../src/models/User.js';
+import AccessToken from '../src/models/AccessToken.js';
+import {
+  protect,
+  requirePermission,
+  requireScope,
+  requireSession,
+} from '../src/middlewares/auth.js';
+import { createAccessToken } from '../src/controllers/accessToken.controller.js';
+import { updateMe } from '../src/controllers/user.controller.js';
+import { hashToken } from '../src/utils/jwt.js';
+import { createRequest, runHandler } from './helpers.js';
+
+const TOKEN = `pat_${'a'.repeat(64)}`;
+
+const createUser = (role = 'user') => {
+  return new User({ username: 'alice', email: 'alice@example.com', role });
+};
+
+const createAccessTokenDoc = (user, fields = {}) => {
+  const accessToken = new AccessToken({
+    user: user._id,
+    name: 'ci',
+    tokenHash: hashToken(TOKEN),
+    prefix: TOKEN.slice(0, 10),
+    lastUsedAt: new Date(),
+    ...fields,
+  });
+  mock.method(accessToken, 'save', async () => accessToken);
+  return accessToken;
+};
+
+// Petición autenticada con un token de acceso personal (sin sesión)
+const tokenRequest = (user, scopes, fields = {}) => {
+  return createRequest({
+    user,
+    authSession: null,
+    accessToken: createAccessTokenDoc(user, { scopes }),
+    ...fields,
+  });
+};
+
+describe('protect con tokens de acceso personal', () => {
+  afterEach(() => mock.restoreAll());
+
+  const protectWith = (token) => {
+    return runHandler(
+      protect,
+      createRequest({ method: 'GET', headers: { Authorization: `Bearer ${token}` } })
+    );
+  };
+
+  it('busca el token por su hash y lo marca como autenticación sin sesión', async () => {
+    const user = createUser();
+    const accessToken = createAccessTokenDoc(user, { scopes: ['profile:read'] });
+    const lookup = mock.method(AccessToken, 'findOne', async () => accessToken);
+    mock.method(User, 'findById', () => ({ select: async () => user }));
+
+    const req = createRequest({ method: 'GET', headers: { Authorization: `Bearer ${TOKEN}` } });
+    const { error } = await runHandler(protect, req);
+
+    assert.equal(error, undefined);
+    assert.deepEqual(lookup.mock.calls[0].arguments[0], { tokenHash: hashToken(TOKEN) });
+    assert.equal(req.accessToken, accessToken);
+    assert.equal(req.authSession, null);
+  });
+
+  it('rechaza un token caducado', async () => {
+    const user = createUser();
+    const accessToken = createAccessTokenDoc(user, { expiresAt: new Date(Date.now() - 1000) });
+    mock.method(AccessToken, 'findOne', async () => accessToken);
+
+    const { error } = await protectWith(TOKEN);
+
+    assert.equal(error.statusCode, 401);
+  });
+
+  it('rechaza un token revocado', async () => {
+    mock.method(AccessToken, 'findOne', async () => null);
+
+    const { error } = await protectWith(TOKEN);
+
+    assert.equal(error.statusCode, 401);
+  });
+});
+
+describe('scopes', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('requireScope exige el scope al token pero no a la sesión', async () => {
+    const user = createUser();
+    const guard = requireScope('profile:write');
+
+    const withoutScope = await runHandler(guard, tokenRequest(user, ['profile:read']));
+    const withScope = await runHandler(guard, tokenRequest(user, ['profile:write']));
+    const withSession = await runHandler(guard, createRequest({ user, authSession: {} }));
+
+    assert.equal(withoutScope.error.statusCode, 403);
+    assert.equal(withScope.error, undefined);
+    assert.equal(withSession.error, undefined);
+  });
+
+  it('requirePermission no deja que el token supere el rol de su dueño', async () => {
+    const { error } = await runHandler(
+      requirePermission('users:read'),
+      tokenRequest(createUser('user'), ['users:read'])
+    );
+
+    assert.equal(error.statusCode, 403);
+  });
+
+  it('no se pueden crear tokens con scopes que el rol no tiene', async () => {
+    const created = mock.method(AccessToken, 'create', async (doc) => doc);
+    const req = createRequest({
+      user: createUser('user'),
+      body: { name: 'ci', scopes: ['profile:read', 'users:write'] },
+    });
+
+    const { error } = await runHandler(createAccessToken, req);
+
+    assert.equal(error.statusCode, 403);
+    assert.equal(created.mock.callCount(), 0);
+  });
+});
+
+describe('acciones que exigen sesión', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('requireSession rechaza los tokens de acceso personal', async () => {
+    const user = createUser();
+
+    const withToken = await runHandler(requireSession, tokenRequest(user, ['profile:write']));
+    const withSession = await runHandler(requireSession, createRequest({ user, authSession: {} }));
+
+    assert.equal(withToken.error.statusCode, 403);
+    assert.equal(withSession.error, undefined);
+  });
+
+  it('un token con profile:write no puede cambiar el email', async () => {
+    const user = createUser();
+    const lookup = mock.method(User, 'findById', async () => user);
+
+    const { error } = await runHandler(
+      updateMe,
+      tokenRequest(user, ['profile:write'], { body: { email: 'attacker@example.com' } })
+    );
+
+    assert.equal(error.statusCode, 403);
+    assert.equal(lookup.mock.callCount(), 0);
+  });
+});
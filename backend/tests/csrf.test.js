@@ -0,0 +1,135 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import jwt from 'jsonwebtoken';
+import { createCsrfToken, verifyCsrfToken, CSRF_COOKIE } from '../src/utils/csrf.js';
+import { csrfProtection } from '../src/middlewares/csrfProtection.js';
+import { config } from '../src/config/env.js';
+import { createRequest, createResponse, runHandler } from './helpers.js';
+
+const sessionCookie = (sid, options = {}) => {
+  return jwt.sign({ id: 'user', sid }, config.jwt.secret, options);
+};
+
+// Pide un token como GET /api/auth/csrf y devuelve también la cookie emitida
+const issueToken = (cookies = {}) => {
+  const res = createResponse();
+  const token = createCsrfToken(createRequest({ method: 'GET', cookies }), res);
+  return { token, secret: res.cookies[CSRF_COOKIE].value };
+};
+
+const mutatingRequest = ({ token, cookies = {}, headers = {} } = {}) => {
+  return createRequest({
+    cookies,
+    headers: token ? { 'X-CSRF-Token': token, ...headers } : headers,
+  });
+};
+
+const verifyWith = (token, cookies) => verifyCsrfToken(mutatingRequest({ token, cookies }));
+
+describe('tokens CSRF', () => {
+  it('valen con la misma cookie y la misma sesión', () => {
+    const cookies = { token: sessionCookie('session-a') };
+    const { token, secret } = issueToken(cookies);
+
+    assert.equal(verifyWith(token, { ...cookies, [CSRF_COOKIE]: secret }), true);
+  });
+
+  it('reutilizan la cookie existente del navegador', () => {
+    const first = issueToken();
+    const second = issueToken({ [CSRF_COOKIE]: first.secret });
+
+    assert.equal(second.secret, first.secret);
+    assert.notEqual(second.token, first.token);
+  });
+
+  it('no valen con la cookie de otro navegador', () => {
+    const { token } = issueToken();
+    const other = issueToken();
+
+    assert.equal(verifyWith(token, { [CSRF_COOKIE]: other.secret }), false);
+  });
+
+  it('dejan de valer al iniciar o cambiar de sesión', () => {
+    const anonymous = issueToken();
+    const sessionA = issueToken({ [CSRF_COOKIE]: anonymous.secret, token: sessionCookie('a') });
+    const verifyIn = (token, sid) => {
+      return verifyWith(token, { [CSRF_COOKIE]: anonymous.secret, token: sessionCookie(sid) });
+    };
+
+    assert.equal(verifyIn(anonymous.token, 'a'), false);
+    assert.equal(verifyIn(sessionA.token, 'b'), false);
+    assert.equal(verifyIn(sessionA.token, 'a'), true);
+  });
+
+  it('siguen valiendo con el token de acceso caducado de la misma sesión', () => {
+    const cookies = { token: sessionCookie('session-a') };
+    const { token, secret } = issueToken(cookies);
+    const expired = sessionCookie('session-a', { expiresIn: -1 });
+
+    assert.equal(verifyWith(token, { [CSRF_COOKIE]: secret, token: expired }), true);
+  });
+
+  it('rechazan un token manipulado', () => {
+    const { token, secret } = issueToken();
+    const [nonce] = token.split('.');
+
+    assert.equal(verifyWith(`${nonce}.forged`, { [CSRF_COOKIE]: secret }), false);
+  });
+});
+
+describe('csrfProtection', () => {
+  const allowedOrigin = config.corsOrigins.find((origin) => !origin.includes('*'));
+
+  it('deja pasar los métodos seguros sin token', async () => {
+    const { error } = await runHandler(csrfProtection, createRequest({ method: 'GET' }));
+
+    assert.equal(error, undefined);
+  });
+
+  it('rechaza peticiones mutantes sin token', async () => {
+    const req = mutatingRequest({ cookies: { token: sessionCookie('a') } });
+    const { error } = await runHandler(csrfProtection, req);
+
+    assert.equal(error.statusCode, 403);
+  });
+
+  it('acepta un token válido desde un origen permitido', async () => {
+    const { token, secret } = issueToken();
+    const req = mutatingRequest({
+      token,
+      cookies: { [CSRF_COOKIE]: secret },
+      headers: { Origin: allowedOrigin },
+    });
+
+    const { error } = await runHandler(csrfProtection, req);
+
+    assert.equal(error, undefined);
+  });
+
+  it('rechaza un origen no permitido aunque el token sea válido', async () => {
+    const { token, secret } = issueToken();
+    const req = mutatingRequest({
+      token,
+      cookies: { [CSRF_COOKIE]: secret },
+      headers: { Origin: 'https://evil.example' },
+    });
+
+    const { error } = await runHandler(csrfProtection, req);
+
+    assert.equal(error.statusCode, 403);
+    assert.match(error.message, /origin/);
+  });
+
+  it('solo exime a Bearer cuando no hay cookie de sesión', async () => {
+    const headers = { Authorization: 'Bearer pat_token' };
+
+    const bearerOnly = await runHandler(csrfProtection, mutatingRequest({ headers }));
+    const withCookie = await runHandler(
+      csrfProtection,
+      mutatingRequest({ headers, cookies: { token: sessionCookie('a') } })
+    );
+
+    assert.equal(bearerOnly.error, undefined);
+    assert.equal(withCookie.error.statusCode, 403);
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * Dobles mínimos de req/res de Express para probar middlewares y
+ * controladores sin levantar el servidor ni conectar con MongoDB. Los modelos
+ * se sustituyen en cada test con mock.method de node:test.
+ */
+const silentLog = { debug() {}, info() {}, warn() {}, error() {} };
+
+export const createRequest = ({ headers = {}, cookies = {}, body = {}, ...rest } = {}) => {
+  const normalizedHeaders = Object.fromEntries(
+    Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value])
+  );
+
+  return {
+    method: 'POST',
+    ip: '127.0.0.1',
+    headers: normalizedHeaders,
+    cookies,
+    body,
+    log: silentLog,
+    get: (name) => normalizedHeaders[name.toLowerCase()],
+    ...rest,
+  };
+};
+
+export const createResponse = () => {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    cookies: {},
+    body: undefined,
+    onSend: () => {},
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    set(name, value) {
+      res.headers[name.toLowerCase()] = value;
+      return res;
+    },
+    cookie(name, value, options) {
+      res.cookies[name] = { value, options };
+      return res;
+    },
+    clearCookie(name, options) {
+      res.cookies[name] = { value: '', options };
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      res.onSend();
+      return res;
+    },
+  };
+
+  return res;
+};
+
+/**
+ * Ejecuta un handler (o middleware) y resuelve cuando responde o llama a
+ * next: `error` es lo que recibió next, si lo llamó.
+ */
+export const runHandler = (handler, req, res = createResponse()) => {
+  return new Promise((resolve) => {
+    res.onSend = () => resolve({ res });
+    handler(req, res, (error) => resolve({ error, res }));
+  });
+};
@@ -0,0 +1,126 @@
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import User from '../src/models/User.js';
+import AuditEvent from '../src/models/AuditEvent.js';
+import { login } from '../src/controllers/auth.controller.js';
+import {
+  registerFailedIpAttempt,
+  getIpLockUntil,
+  lockoutError,
+} from '../src/utils/loginAttempts.js';
+import { config } from '../src/config/env.js';
+import { createRequest, createResponse, runHandler } from './helpers.js';
+
+const MINUTE_MS = 60 * 1000;
+
+const mockFindOne = (user) => {
+  return mock.method(User, 'findOne', () => ({ select: async () => user }));
+};
+
+describe('bloqueo por IP', () => {
+  it('bloquea la IP al llegar a LOGIN_IP_MAX_ATTEMPTS fallos', () => {
+    const ip = '198.51.100.1';
+
+    for (let attempt = 1; attempt < config.loginAttempts.ipMaxAttempts; attempt++) {
+      assert.equal(registerFailedIpAttempt(ip), null);
+    }
+
+    const lockUntil = registerFailedIpAttempt(ip);
+    assert.ok(lockUntil > new Date());
+    assert.deepEqual(getIpLockUntil(ip), lockUntil);
+    assert.equal(getIpLockUntil('198.51.100.2'), null);
+  });
+
+  it('lockoutError responde 429 con Retry-After', () => {
+    const res = createResponse();
+    const error = lockoutError(res, new Date(Date.now() + 90 * 1000));
+
+    assert.equal(error.statusCode, 429);
+    assert.match(error.message, /2 minutes/);
+    assert.equal(res.headers['retry-after'], '90');
+  });
+});
+
+describe('User.registerFailedLogin', () => {
+  afterEach(() => mock.restoreAll());
+
+  // Simula el contador tras el fallo actual dentro de la ventana
+  const registerWithCount = async (failedLoginAttempts) => {
+    const userId = new mongoose.Types.ObjectId();
+    mock.method(User, 'findOneAndUpdate', async () => null);
+    mock.method(User, 'findByIdAndUpdate', async () => ({ _id: userId, failedLoginAttempts }));
+    const updated = mock.method(User, 'updateOne', async () => ({}));
+
+    const lockUntil = await User.registerFailedLogin(userId);
+    return { lockUntil, updated };
+  };
+
+  it('no bloquea por debajo de LOGIN_MAX_ATTEMPTS', async () => {
+    const { lockUntil, updated } = await registerWithCount(config.loginAttempts.maxAttempts - 1);
+
+    assert.equal(lockUntil, null);
+    assert.equal(updated.mock.callCount(), 0);
+  });
+
+  it('duplica el bloqueo con cada fallo posterior', async () => {
+    const lockMs = config.loginAttempts.lockMinutes * MINUTE_MS;
+    const first = await registerWithCount(config.loginAttempts.maxAttempts);
+    const firstDuration = first.lockUntil - Date.now();
+    mock.restoreAll();
+    const third = await registerWithCount(config.loginAttempts.maxAttempts + 2);
+    const thirdDuration = third.lockUntil - Date.now();
+
+    assert.ok(Math.abs(firstDuration - lockMs) < 1000);
+    assert.ok(Math.abs(thirdDuration - 4 * lockMs) < 1000);
+    assert.deepEqual(third.updated.mock.calls[0].arguments[1], {
+      $set: { lockUntil: third.lockUntil },
+    });
+  });
+});
+
+describe('POST /api/auth/login', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('rechaza una cuenta bloqueada aunque la contraseña sea correcta', async () => {
+    const user = new User({
+      username: 'alice',
+      email: 'alice@example.com',
+      password: 'hashed-password',
+      lockUntil: new Date(Date.now() + 10 * MINUTE_MS),
+    });
+    const compared = mock.method(user, 'comparePassword', async () => true);
+    mockFindOne(user);
+    mock.method(AuditEvent, 'create', async (doc) => doc);
+
+    const req = createRequest({
+      ip: '198.51.100.10',
+      body: { email: user.email, password: 'correct-password' },
+    });
+    const { error, res } = await runHandler(login, req);
+
+    assert.equal(error.statusCode, 429);
+    assert.equal(res.headers['retry-after'], String(10 * 60));
+    assert.equal(compared.mock.callCount(), 0);
+  });
+
+  it('deja de consultar cuentas desde una IP bloqueada', async () => {
+    const ip = '198.51.100.11';
+    const findOne = mockFindOne(null);
+    mock.method(AuditEvent, 'create', async (doc) => doc);
+
+    const attempt = () => {
+      const body = { email: 'unknown@example.com', password: 'password' };
+      return runHandler(login, createRequest({ ip, body }));
+    };
+
+    for (let count = 1; count < config.loginAttempts.ipMaxAttempts; count++) {
+      assert.equal((await attempt()).error.statusCode, 401);
+    }
+    assert.equal((await attempt()).error.statusCode, 429);
+
+    const lookups = findOne.mock.callCount();
+    assert.equal((await attempt()).error.statusCode, 429);
+    assert.equal(findOne.mock.callCount(), lookups);
+  });
+});
@@ -0,0 +1,110 @@
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import User from '../src/models/User.js';
+import Session from '../src/models/Session.js';
+import MagicLink from '../src/models/MagicLink.js';
+import AuditEvent from '../src/models/AuditEvent.js';
+import { verifyMagicLink } from '../src/controllers/magicLink.controller.js';
+import { hashToken, setAuthCookies, verifyPurposeToken } from '../src/utils/jwt.js';
+import { MFA_PURPOSE } from '../src/controllers/twoFactor.controller.js';
+import { ERROR_CODES } from '../src/middlewares/errorHandler.js';
+import { createRequest, createResponse, runHandler } from './helpers.js';
+
+const TOKEN = 'a'.repeat(64);
+const BROWSER_ID = 'b'.repeat(64);
+
+const mockLink = () => {
+  const link = {
+    _id: new mongoose.Types.ObjectId(),
+    email: 'alice@example.com',
+    tokenHash: hashToken(TOKEN),
+    browserHash: hashToken(BROWSER_ID),
+  };
+  mock.method(MagicLink, 'findOne', async () => link);
+  return link;
+};
+
+const createUser = (fields = {}) => {
+  return new User({
+    username: 'alice',
+    email: 'alice@example.com',
+    emailVerified: true,
+    ...fields,
+  });
+};
+
+const verifyRequest = (browserId = BROWSER_ID) => {
+  return createRequest({ cookies: { magicLinkBrowser: browserId }, body: { token: TOKEN } });
+};
+
+describe('POST /api/auth/magic-link/verify', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('solo vale en el navegador que pidió el enlace', async () => {
+    mockLink();
+    const consumed = mock.method(MagicLink, 'findOneAndUpdate', async () => null);
+
+    const { error } = await runHandler(verifyMagicLink, verifyRequest('c'.repeat(64)));
+
+    assert.equal(error.statusCode, 400);
+    assert.equal(consumed.mock.callCount(), 0);
+  });
+
+  it('no inicia sesión si otra petición ya consumió el enlace', async () => {
+    mockLink();
+    mock.method(MagicLink, 'findOneAndUpdate', async () => null);
+    const lookup = mock.method(User, 'findOne', async () => createUser());
+
+    const { error } = await runHandler(verifyMagicLink, verifyRequest());
+
+    assert.equal(error.statusCode, 400);
+    assert.equal(lookup.mock.callCount(), 0);
+  });
+
+  it('con 2FA activo devuelve un desafío en lugar de una sesión', async () => {
+    const link = mockLink();
+    mock.method(MagicLink, 'findOneAndUpdate', async () => link);
+    const user = createUser({ twoFactor: { enabled: true } });
+    mock.method(User, 'findOne', async () => user);
+    const created = mock.method(Session, 'create', async (doc) => doc);
+
+    const { error, res } = await runHandler(verifyMagicLink, verifyRequest());
+
+    assert.equal(error, undefined);
+    assert.equal(res.body.data.mfaRequired, true);
+    assert.equal(verifyPurposeToken(res.body.data.mfaToken, MFA_PURPOSE).method, 'magic_link');
+    assert.equal(res.cookies.token, undefined);
+    assert.equal(created.mock.callCount(), 0);
+  });
+
+  it('no abre sesión si la cuenta debe restablecer la contraseña', async () => {
+    const link = mockLink();
+    mock.method(MagicLink, 'findOneAndUpdate', async () => link);
+    mock.method(User, 'findOne', async () => createUser({ passwordResetRequired: true }));
+    const created = mock.method(Session, 'create', async (doc) => doc);
+    mock.method(AuditEvent, 'create', async (doc) => doc);
+
+    const { error, res } = await runHandler(verifyMagicLink, verifyRequest());
+
+    assert.equal(error.statusCode, 403);
+    assert.equal(error.errorCode, ERROR_CODES.PASSWORD_RESET_REQUIRED);
+    assert.equal(res.cookies.token, undefined);
+    assert.equal(created.mock.callCount(), 0);
+  });
+});
+
+describe('setAuthCookies', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('impide cualquier login nuevo mientras se exige restablecer la contraseña', async () => {
+    const created = mock.method(Session, 'create', async (doc) => doc);
+    const user = createUser({ passwordResetRequired: true });
+
+    await assert.rejects(setAuthCookies(user, createRequest(), createResponse()), {
+      statusCode: 403,
+      errorCode: ERROR_CODES.PASSWORD_RESET_REQUIRED,
+    });
+    assert.equal(created.mock.callCount(), 0);
+  });
+});
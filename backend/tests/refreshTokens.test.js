@@ -0,0 +1,148 @@
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import User from '../src/models/User.js';
+import Session from '../src/models/Session.js';
+import RefreshToken from '../src/models/RefreshToken.js';
+import AuditEvent from '../src/models/AuditEvent.js';
+import { refresh } from '../src/controllers/auth.controller.js';
+import { protect } from '../src/middlewares/auth.js';
+import { ERROR_CODES } from '../src/middlewares/errorHandler.js';
+import { config } from '../src/config/env.js';
+import { createRequest, runHandler } from './helpers.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const createUser = () => new User({ username: 'alice', email: 'alice@example.com' });
+
+const createSession = (user) => {
+  const session = new Session({
+    user: user._id,
+    device: 'Chrome on Linux',
+    ip: '127.0.0.1',
+    lastSeenAt: new Date(),
+    expiresAt: new Date(Date.now() + DAY_MS),
+  });
+  mock.method(session, 'save', async () => session);
+  return session;
+};
+
+// Refresh token guardado, aún sin usar, de la sesión indicada
+const mockStoredToken = (user, session) => {
+  const storedToken = {
+    _id: new mongoose.Types.ObjectId(),
+    user: user._id,
+    family: session._id.toString(),
+    expiresAt: new Date(Date.now() + DAY_MS),
+  };
+  mock.method(RefreshToken, 'findOne', async () => storedToken);
+  return storedToken;
+};
+
+describe('POST /api/auth/refresh', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('rota el refresh token y mantiene la sesión', async () => {
+    const user = createUser();
+    const session = createSession(user);
+    const storedToken = mockStoredToken(user, session);
+    mock.method(RefreshToken, 'findOneAndUpdate', async () => storedToken);
+    const created = mock.method(RefreshToken, 'create', async (doc) => doc);
+    mock.method(Session, 'findById', async () => session);
+    mock.method(User, 'findById', async () => user);
+
+    const req = createRequest({ cookies: { refreshToken: 'old-token' } });
+    const { error, res } = await runHandler(refresh, req);
+
+    assert.equal(error, undefined);
+    assert.equal(res.statusCode, 200);
+    assert.equal(created.mock.callCount(), 1);
+    assert.equal(created.mock.calls[0].arguments[0].family, session._id.toString());
+    assert.notEqual(res.cookies.refreshToken.value, 'old-token');
+    const decoded = jwt.verify(res.cookies.token.value, config.jwt.secret);
+    assert.equal(decoded.sid, session._id.toString());
+  });
+
+  it('revoca toda la sesión si se reutiliza un refresh token ya usado', async () => {
+    const user = createUser();
+    const session = createSession(user);
+    mockStoredToken(user, session);
+    mock.method(RefreshToken, 'findOneAndUpdate', async () => null);
+    const revoked = mock.method(Session, 'revoke', async () => 1);
+    const audited = mock.method(AuditEvent, 'create', async (doc) => doc);
+
+    const req = createRequest({ cookies: { refreshToken: 'used-token' } });
+    const { error, res } = await runHandler(refresh, req);
+
+    assert.equal(error.statusCode, 401);
+    assert.match(error.message, /reuse/);
+    assert.deepEqual(revoked.mock.calls[0].arguments[0], { _id: session._id.toString() });
+    assert.equal(audited.mock.calls[0].arguments[0].type, 'session.token_reuse');
+    assert.equal(res.cookies.token.value, 'none');
+    assert.equal(res.cookies.refreshToken.value, 'none');
+  });
+
+  it('solo devuelve el refresh token en el body a clientes sin navegador', async () => {
+    const refreshWith = async (headers) => {
+      const user = createUser();
+      const session = createSession(user);
+      const storedToken = mockStoredToken(user, session);
+      mock.method(RefreshToken, 'findOneAndUpdate', async () => storedToken);
+      mock.method(RefreshToken, 'create', async (doc) => doc);
+      mock.method(Session, 'findById', async () => session);
+      mock.method(User, 'findById', async () => user);
+
+      const { res } = await runHandler(
+        refresh,
+        createRequest({ headers, body: { refreshToken: 'old-token' } })
+      );
+      mock.restoreAll();
+      return res.body.refreshToken;
+    };
+
+    assert.equal(await refreshWith({}), undefined);
+    assert.equal(
+      await refreshWith({ 'X-Refresh-Token-Delivery': 'body', Origin: 'https://evil.example' }),
+      undefined
+    );
+    assert.match(await refreshWith({ 'X-Refresh-Token-Delivery': 'body' }), /^[a-f0-9]{80}$/);
+  });
+});
+
+describe('protect', () => {
+  afterEach(() => mock.restoreAll());
+
+  const protectWith = (token) => {
+    return runHandler(protect, createRequest({ method: 'GET', cookies: { token } }));
+  };
+
+  it('marca el token caducado como renovable', async () => {
+    const token = jwt.sign({ id: 'user', sid: 'session' }, config.jwt.secret, { expiresIn: -1 });
+    const { error } = await protectWith(token);
+
+    assert.equal(error.statusCode, 401);
+    assert.equal(error.errorCode, ERROR_CODES.ACCESS_TOKEN_EXPIRED);
+  });
+
+  it('marca el token con firma inválida como renovable', async () => {
+    const token = jwt.sign({ id: 'user', sid: 'session' }, 'another-secret');
+    const { error } = await protectWith(token);
+
+    assert.equal(error.statusCode, 401);
+    assert.equal(error.errorCode, ERROR_CODES.ACCESS_TOKEN_INVALID);
+  });
+
+  it('no marca como renovable una sesión revocada', async () => {
+    const user = createUser();
+    const session = createSession(user);
+    session.revokedAt = new Date();
+    mock.method(Session, 'findById', async () => session);
+
+    const token = jwt.sign({ id: user._id, sid: session._id }, config.jwt.secret);
+    const { error } = await protectWith(token);
+
+    assert.equal(error.statusCode, 401);
+    assert.equal(error.errorCode, undefined);
+  });
+});
@@ -0,0 +1,3 @@
+// Se carga antes de cada archivo de test (npm test): con NODE_ENV=test la
+// configuración usa sus valores por defecto y no hace falta un .env
+process.env.NODE_ENV = 'test';
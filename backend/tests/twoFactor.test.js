@@ -0,0 +1,159 @@
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import User from '../src/models/User.js';
+import AuditEvent from '../src/models/AuditEvent.js';
+import {
+  generateMfaToken,
+  verifyTwoFactorLogin,
+  disableTwoFactor,
+  regenerateBackupCodes,
+} from '../src/controllers/twoFactor.controller.js';
+import { base32Encode, generateTotp, verifyTotp, getTimeStep } from '../src/utils/totp.js';
+import { createRequest, runHandler } from './helpers.js';
+
+// Secreto de los vectores de prueba del RFC 6238 (HMAC-SHA1)
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+const STEP_MS = 30 * 1000;
+
+const createTwoFactorUser = () => {
+  const user = new User({
+    username: 'alice',
+    email: 'alice@example.com',
+    password: 'hashed-password',
+    twoFactor: { enabled: true, secret: RFC_SECRET },
+  });
+  mock.method(user, 'save', async () => user);
+  return user;
+};
+
+// Las consultas del controlador encadenan .select() con los campos del segundo factor
+const mockFindById = (user) => {
+  mock.method(User, 'findById', () => ({ select: async () => user }));
+};
+
+describe('verifyTotp', () => {
+  it('genera los códigos de los vectores del RFC 6238 (últimos 6 dígitos)', () => {
+    assert.equal(generateTotp(RFC_SECRET, 59 * 1000), '287082');
+    assert.equal(generateTotp(RFC_SECRET, 1111111109 * 1000), '081804');
+    assert.equal(generateTotp(RFC_SECRET, 2000000000 * 1000), '279037');
+  });
+
+  it('acepta un paso de desfase y devuelve el paso usado', () => {
+    const now = Date.now();
+    const previous = generateTotp(RFC_SECRET, now - STEP_MS);
+
+    assert.equal(verifyTotp(RFC_SECRET, previous, { timestamp: now }), getTimeStep(now) - 1);
+    const tooOld = generateTotp(RFC_SECRET, now - 2 * STEP_MS);
+    assert.equal(verifyTotp(RFC_SECRET, tooOld, { timestamp: now }), null);
+  });
+
+  it('rechaza códigos con formato inválido', () => {
+    assert.equal(verifyTotp(RFC_SECRET, ''), null);
+    assert.equal(verifyTotp(RFC_SECRET, '12345'), null);
+    assert.equal(verifyTotp(RFC_SECRET, 'abcdef'), null);
+  });
+});
+
+describe('User#verifySecondFactor', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('no acepta dos veces el mismo código TOTP', () => {
+    const user = createTwoFactorUser();
+    const code = generateTotp(RFC_SECRET);
+
+    assert.equal(user.verifySecondFactor(code), true);
+    assert.equal(user.verifySecondFactor(code), false);
+  });
+
+  it('consume cada código de respaldo al usarlo', () => {
+    const user = createTwoFactorUser();
+    const [code] = user.generateBackupCodes();
+
+    assert.equal(user.verifySecondFactor(` ${code.toUpperCase()} `), true);
+    assert.equal(user.verifySecondFactor(code), false);
+    assert.equal(user.twoFactor.backupCodes.length, 9);
+  });
+});
+
+describe('POST /api/auth/2fa/verify', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('rechaza un desafío inválido y borra la cookie del desafío', async () => {
+    const req = createRequest({
+      cookies: { mfaChallenge: 'not-a-token' },
+      body: { code: '123456' },
+    });
+    const { error, res } = await runHandler(verifyTwoFactorLogin, req);
+
+    assert.equal(error.statusCode, 401);
+    assert.equal(res.cookies.mfaChallenge.value, '');
+  });
+
+  it('cuenta un código erróneo como login fallido', async () => {
+    const user = createTwoFactorUser();
+    mockFindById(user);
+    const failed = mock.method(User, 'registerFailedLogin', async () => null);
+    mock.method(AuditEvent, 'create', async (doc) => doc);
+
+    const req = createRequest({
+      ip: '203.0.113.10',
+      cookies: { mfaChallenge: generateMfaToken(user, 'password') },
+      body: { code: '000000' },
+    });
+    const { error } = await runHandler(verifyTwoFactorLogin, req);
+
+    assert.equal(error.statusCode, 401);
+    assert.equal(error.message, 'Invalid verification code');
+    assert.equal(failed.mock.calls[0].arguments[0], user._id);
+  });
+
+  it('bloquea la cuenta cuando el fallo alcanza el límite', async () => {
+    const user = createTwoFactorUser();
+    mockFindById(user);
+    mock.method(User, 'registerFailedLogin', async () => new Date(Date.now() + 15 * 60 * 1000));
+    mock.method(AuditEvent, 'create', async (doc) => doc);
+
+    const req = createRequest({
+      ip: '203.0.113.11',
+      body: { mfaToken: generateMfaToken(user, 'password'), code: '000000' },
+    });
+    const { error, res } = await runHandler(verifyTwoFactorLogin, req);
+
+    assert.equal(error.statusCode, 429);
+    assert.equal(res.headers['retry-after'], String(15 * 60));
+  });
+});
+
+describe('gestión de 2FA con credenciales erróneas', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('no desactiva 2FA con una contraseña incorrecta', async () => {
+    const user = createTwoFactorUser();
+    mockFindById(user);
+    mock.method(user, 'comparePassword', async () => false);
+    mock.method(AuditEvent, 'create', async (doc) => doc);
+
+    const req = createRequest({
+      user,
+      body: { password: 'wrong-password', code: generateTotp(RFC_SECRET) },
+    });
+    const { error } = await runHandler(disableTwoFactor, req);
+
+    assert.equal(error.statusCode, 400);
+    assert.equal(user.twoFactor.enabled, true);
+    assert.equal(user.save.mock.callCount(), 0);
+  });
+
+  it('no regenera los códigos de respaldo con un código incorrecto', async () => {
+    const user = createTwoFactorUser();
+    mockFindById(user);
+
+    const { error } = await runHandler(
+      regenerateBackupCodes,
+      createRequest({ user, body: { code: '000000' } })
+    );
+
+    assert.equal(error.statusCode, 400);
+    assert.equal(user.save.mock.callCount(), 0);
+  });
+});
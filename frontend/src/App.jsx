@@ -7,6 +7,14 @@ import { Login } from "./pages/Login";
 import { Register } from "./pages/Register";
 import { Profile } from "./pages/Profile";
 import { Settings } from "./pages/Settings";
+import { AdminUsers } from "./pages/AdminUsers";
+import { VerifyEmail } from "./pages/VerifyEmail";
+import { ConfirmEmail } from "./pages/ConfirmEmail";
+import { ForgotPassword } from "./pages/ForgotPassword";
+import { ResetPassword } from "./pages/ResetPassword";
+import { MagicLink } from "./pages/MagicLink";
+import { NotMe } from "./pages/NotMe";
+import { AccessTokens } from "./pages/AccessTokens";
 
 function App() {
   return (
@@ -53,6 +61,19 @@ function App() {
             </PublicRoute>
           }
         />
+        <Route
+          path="/forgot-password"
+          element={
+            <PublicRoute>
+              <ForgotPassword />
+            </PublicRoute>
+          }
+        />
+        <Route path="/reset-password/:token" element={<ResetPassword />} />
+        <Route path="/verify-email" element={<VerifyEmail />} />
+        <Route path="/confirm-email" element={<ConfirmEmail />} />
+        <Route path="/magic-link" element={<MagicLink />} />
+        <Route path="/not-me" element={<NotMe />} />
         <Route
           path="/profile"
           element={
@@ -69,6 +90,22 @@ function App() {
             </ProtectedRoute>
           }
         />
+        <Route
+          path="/settings/tokens"
+          element={
+            <ProtectedRoute>
+              <AccessTokens />
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="/admin/users"
+          element={
+            <ProtectedRoute requiredPermissions={["users:read"]}>
+              <AdminUsers />
+            </ProtectedRoute>
+          }
+        />
         <Route path="*" element={<Navigate to="/" replace />} />
       </Routes>
     </BrowserRouter>
@@ -0,0 +1,28 @@
+import axiosInstance from './axios';
+
+export const adminApi = {
+  getUsers: async (params) => {
+    const response = await axiosInstance.get('/admin/users', { params });
+    return response.data;
+  },
+
+  getUser: async (id) => {
+    const response = await axiosInstance.get(`/admin/users/${id}`);
+    return response.data;
+  },
+
+  updateUserStatus: async ({ id, isActive }) => {
+    const response = await axiosInstance.patch(`/admin/users/${id}/status`, { isActive });
+    return response.data;
+  },
+
+  updateUserRole: async ({ id, role }) => {
+    const response = await axiosInstance.patch(`/admin/users/${id}/role`, { role });
+    return response.data;
+  },
+
+  unlockUser: async (id) => {
+    const response = await axiosInstance.patch(`/admin/users/${id}/unlock`);
+    return response.data;
+  },
+};
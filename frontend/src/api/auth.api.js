@@ -11,11 +11,141 @@ export const authApi = {
     return response.data;
   },
 
+  verifyEmail: async (token) => {
+    const response = await axiosInstance.post('/auth/verify-email', { token });
+    return response.data;
+  },
+
+  resendVerificationEmail: async (email) => {
+    const response = await axiosInstance.post('/auth/verify-email/resend', { email });
+    return response.data;
+  },
+
+  requestMagicLink: async (email) => {
+    const response = await axiosInstance.post('/auth/magic-link', { email });
+    return response.data;
+  },
+
+  verifyMagicLink: async (token) => {
+    const response = await axiosInstance.post('/auth/magic-link/verify', { token });
+    return response.data;
+  },
+
+  verifyTwoFactor: async (data) => {
+    const response = await axiosInstance.post('/auth/2fa/verify', data);
+    return response.data;
+  },
+
+  setupTwoFactor: async () => {
+    const response = await axiosInstance.post('/auth/2fa/setup');
+    return response.data;
+  },
+
+  enableTwoFactor: async (code) => {
+    const response = await axiosInstance.post('/auth/2fa/enable', { code });
+    return response.data;
+  },
+
+  disableTwoFactor: async (data) => {
+    const response = await axiosInstance.post('/auth/2fa/disable', data);
+    return response.data;
+  },
+
+  regenerateBackupCodes: async (code) => {
+    const response = await axiosInstance.post('/auth/2fa/backup-codes', { code });
+    return response.data;
+  },
+
+  forgotPassword: async (email) => {
+    const response = await axiosInstance.post('/auth/forgot-password', { email });
+    return response.data;
+  },
+
+  resetPassword: async ({ token, password }) => {
+    const response = await axiosInstance.post(`/auth/reset-password/${token}`, { password });
+    return response.data;
+  },
+
+  changePassword: async (data) => {
+    const response = await axiosInstance.patch('/auth/password', data);
+    return response.data;
+  },
+
   logout: async () => {
     const response = await axiosInstance.post('/auth/logout');
     return response.data;
   },
 
+  logoutAll: async () => {
+    const response = await axiosInstance.post('/auth/logout-all');
+    return response.data;
+  },
+
+  reportUnrecognizedLogin: async (token) => {
+    const response = await axiosInstance.post('/auth/not-me', { token });
+    return response.data;
+  },
+
+  getSessions: async () => {
+    const response = await axiosInstance.get('/auth/sessions');
+    return response.data;
+  },
+
+  revokeSession: async (id) => {
+    const response = await axiosInstance.delete(`/auth/sessions/${id}`);
+    return response.data;
+  },
+
+  getActivity: async (params) => {
+    const response = await axiosInstance.get('/auth/activity', { params });
+    return response.data;
+  },
+
+  getOAuthProviders: async () => {
+    const response = await axiosInstance.get('/auth/oauth/providers');
+    return response.data;
+  },
+
+  linkOAuthProvider: async (provider) => {
+    const response = await axiosInstance.post(`/auth/oauth/${provider}/link`);
+    return response.data;
+  },
+
+  unlinkOAuthProvider: async (provider) => {
+    const response = await axiosInstance.delete(`/auth/oauth/${provider}`);
+    return response.data;
+  },
+
+  getPasskeyLoginOptions: async () => {
+    const response = await axiosInstance.post('/auth/webauthn/login/options');
+    return response.data;
+  },
+
+  verifyPasskeyLogin: async (data) => {
+    const response = await axiosInstance.post('/auth/webauthn/login/verify', data);
+    return response.data;
+  },
+
+  getPasskeyRegistrationOptions: async () => {
+    const response = await axiosInstance.post('/auth/webauthn/register/options');
+    return response.data;
+  },
+
+  verifyPasskeyRegistration: async (data) => {
+    const response = await axiosInstance.post('/auth/webauthn/register/verify', data);
+    return response.data;
+  },
+
+  getPasskeys: async () => {
+    const response = await axiosInstance.get('/auth/webauthn/credentials');
+    return response.data;
+  },
+
+  deletePasskey: async (id) => {
+    const response = await axiosInstance.delete(`/auth/webauthn/credentials/${id}`);
+    return response.data;
+  },
+
   getMe: async () => {
     const response = await axiosInstance.get('/auth/me');
     return response.data;
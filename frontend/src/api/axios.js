@@ -1,6 +1,12 @@
 import axios from "axios";
+import toast from "react-hot-toast";
+import {
+  getRetryAfterMinutes,
+  formatMinutes,
+  isRateLimited,
+} from "../utils/rateLimit";
 
-const API_URL = import.meta.env.VITE_API_URL || "http://localhost:5000/api";
+export const API_URL = import.meta.env.VITE_API_URL || "http://localhost:5000/api";
 
 const axiosInstance = axios.create({
   baseURL: API_URL,
@@ -10,6 +16,70 @@ const axiosInstance = axios.create({
   },
 });
 
+// Métodos que no modifican datos y por tanto no necesitan token CSRF
+const SAFE_METHODS = ["get", "head", "options"];
+const CSRF_ERROR_MESSAGE = "Invalid or missing CSRF token";
+
+// Token CSRF compartido: se pide una vez y se reutiliza en todas las peticiones
+let csrfTokenPromise = null;
+
+const getCsrfToken = () => {
+  if (!csrfTokenPromise) {
+    csrfTokenPromise = axiosInstance
+      .get("/auth/csrf")
+      .then((response) => response.data.data.csrfToken)
+      .catch((error) => {
+        csrfTokenPromise = null;
+        throw error;
+      });
+  }
+  return csrfTokenPromise;
+};
+
+// Helper: verifica si el servidor rechazó el token CSRF (p. ej. expiró su cookie)
+const isCsrfError = (error) =>
+  error.response?.status === 403 &&
+  error.response.data?.message === CSRF_ERROR_MESSAGE &&
+  !error.config?._csrfRetry;
+
+axiosInstance.interceptors.request.use(async (config) => {
+  if (!SAFE_METHODS.includes((config.method || "get").toLowerCase())) {
+    config.headers["X-CSRF-Token"] = await getCsrfToken();
+  }
+  return config;
+});
+
+// Rutas de autenticación donde un 401 no debe disparar un refresh
+const NO_REFRESH_URLS = ["/auth/login", "/auth/register", "/auth/refresh"];
+
+// Solo estos 401 se arreglan renovando la sesión; el resto (contraseña o código
+// incorrectos...) se repetirían igual y gastarían intentos del rate limit
+const REFRESHABLE_ERROR_CODES = ["ACCESS_TOKEN_EXPIRED", "ACCESS_TOKEN_INVALID"];
+
+// Refresh en curso compartido: varias peticiones que fallan a la vez esperan al mismo
+let refreshPromise = null;
+
+const refreshSession = () => {
+  if (!refreshPromise) {
+    refreshPromise = axiosInstance.post("/auth/refresh").finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+};
+
+// Helper: verifica si debemos intentar renovar la sesión y repetir la petición
+const shouldTryRefresh = (error) => {
+  if (error.response?.status !== 401) return false;
+  if (!REFRESHABLE_ERROR_CODES.includes(error.response.data?.code)) return false;
+
+  const config = error.config;
+  if (!config || config._retry) return false;
+
+  const failedUrl = config.url || "";
+  return !NO_REFRESH_URLS.some((url) => failedUrl.includes(url));
+};
+
 // Helper: verifica si debemos redirigir al usuario a login
 const shouldRedirectToLogin = (error) => {
   // Solo procesamos errores 401 (no autorizado)
@@ -37,7 +107,35 @@ const shouldRedirectToLogin = (error) => {
 
 axiosInstance.interceptors.response.use(
   (response) => response,
-  (error) => {
+  async (error) => {
+    // Token CSRF rechazado: se pide uno nuevo y se repite la petición una vez
+    if (isCsrfError(error)) {
+      error.config._csrfRetry = true;
+      csrfTokenPromise = null;
+      return axiosInstance(error.config);
+    }
+
+    if (shouldTryRefresh(error)) {
+      // Solo se reintenta una vez por petición
+      error.config._retry = true;
+      try {
+        await refreshSession();
+        return axiosInstance(error.config);
+      } catch {
+        // El refresh falló: continuamos con el manejo normal del 401
+      }
+    }
+
+    // Demasiadas peticiones: un único aviso aunque fallen varias a la vez
+    if (isRateLimited(error)) {
+      toast.error(
+        `Demasiados intentos. Inténtalo de nuevo en ${formatMinutes(
+          getRetryAfterMinutes(error)
+        )}.`,
+        { id: "rate-limit" }
+      );
+    }
+
     if (shouldRedirectToLogin(error)) {
       window.location.href = "/login";
     }
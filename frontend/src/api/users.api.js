@@ -0,0 +1,43 @@
+import axiosInstance from './axios';
+
+export const usersApi = {
+  updateMe: async (data) => {
+    const response = await axiosInstance.patch('/users/me', data);
+    return response.data;
+  },
+
+  deleteMe: async (password) => {
+    const response = await axiosInstance.delete('/users/me', { data: { password } });
+    return response.data;
+  },
+
+  exportMyData: async () => {
+    const response = await axiosInstance.get('/users/me/export');
+    return response.data;
+  },
+
+  updatePreferences: async (data) => {
+    const response = await axiosInstance.patch('/users/me/preferences', data);
+    return response.data;
+  },
+
+  getAccessTokens: async () => {
+    const response = await axiosInstance.get('/users/me/tokens');
+    return response.data;
+  },
+
+  createAccessToken: async (data) => {
+    const response = await axiosInstance.post('/users/me/tokens', data);
+    return response.data;
+  },
+
+  revokeAccessToken: async (id) => {
+    const response = await axiosInstance.delete(`/users/me/tokens/${id}`);
+    return response.data;
+  },
+
+  confirmEmailChange: async (token) => {
+    const response = await axiosInstance.post('/users/confirm-email', { token });
+    return response.data;
+  },
+};
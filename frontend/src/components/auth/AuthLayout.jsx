@@ -0,0 +1,49 @@
+import { Link } from 'react-router-dom';
+import { Moon, Sun } from 'lucide-react';
+import { useTheme } from '../../contexts/ThemeContext';
+
+// Estructura común de las páginas públicas de autenticación (navbar + tarjeta centrada)
+export const AuthLayout = ({ icon, title, subtitle, children }) => {
+  const { theme, toggleTheme } = useTheme();
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 dark:from-gray-900 dark:to-gray-800">
+      <nav className="bg-white/80 dark:bg-gray-800/80 backdrop-blur-sm shadow-md">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex justify-between items-center h-16">
+            <Link to="/">
+              <h1 className="text-2xl font-bold text-primary-600 dark:text-primary-400 hover:text-primary-700 dark:hover:text-primary-300 transition-colors cursor-pointer">
+                MERN Auth
+              </h1>
+            </Link>
+            <button
+              onClick={toggleTheme}
+              className="p-2 rounded-lg hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors"
+              title={theme === 'dark' ? 'Cambiar a modo claro' : 'Cambiar a modo oscuro'}
+            >
+              {theme === 'dark' ? (
+                <Sun size={20} className="text-gray-700 dark:text-gray-200" />
+              ) : (
+                <Moon size={20} className="text-gray-700" />
+              )}
+            </button>
+          </div>
+        </div>
+      </nav>
+
+      <div className="flex items-center justify-center px-4 py-12">
+        <div className="max-w-md w-full">
+          <div className="text-center mb-8">
+            <div className="inline-flex items-center justify-center w-16 h-16 bg-primary-600 dark:bg-primary-500 rounded-full mb-4">
+              {icon}
+            </div>
+            <h1 className="text-3xl font-bold text-gray-900 dark:text-gray-100">{title}</h1>
+            {subtitle && <p className="text-gray-600 dark:text-gray-300 mt-2">{subtitle}</p>}
+          </div>
+
+          <div className="card">{children}</div>
+        </div>
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,76 @@
+import { useState } from 'react';
+import { useForm } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import { useMutation } from '@tanstack/react-query';
+import toast from 'react-hot-toast';
+import { authApi } from '../../api/auth.api';
+import { emailSchema } from '../../schemas/auth.schema';
+import { isRateLimited } from '../../utils/rateLimit';
+import { Input } from '../common/Input';
+import { Button } from '../common/Button';
+
+export const MagicLinkForm = ({ onCancel }) => {
+  const [sentTo, setSentTo] = useState(null);
+
+  const magicLinkMutation = useMutation({
+    mutationFn: authApi.requestMagicLink,
+  });
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors },
+  } = useForm({
+    resolver: zodResolver(emailSchema),
+  });
+
+  const onSubmit = async ({ email }) => {
+    try {
+      await magicLinkMutation.mutateAsync(email);
+      setSentTo(email);
+    } catch (err) {
+      // Los 429 ya los notifica el interceptor de axios
+      if (!isRateLimited(err)) {
+        toast.error(err.response?.data?.message || 'Error al enviar el enlace');
+      }
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      {sentTo ? (
+        <p className="text-gray-700 dark:text-gray-300">
+          Te enviamos un enlace a <strong>{sentTo}</strong>. Ábrelo en este mismo navegador para
+          iniciar sesión; caduca en unos minutos y solo puede usarse una vez.
+        </p>
+      ) : (
+        <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+          <p className="text-sm text-gray-600 dark:text-gray-300">
+            Te enviaremos un enlace para iniciar sesión sin contraseña.
+          </p>
+
+          <Input
+            type="email"
+            label="Email"
+            {...register('email')}
+            error={errors.email?.message}
+            placeholder="tu@email.com"
+            autoFocus
+          />
+
+          <Button type="submit" isLoading={magicLinkMutation.isPending} className="w-full">
+            Enviar enlace
+          </Button>
+        </form>
+      )}
+
+      <button
+        type="button"
+        onClick={onCancel}
+        className="w-full text-sm text-gray-600 dark:text-gray-300 hover:text-primary-600 dark:hover:text-primary-400"
+      >
+        Iniciar sesión con contraseña
+      </button>
+    </div>
+  );
+};
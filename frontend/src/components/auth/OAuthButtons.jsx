@@ -0,0 +1,31 @@
+import { useOAuthProviders, getOAuthLoginUrl } from '../../hooks/useOAuth';
+
+export const OAuthButtons = () => {
+  const { providers } = useOAuthProviders();
+
+  if (providers.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="mt-6">
+      <div className="flex items-center gap-3 mb-4">
+        <div className="flex-1 border-t border-gray-200 dark:border-gray-700" />
+        <span className="text-sm text-gray-500 dark:text-gray-400">o</span>
+        <div className="flex-1 border-t border-gray-200 dark:border-gray-700" />
+      </div>
+
+      <div className="space-y-3">
+        {providers.map((provider) => (
+          <a
+            key={provider.id}
+            href={getOAuthLoginUrl(provider.id)}
+            className="flex items-center justify-center w-full px-4 py-2 rounded-lg border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-200 font-medium hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors"
+          >
+            Continuar con {provider.name}
+          </a>
+        ))}
+      </div>
+    </div>
+  );
+};
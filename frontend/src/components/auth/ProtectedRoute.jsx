@@ -1,9 +1,10 @@
 import { Navigate } from 'react-router-dom';
 import { useAuth } from '../../hooks/useAuth';
 import { Loader } from '../common/Loader';
+import { Forbidden } from '../../pages/Forbidden';
 
-export const ProtectedRoute = ({ children }) => {
-  const { isAuthenticated, loading } = useAuth();
+export const ProtectedRoute = ({ children, requiredRoles = [], requiredPermissions = [] }) => {
+  const { isAuthenticated, loading, hasRole, hasPermissions } = useAuth();
 
   if (loading) {
     return (
@@ -17,5 +18,10 @@ export const ProtectedRoute = ({ children }) => {
     return <Navigate to="/login" replace />;
   }
 
+  // Autenticado pero sin el rol o permisos necesarios: 403 en lugar de redirigir
+  if (!hasRole(requiredRoles) || !hasPermissions(requiredPermissions)) {
+    return <Forbidden />;
+  }
+
   return children;
 };
@@ -0,0 +1,52 @@
+import { useForm } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import { twoFactorCodeSchema } from '../../schemas/auth.schema';
+import { Input } from '../common/Input';
+import { Button } from '../common/Button';
+
+export const TwoFactorForm = ({ onSubmit, onCancel, isLoading, error }) => {
+  const {
+    register,
+    handleSubmit,
+    formState: { errors },
+  } = useForm({
+    resolver: zodResolver(twoFactorCodeSchema),
+  });
+
+  return (
+    <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+      {error && (
+        <div className="bg-red-50 dark:bg-red-900/30 border border-red-200 dark:border-red-800 text-red-700 dark:text-red-400 px-4 py-3 rounded-lg">
+          {error}
+        </div>
+      )}
+
+      <p className="text-sm text-gray-600 dark:text-gray-300">
+        Introduce el código de tu aplicación de autenticación o uno de tus códigos de respaldo.
+      </p>
+
+      <Input
+        label="Código de verificación"
+        {...register('code')}
+        error={errors.code?.message}
+        placeholder="123456"
+        autoComplete="one-time-code"
+        autoFocus
+      />
+
+      <Button type="submit" isLoading={isLoading} className="w-full">
+        Verificar
+      </Button>
+
+      {onCancel && (
+        <button
+          type="button"
+          onClick={onCancel}
+          className="w-full text-sm text-gray-600 dark:text-gray-300 hover:text-primary-600 dark:hover:text-primary-400"
+        >
+          Volver al inicio de sesión
+        </button>
+      )}
+    </form>
+  );
+};
@@ -0,0 +1,27 @@
+import { Modal } from './Modal';
+import { Button } from './Button';
+
+export const ConfirmDialog = ({
+  isOpen,
+  onClose,
+  onConfirm,
+  title,
+  message,
+  confirmLabel = 'Confirmar',
+  variant = 'primary',
+  isLoading,
+}) => {
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title={title} size="sm">
+      <p className="text-gray-600 dark:text-gray-300 mb-6">{message}</p>
+      <div className="flex justify-end gap-2">
+        <Button variant="secondary" onClick={onClose}>
+          Cancelar
+        </Button>
+        <Button variant={variant} onClick={onConfirm} isLoading={isLoading}>
+          {confirmLabel}
+        </Button>
+      </div>
+    </Modal>
+  );
+};
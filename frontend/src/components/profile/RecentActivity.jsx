@@ -0,0 +1,94 @@
+import { useState } from 'react';
+import { Activity, CheckCircle, ChevronLeft, ChevronRight, XCircle } from 'lucide-react';
+import { useActivity, getActivityLabel } from '../../hooks/useActivity';
+import { Button } from '../common/Button';
+import { Loader } from '../common/Loader';
+
+const PAGE_SIZE = 10;
+
+const formatDateTime = (dateString) => {
+  return new Date(dateString).toLocaleString('es-ES', {
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+};
+
+export const RecentActivity = () => {
+  const [page, setPage] = useState(1);
+  const { events, pagination, isLoading } = useActivity({ page, limit: PAGE_SIZE });
+
+  return (
+    <div className="card max-w-2xl mx-auto mt-6">
+      <div className="flex items-center gap-3 mb-6">
+        <Activity size={24} className="text-primary-600 dark:text-primary-400" />
+        <h2 className="text-2xl font-bold text-gray-900 dark:text-gray-100">Actividad reciente</h2>
+      </div>
+
+      {isLoading ? (
+        <Loader />
+      ) : events.length === 0 ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400">Todavía no hay actividad registrada.</p>
+      ) : (
+        <div className="space-y-3">
+          {events.map((event) => {
+            const failed = event.outcome === 'failure';
+            const OutcomeIcon = failed ? XCircle : CheckCircle;
+
+            return (
+              <div
+                key={event._id}
+                className="flex items-start gap-3 p-4 rounded-lg bg-gray-50 dark:bg-gray-800/50"
+              >
+                <OutcomeIcon
+                  size={20}
+                  className={`mt-0.5 shrink-0 ${
+                    failed ? 'text-red-500 dark:text-red-400' : 'text-green-600 dark:text-green-400'
+                  }`}
+                />
+                <div className="flex-1">
+                  <p className="font-medium text-gray-900 dark:text-gray-100">
+                    {getActivityLabel(event)}
+                    {failed && (
+                      <span className="ml-2 text-xs font-medium text-red-600 dark:text-red-400">
+                        Fallido
+                      </span>
+                    )}
+                  </p>
+                  <p className="text-sm text-gray-500 dark:text-gray-400">
+                    {event.device} · {event.ip || 'IP desconocida'}
+                  </p>
+                  <p className="text-xs text-gray-400 dark:text-gray-500">
+                    {formatDateTime(event.createdAt)}
+                  </p>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {pagination && pagination.pages > 1 && (
+        <div className="flex items-center justify-between mt-6">
+          <p className="text-sm text-gray-500 dark:text-gray-400">
+            Página {pagination.page} de {pagination.pages}
+          </p>
+          <div className="flex gap-2">
+            <Button variant="secondary" onClick={() => setPage(page - 1)} disabled={page <= 1}>
+              <ChevronLeft size={18} />
+            </Button>
+            <Button
+              variant="secondary"
+              onClick={() => setPage(page + 1)}
+              disabled={page >= pagination.pages}
+            >
+              <ChevronRight size={18} />
+            </Button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
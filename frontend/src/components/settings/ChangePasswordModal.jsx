@@ -0,0 +1,103 @@
+import { useForm } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import toast from 'react-hot-toast';
+import { useState } from 'react';
+import { authApi } from '../../api/auth.api';
+import { changePasswordSchema } from '../../schemas/auth.schema';
+import { Modal } from '../common/Modal';
+import { Input } from '../common/Input';
+import { Button } from '../common/Button';
+
+export const ChangePasswordModal = ({ isOpen, onClose }) => {
+  const queryClient = useQueryClient();
+  const [error, setError] = useState('');
+
+  const changePasswordMutation = useMutation({
+    mutationFn: authApi.changePassword,
+    onSuccess: (response) => {
+      queryClient.setQueryData(['auth', 'me'], (current) => ({
+        ...current,
+        ...response.data.user,
+      }));
+      // El resto de sesiones se cerraron en el servidor
+      queryClient.invalidateQueries({ queryKey: ['auth', 'sessions'] });
+    },
+  });
+
+  const {
+    register,
+    handleSubmit,
+    reset,
+    formState: { errors },
+  } = useForm({
+    resolver: zodResolver(changePasswordSchema),
+  });
+
+  const handleClose = () => {
+    reset();
+    setError('');
+    onClose();
+  };
+
+  const onSubmit = async ({ currentPassword, newPassword }) => {
+    setError('');
+    try {
+      await changePasswordMutation.mutateAsync({ currentPassword, newPassword });
+      toast.success('Contraseña actualizada. Se cerraron tus otras sesiones');
+      handleClose();
+    } catch (err) {
+      const errorMessage = err.response?.data?.message || 'Error al cambiar la contraseña';
+      setError(errorMessage);
+      toast.error(errorMessage);
+    }
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={handleClose} title="Cambiar contraseña">
+      <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+        {error && (
+          <div className="bg-red-50 dark:bg-red-900/30 border border-red-200 dark:border-red-800 text-red-700 dark:text-red-400 px-4 py-3 rounded-lg">
+            {error}
+          </div>
+        )}
+
+        <Input
+          type="password"
+          label="Contraseña actual"
+          {...register('currentPassword')}
+          error={errors.currentPassword?.message}
+          placeholder="••••••••"
+          autoComplete="current-password"
+        />
+
+        <Input
+          type="password"
+          label="Nueva contraseña"
+          {...register('newPassword')}
+          error={errors.newPassword?.message}
+          placeholder="••••••••"
+          autoComplete="new-password"
+        />
+
+        <Input
+          type="password"
+          label="Confirmar nueva contraseña"
+          {...register('confirmPassword')}
+          error={errors.confirmPassword?.message}
+          placeholder="••••••••"
+          autoComplete="new-password"
+        />
+
+        <div className="flex justify-end gap-2">
+          <Button type="button" variant="secondary" onClick={handleClose}>
+            Cancelar
+          </Button>
+          <Button type="submit" isLoading={changePasswordMutation.isPending}>
+            Guardar
+          </Button>
+        </div>
+      </form>
+    </Modal>
+  );
+};
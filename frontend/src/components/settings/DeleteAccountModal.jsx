@@ -0,0 +1,80 @@
+import { useForm } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import toast from 'react-hot-toast';
+import { useState } from 'react';
+import { useAuth } from '../../hooks/useAuth';
+import { deleteAccountSchema } from '../../schemas/auth.schema';
+import { Modal } from '../common/Modal';
+import { Input } from '../common/Input';
+import { Button } from '../common/Button';
+
+export const DeleteAccountModal = ({ isOpen, onClose }) => {
+  const { deleteAccount, isDeletingAccount } = useAuth();
+  const [error, setError] = useState('');
+
+  const {
+    register,
+    handleSubmit,
+    reset,
+    formState: { errors },
+  } = useForm({
+    resolver: zodResolver(deleteAccountSchema),
+  });
+
+  const handleClose = () => {
+    reset();
+    setError('');
+    onClose();
+  };
+
+  const onSubmit = async ({ password }) => {
+    setError('');
+    try {
+      const response = await deleteAccount(password);
+      const purgeDate = new Date(response.data.purgeAt).toLocaleDateString('es-ES', {
+        dateStyle: 'long',
+      });
+      toast.success(`Tu cuenta se eliminará el ${purgeDate}`);
+    } catch (err) {
+      const errorMessage = err.response?.data?.message || 'Error al eliminar la cuenta';
+      setError(errorMessage);
+      toast.error(errorMessage);
+    }
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={handleClose} title="Eliminar cuenta">
+      <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+        {error && (
+          <div className="bg-red-50 dark:bg-red-900/30 border border-red-200 dark:border-red-800 text-red-700 dark:text-red-400 px-4 py-3 rounded-lg">
+            {error}
+          </div>
+        )}
+
+        <p className="text-sm text-gray-600 dark:text-gray-400">
+          Se cerrarán todas tus sesiones y la cuenta se eliminará definitivamente, junto con tus
+          datos, cuando termine el periodo de gracia. Si cambias de opinión, inicia sesión antes
+          de esa fecha para restaurarla.
+        </p>
+
+        <Input
+          type="password"
+          label="Contraseña"
+          {...register('password')}
+          error={errors.password?.message}
+          placeholder="••••••••"
+          autoComplete="current-password"
+        />
+
+        <div className="flex justify-end gap-2">
+          <Button type="button" variant="secondary" onClick={handleClose}>
+            Cancelar
+          </Button>
+          <Button type="submit" variant="danger" isLoading={isDeletingAccount}>
+            Eliminar cuenta
+          </Button>
+        </div>
+      </form>
+    </Modal>
+  );
+};
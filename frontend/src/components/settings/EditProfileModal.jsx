@@ -0,0 +1,95 @@
+import { useState } from 'react';
+import { useForm } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import toast from 'react-hot-toast';
+import { useAuth } from '../../hooks/useAuth';
+import { updateUsernameSchema, updateEmailSchema } from '../../schemas/auth.schema';
+import { Modal } from '../common/Modal';
+import { Input } from '../common/Input';
+import { Button } from '../common/Button';
+
+const FIELDS = {
+  username: {
+    title: 'Editar nombre de usuario',
+    label: 'Nombre de usuario',
+    type: 'text',
+    schema: updateUsernameSchema,
+  },
+  email: {
+    title: 'Editar correo electrónico',
+    label: 'Nuevo correo electrónico',
+    type: 'email',
+    schema: updateEmailSchema,
+  },
+};
+
+const EditProfileForm = ({ field, user, onDone }) => {
+  const { updateProfile, isUpdatingProfile } = useAuth();
+  const [error, setError] = useState('');
+  const config = FIELDS[field];
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors },
+  } = useForm({
+    resolver: zodResolver(config.schema),
+    defaultValues: {
+      [field]: user?.[field] || '',
+    },
+  });
+
+  const onSubmit = async (data) => {
+    setError('');
+    try {
+      const response = await updateProfile(data);
+      if (response.data.emailChangePending) {
+        toast.success(`Te enviamos un enlace de confirmación a ${data.email}`);
+      } else {
+        toast.success('Perfil actualizado');
+      }
+      onDone();
+    } catch (err) {
+      const errorMessage = err.response?.data?.message || 'Error al actualizar el perfil';
+      setError(errorMessage);
+      toast.error(errorMessage);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+      {error && (
+        <div className="bg-red-50 dark:bg-red-900/30 border border-red-200 dark:border-red-800 text-red-700 dark:text-red-400 px-4 py-3 rounded-lg">
+          {error}
+        </div>
+      )}
+
+      {field === 'email' && (
+        <p className="text-sm text-gray-600 dark:text-gray-300">
+          Enviaremos un enlace a la nueva dirección. El cambio se aplicará cuando lo confirmes; mientras tanto
+          seguirás usando tu correo actual.
+        </p>
+      )}
+
+      <Input type={config.type} label={config.label} {...register(field)} error={errors[field]?.message} />
+
+      <div className="flex justify-end gap-2">
+        <Button type="button" variant="secondary" onClick={onDone}>
+          Cancelar
+        </Button>
+        <Button type="submit" isLoading={isUpdatingProfile}>
+          Guardar
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+export const EditProfileModal = ({ field, user, onClose }) => {
+  return (
+    <Modal isOpen={Boolean(field)} onClose={onClose} title={field ? FIELDS[field].title : ''}>
+      {/* La key reinicia el formulario al cambiar de campo */}
+      {field && <EditProfileForm key={field} field={field} user={user} onDone={onClose} />}
+    </Modal>
+  );
+};
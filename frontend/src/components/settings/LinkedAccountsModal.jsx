@@ -0,0 +1,98 @@
+import toast from 'react-hot-toast';
+import { Link2 } from 'lucide-react';
+import { useOAuthProviders, useLinkedAccounts } from '../../hooks/useOAuth';
+import { Modal } from '../common/Modal';
+import { Loader } from '../common/Loader';
+
+const formatDate = (dateString) => {
+  return new Date(dateString).toLocaleDateString('es-ES', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+  });
+};
+
+export const LinkedAccountsModal = ({ isOpen, onClose, user }) => {
+  const { providers, isLoading } = useOAuthProviders();
+  const { linkProvider, unlinkProvider, isLinking, isUnlinking } = useLinkedAccounts();
+  const linkedAccounts = user?.oauthAccounts || [];
+
+  // Proveedores activos más los vinculados que ya no estén configurados
+  const rows = [
+    ...providers,
+    ...linkedAccounts
+      .filter((account) => !providers.some((provider) => provider.id === account.provider))
+      .map((account) => ({ id: account.provider, name: account.provider })),
+  ];
+
+  const handleLink = async (providerId) => {
+    try {
+      await linkProvider(providerId);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Error al vincular la cuenta');
+    }
+  };
+
+  const handleUnlink = async (providerId) => {
+    try {
+      await unlinkProvider(providerId);
+      toast.success('Cuenta desvinculada');
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Error al desvincular la cuenta');
+    }
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title="Cuentas vinculadas">
+      {isLoading ? (
+        <Loader />
+      ) : rows.length === 0 ? (
+        <p className="text-sm text-gray-600 dark:text-gray-300">
+          No hay proveedores de inicio de sesión configurados.
+        </p>
+      ) : (
+        <div className="space-y-3">
+          {rows.map((provider) => {
+            const account = linkedAccounts.find((linked) => linked.provider === provider.id);
+
+            return (
+              <div
+                key={provider.id}
+                className="flex items-center justify-between gap-4 p-4 rounded-lg bg-gray-50 dark:bg-gray-800/50"
+              >
+                <div className="flex items-center gap-3">
+                  <Link2 size={20} className="text-gray-500 dark:text-gray-400" />
+                  <div>
+                    <p className="font-medium text-gray-900 dark:text-gray-100">{provider.name}</p>
+                    <p className="text-sm text-gray-500 dark:text-gray-400">
+                      {account
+                        ? `${account.email || 'Vinculada'} · desde ${formatDate(account.linkedAt)}`
+                        : 'No vinculada'}
+                    </p>
+                  </div>
+                </div>
+                {account ? (
+                  <button
+                    onClick={() => handleUnlink(provider.id)}
+                    disabled={isUnlinking}
+                    className="text-red-600 dark:text-red-400 hover:text-red-700 dark:hover:text-red-300 font-medium text-sm disabled:opacity-50"
+                  >
+                    Desvincular
+                  </button>
+                ) : (
+                  <button
+                    onClick={() => handleLink(provider.id)}
+                    disabled={isLinking}
+                    className="text-primary-600 dark:text-primary-400 hover:text-primary-700 dark:hover:text-primary-300 font-medium text-sm disabled:opacity-50"
+                  >
+                    Vincular
+                  </button>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </Modal>
+  );
+};
@@ -0,0 +1,118 @@
+import { useState } from 'react';
+import toast from 'react-hot-toast';
+import { KeyRound } from 'lucide-react';
+import { usePasskeys, isPasskeySupported, getPasskeyErrorMessage } from '../../hooks/usePasskeys';
+import { Modal } from '../common/Modal';
+import { Input } from '../common/Input';
+import { Button } from '../common/Button';
+import { Loader } from '../common/Loader';
+
+const formatDate = (dateString) => {
+  return new Date(dateString).toLocaleDateString('es-ES', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+  });
+};
+
+export const PasskeysModal = ({ isOpen, onClose }) => {
+  const { passkeys, isLoading, registerPasskey, deletePasskey, isRegistering, isDeleting } =
+    usePasskeys({ enabled: isOpen });
+  const [name, setName] = useState('');
+
+  const handleRegister = async (event) => {
+    event.preventDefault();
+    try {
+      await registerPasskey(name.trim() || undefined);
+      setName('');
+      toast.success('Passkey añadida');
+    } catch (err) {
+      toast.error(getPasskeyErrorMessage(err, 'Error al añadir la passkey'));
+    }
+  };
+
+  const handleDelete = async (passkeyId) => {
+    try {
+      await deletePasskey(passkeyId);
+      toast.success('Passkey eliminada');
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Error al eliminar la passkey');
+    }
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title="Passkeys" size="lg">
+      {isLoading ? (
+        <Loader />
+      ) : (
+        <div className="space-y-3">
+          <p className="text-sm text-gray-600 dark:text-gray-300">
+            Inicia sesión con la huella, el rostro o el PIN de tu dispositivo, o con una llave de
+            seguridad, sin escribir tu contraseña.
+          </p>
+
+          {passkeys.length === 0 ? (
+            <p className="text-sm text-gray-500 dark:text-gray-400">
+              Todavía no has añadido ninguna passkey.
+            </p>
+          ) : (
+            passkeys.map((passkey) => (
+              <div
+                key={passkey._id}
+                className="flex items-center justify-between gap-4 p-4 rounded-lg bg-gray-50 dark:bg-gray-800/50"
+              >
+                <div className="flex items-center gap-3">
+                  <KeyRound size={20} className="text-gray-500 dark:text-gray-400" />
+                  <div>
+                    <p className="font-medium text-gray-900 dark:text-gray-100">
+                      {passkey.name}
+                      {passkey.backedUp && (
+                        <span className="ml-2 text-xs font-medium text-green-600 dark:text-green-400">
+                          Sincronizada
+                        </span>
+                      )}
+                    </p>
+                    <p className="text-sm text-gray-500 dark:text-gray-400">
+                      Añadida el {formatDate(passkey.createdAt)} ·{' '}
+                      {passkey.lastUsedAt
+                        ? `Último uso: ${formatDate(passkey.lastUsedAt)}`
+                        : 'Sin usar'}
+                    </p>
+                  </div>
+                </div>
+                <button
+                  onClick={() => handleDelete(passkey._id)}
+                  disabled={isDeleting}
+                  className="text-red-600 dark:text-red-400 hover:text-red-700 dark:hover:text-red-300 font-medium text-sm disabled:opacity-50"
+                >
+                  Eliminar
+                </button>
+              </div>
+            ))
+          )}
+
+          {isPasskeySupported() ? (
+            <form onSubmit={handleRegister} className="pt-2">
+              <Input
+                label="Nombre de la nueva passkey"
+                value={name}
+                onChange={(event) => setName(event.target.value)}
+                maxLength={50}
+                placeholder="Ej: Portátil del trabajo"
+              />
+              <div className="flex justify-end">
+                <Button type="submit" isLoading={isRegistering}>
+                  Añadir passkey
+                </Button>
+              </div>
+            </form>
+          ) : (
+            <p className="text-sm text-gray-500 dark:text-gray-400">
+              Este navegador no es compatible con passkeys.
+            </p>
+          )}
+        </div>
+      )}
+    </Modal>
+  );
+};
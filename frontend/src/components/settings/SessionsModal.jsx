@@ -0,0 +1,95 @@
+import toast from 'react-hot-toast';
+import { Monitor, Smartphone } from 'lucide-react';
+import { useSessions } from '../../hooks/useSessions';
+import { Modal } from '../common/Modal';
+import { Button } from '../common/Button';
+import { Loader } from '../common/Loader';
+
+const MOBILE_PATTERN = /Android|iOS/;
+
+const formatDateTime = (dateString) => {
+  return new Date(dateString).toLocaleString('es-ES', {
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+};
+
+export const SessionsModal = ({ isOpen, onClose }) => {
+  const { sessions, isLoading, revokeSession, logoutAll, isRevoking, isLoggingOutAll } =
+    useSessions({ enabled: isOpen });
+
+  const handleRevoke = async (sessionId) => {
+    try {
+      await revokeSession(sessionId);
+      toast.success('Sesión cerrada');
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Error al cerrar la sesión');
+    }
+  };
+
+  const handleLogoutAll = async () => {
+    try {
+      await logoutAll();
+      toast.success('Sesión cerrada en todos los dispositivos');
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Error al cerrar las sesiones');
+    }
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title="Sesiones activas" size="lg">
+      {isLoading ? (
+        <Loader />
+      ) : (
+        <div className="space-y-3">
+          {sessions.map((session) => {
+            const DeviceIcon = MOBILE_PATTERN.test(session.device) ? Smartphone : Monitor;
+
+            return (
+              <div
+                key={session._id}
+                className="flex items-center justify-between gap-4 p-4 rounded-lg bg-gray-50 dark:bg-gray-800/50"
+              >
+                <div className="flex items-center gap-3">
+                  <DeviceIcon size={24} className="text-gray-500 dark:text-gray-400" />
+                  <div>
+                    <p className="font-medium text-gray-900 dark:text-gray-100">
+                      {session.device}
+                      {session.current && (
+                        <span className="ml-2 text-xs font-medium text-green-600 dark:text-green-400">
+                          Este dispositivo
+                        </span>
+                      )}
+                    </p>
+                    <p className="text-sm text-gray-500 dark:text-gray-400">
+                      {session.ip || 'IP desconocida'} · Última actividad: {formatDateTime(session.lastSeenAt)}
+                    </p>
+                    <p className="text-xs text-gray-400 dark:text-gray-500">
+                      Inicio: {formatDateTime(session.createdAt)}
+                    </p>
+                  </div>
+                </div>
+                <button
+                  onClick={() => handleRevoke(session._id)}
+                  disabled={isRevoking}
+                  className="text-red-600 dark:text-red-400 hover:text-red-700 dark:hover:text-red-300 font-medium text-sm disabled:opacity-50"
+                >
+                  Cerrar
+                </button>
+              </div>
+            );
+          })}
+
+          <div className="flex justify-end pt-2">
+            <Button variant="danger" onClick={handleLogoutAll} isLoading={isLoggingOutAll}>
+              Cerrar sesión en todos los dispositivos
+            </Button>
+          </div>
+        </div>
+      )}
+    </Modal>
+  );
+};
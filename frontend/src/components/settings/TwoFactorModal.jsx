@@ -0,0 +1,235 @@
+import { useState } from 'react';
+import { useForm } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import toast from 'react-hot-toast';
+import { Copy } from 'lucide-react';
+import { authApi } from '../../api/auth.api';
+import { twoFactorCodeSchema, disableTwoFactorSchema } from '../../schemas/auth.schema';
+import { Modal } from '../common/Modal';
+import { Input } from '../common/Input';
+import { Button } from '../common/Button';
+
+const BackupCodes = ({ codes, onDone }) => {
+  const copyCodes = async () => {
+    await navigator.clipboard.writeText(codes.join('\n'));
+    toast.success('Códigos copiados');
+  };
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-600 dark:text-gray-300">
+        Guarda estos códigos de respaldo en un lugar seguro. Cada uno sirve una sola vez si pierdes acceso a tu
+        aplicación de autenticación. <strong>No volverán a mostrarse.</strong>
+      </p>
+      <div className="grid grid-cols-2 gap-2 p-4 rounded-lg bg-gray-50 dark:bg-gray-800/50 font-mono text-sm text-gray-900 dark:text-gray-100">
+        {codes.map((code) => (
+          <span key={code}>{code}</span>
+        ))}
+      </div>
+      <div className="flex justify-end gap-2">
+        <Button variant="secondary" onClick={copyCodes}>
+          <span className="flex items-center gap-2">
+            <Copy size={16} />
+            Copiar
+          </span>
+        </Button>
+        <Button onClick={onDone}>Listo</Button>
+      </div>
+    </div>
+  );
+};
+
+const CodeForm = ({ onSubmit, isLoading, submitLabel, variant }) => {
+  const {
+    register,
+    handleSubmit,
+    formState: { errors },
+  } = useForm({
+    resolver: zodResolver(twoFactorCodeSchema),
+  });
+
+  return (
+    <form onSubmit={handleSubmit(onSubmit)} className="space-y-2">
+      <Input
+        label="Código de verificación"
+        {...register('code')}
+        error={errors.code?.message}
+        placeholder="123456"
+        autoComplete="one-time-code"
+      />
+      <div className="flex justify-end">
+        <Button type="submit" variant={variant} isLoading={isLoading}>
+          {submitLabel}
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+const DisableForm = ({ onSubmit, isLoading }) => {
+  const {
+    register,
+    handleSubmit,
+    formState: { errors },
+  } = useForm({
+    resolver: zodResolver(disableTwoFactorSchema),
+  });
+
+  return (
+    <form onSubmit={handleSubmit(onSubmit)} className="space-y-2">
+      <Input
+        type="password"
+        label="Contraseña"
+        {...register('password')}
+        error={errors.password?.message}
+        placeholder="••••••••"
+      />
+      <Input
+        label="Código de verificación"
+        {...register('code')}
+        error={errors.code?.message}
+        placeholder="123456"
+        autoComplete="one-time-code"
+      />
+      <div className="flex justify-end">
+        <Button type="submit" variant="danger" isLoading={isLoading}>
+          Desactivar 2FA
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+export const TwoFactorModal = ({ isOpen, onClose, enabled }) => {
+  const queryClient = useQueryClient();
+  const [setupData, setSetupData] = useState(null);
+  const [backupCodes, setBackupCodes] = useState(null);
+
+  const setupMutation = useMutation({ mutationFn: authApi.setupTwoFactor });
+  const enableMutation = useMutation({ mutationFn: authApi.enableTwoFactor });
+  const disableMutation = useMutation({ mutationFn: authApi.disableTwoFactor });
+  const regenerateMutation = useMutation({ mutationFn: authApi.regenerateBackupCodes });
+
+  const showError = (err, fallback) => {
+    toast.error(err.response?.data?.message || fallback);
+  };
+
+  const handleClose = () => {
+    setSetupData(null);
+    setBackupCodes(null);
+    onClose();
+  };
+
+  const handleSetup = async () => {
+    try {
+      const response = await setupMutation.mutateAsync();
+      setSetupData(response.data);
+    } catch (err) {
+      showError(err, 'Error al iniciar la configuración');
+    }
+  };
+
+  const handleEnable = async ({ code }) => {
+    try {
+      const response = await enableMutation.mutateAsync(code);
+      setSetupData(null);
+      setBackupCodes(response.data.backupCodes);
+      queryClient.invalidateQueries({ queryKey: ['auth', 'me'] });
+      toast.success('Autenticación de dos factores activada');
+    } catch (err) {
+      showError(err, 'Código inválido');
+    }
+  };
+
+  const handleDisable = async (data) => {
+    try {
+      await disableMutation.mutateAsync(data);
+      queryClient.invalidateQueries({ queryKey: ['auth', 'me'] });
+      toast.success('Autenticación de dos factores desactivada');
+      handleClose();
+    } catch (err) {
+      showError(err, 'Error al desactivar 2FA');
+    }
+  };
+
+  const handleRegenerate = async ({ code }) => {
+    try {
+      const response = await regenerateMutation.mutateAsync(code);
+      setBackupCodes(response.data.backupCodes);
+    } catch (err) {
+      showError(err, 'Código inválido');
+    }
+  };
+
+  const renderContent = () => {
+    if (backupCodes) {
+      return <BackupCodes codes={backupCodes} onDone={handleClose} />;
+    }
+
+    if (enabled) {
+      return (
+        <div className="space-y-6">
+          <div>
+            <h3 className="font-medium text-gray-900 dark:text-gray-100 mb-1">Códigos de respaldo</h3>
+            <p className="text-sm text-gray-500 dark:text-gray-400 mb-2">
+              Genera un nuevo juego de códigos. Los anteriores dejarán de funcionar.
+            </p>
+            <CodeForm
+              onSubmit={handleRegenerate}
+              isLoading={regenerateMutation.isPending}
+              submitLabel="Regenerar códigos"
+            />
+          </div>
+          <div className="border-t border-gray-200 dark:border-gray-700 pt-6">
+            <h3 className="font-medium text-gray-900 dark:text-gray-100 mb-1">Desactivar</h3>
+            <p className="text-sm text-gray-500 dark:text-gray-400 mb-2">
+              Tu cuenta quedará protegida solo por la contraseña.
+            </p>
+            <DisableForm onSubmit={handleDisable} isLoading={disableMutation.isPending} />
+          </div>
+        </div>
+      );
+    }
+
+    if (setupData) {
+      return (
+        <div className="space-y-4">
+          <p className="text-sm text-gray-600 dark:text-gray-300">
+            Escanea este código QR con tu aplicación de autenticación (Google Authenticator, Authy, 1Password...)
+            y luego introduce el código de 6 dígitos que muestra.
+          </p>
+          <div className="flex justify-center">
+            <img src={setupData.qrCode} alt="Código QR para 2FA" className="w-48 h-48 rounded-lg bg-white p-2" />
+          </div>
+          <p className="text-xs text-center text-gray-500 dark:text-gray-400">
+            ¿No puedes escanearlo? Introduce esta clave manualmente:
+            <br />
+            <code className="font-mono text-sm break-all text-gray-900 dark:text-gray-100">{setupData.secret}</code>
+          </p>
+          <CodeForm onSubmit={handleEnable} isLoading={enableMutation.isPending} submitLabel="Activar" />
+        </div>
+      );
+    }
+
+    return (
+      <div className="space-y-4">
+        <p className="text-sm text-gray-600 dark:text-gray-300">
+          Además de tu contraseña, se te pedirá un código temporal generado por una aplicación de autenticación
+          en tu teléfono cada vez que inicies sesión.
+        </p>
+        <div className="flex justify-end">
+          <Button onClick={handleSetup} isLoading={setupMutation.isPending}>
+            Comenzar
+          </Button>
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={handleClose} title="Autenticación de dos factores">
+      {renderContent()}
+    </Modal>
+  );
+};
@@ -1,7 +1,15 @@
 import { createContext, useContext, useEffect, useState } from "react";
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import { usersApi } from "../api/users.api";
 
 const ThemeContext = createContext();
 
+const THEMES = ["light", "dark", "system"];
+const DARK_SCHEME_QUERY = "(prefers-color-scheme: dark)";
+
+const getSystemTheme = () =>
+  window.matchMedia(DARK_SCHEME_QUERY).matches ? "dark" : "light";
+
 export const useTheme = () => {
   const context = useContext(ThemeContext);
   if (!context) {
@@ -11,13 +19,48 @@ export const useTheme = () => {
 };
 
 export const ThemeProvider = ({ children }) => {
-  const [theme, setTheme] = useState(() => {
+  const queryClient = useQueryClient();
+  const [themePreference, setThemePreferenceState] = useState(() => {
     const savedTheme = localStorage.getItem("theme");
-    return savedTheme === "dark" || savedTheme === "light"
-      ? savedTheme
-      : "light";
+    return THEMES.includes(savedTheme) ? savedTheme : "system";
+  });
+  const [systemTheme, setSystemTheme] = useState(getSystemTheme);
+
+  // Solo lee el usuario de la caché: quien lo pide al servidor es useAuth
+  const { data: user } = useQuery({ queryKey: ["auth", "me"], enabled: false });
+
+  // Con sesión manda la preferencia guardada en el servidor (y se conserva al salir)
+  const serverPreference = user?.preferences?.theme;
+  if (
+    THEMES.includes(serverPreference) &&
+    serverPreference !== themePreference
+  ) {
+    setThemePreferenceState(serverPreference);
+  }
+
+  const theme = themePreference === "system" ? systemTheme : themePreference;
+
+  const savePreferenceMutation = useMutation({
+    mutationFn: usersApi.updatePreferences,
+    onSuccess: (response) => {
+      queryClient.setQueryData(["auth", "me"], response.data.user);
+    },
+    onError: () => {
+      queryClient.invalidateQueries({ queryKey: ["auth", "me"] });
+    },
   });
 
+  // Seguir los cambios de tema del sistema operativo
+  useEffect(() => {
+    const media = window.matchMedia(DARK_SCHEME_QUERY);
+    const handleChange = (event) => {
+      setSystemTheme(event.matches ? "dark" : "light");
+    };
+
+    media.addEventListener("change", handleChange);
+    return () => media.removeEventListener("change", handleChange);
+  }, []);
+
   useEffect(() => {
     const root = document.documentElement;
 
@@ -27,16 +70,31 @@ export const ThemeProvider = ({ children }) => {
       root.classList.remove("dark");
     }
 
-    // Guardar en localStorage
-    localStorage.setItem("theme", theme);
-  }, [theme]);
+    // localStorage solo sirve de caché hasta que se conoce al usuario
+    localStorage.setItem("theme", themePreference);
+  }, [theme, themePreference]);
+
+  const setThemePreference = (preference) => {
+    setThemePreferenceState(preference);
+
+    if (user) {
+      // Actualización optimista: el tema cambia sin esperar al servidor
+      queryClient.setQueryData(["auth", "me"], {
+        ...user,
+        preferences: { ...user.preferences, theme: preference },
+      });
+      savePreferenceMutation.mutate({ theme: preference });
+    }
+  };
 
   const toggleTheme = () => {
-    setTheme(theme === "light" ? "dark" : "light");
+    setThemePreference(theme === "light" ? "dark" : "light");
   };
 
   return (
-    <ThemeContext.Provider value={{ theme, toggleTheme }}>
+    <ThemeContext.Provider
+      value={{ theme, themePreference, setThemePreference, toggleTheme }}
+    >
       {children}
     </ThemeContext.Provider>
   );
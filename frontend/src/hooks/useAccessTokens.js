@@ -0,0 +1,51 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { usersApi } from '../api/users.api';
+
+// Scopes disponibles: son los permisos del backend
+export const ACCESS_TOKEN_SCOPES = [
+  { value: 'profile:read', label: 'Leer tu perfil y actividad' },
+  { value: 'profile:write', label: 'Editar tu perfil (salvo el email) y preferencias' },
+  { value: 'users:read', label: 'Ver usuarios' },
+  { value: 'users:write', label: 'Activar, desactivar y desbloquear usuarios' },
+  { value: 'users:manage-roles', label: 'Cambiar roles de usuarios' },
+  { value: 'audit:read', label: 'Ver el registro de auditoría' },
+];
+
+export const useAccessTokens = () => {
+  const queryClient = useQueryClient();
+
+  // Query para listar los tokens del usuario
+  const { data: tokens = [], isLoading } = useQuery({
+    queryKey: ['users', 'tokens'],
+    queryFn: async () => {
+      const response = await usersApi.getAccessTokens();
+      return response.data.tokens;
+    },
+    staleTime: 0,
+  });
+
+  const refresh = () => {
+    queryClient.invalidateQueries({ queryKey: ['users', 'tokens'] });
+  };
+
+  // Mutation para crear un token (el valor en claro solo llega en esta respuesta)
+  const createMutation = useMutation({
+    mutationFn: usersApi.createAccessToken,
+    onSuccess: refresh,
+  });
+
+  // Mutation para revocar un token
+  const revokeMutation = useMutation({
+    mutationFn: usersApi.revokeAccessToken,
+    onSuccess: refresh,
+  });
+
+  return {
+    tokens,
+    isLoading,
+    createToken: createMutation.mutateAsync,
+    revokeToken: revokeMutation.mutateAsync,
+    isCreating: createMutation.isPending,
+    isRevoking: revokeMutation.isPending,
+  };
+};
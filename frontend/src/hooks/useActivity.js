@@ -0,0 +1,71 @@
+import { useQuery, keepPreviousData } from '@tanstack/react-query';
+import { authApi } from '../api/auth.api';
+
+// Textos de cada tipo de evento del registro de auditoría
+const EVENT_LABELS = {
+  'auth.register': 'Cuenta creada',
+  'auth.login': 'Inicio de sesión',
+  'auth.logout': 'Cierre de sesión',
+  'auth.logout_all': 'Cierre de sesión en todos los dispositivos',
+  'session.revoked': 'Sesión cerrada',
+  'session.token_reuse': 'Sesión cerrada por un posible robo de credenciales',
+  'session.new_device': 'Inicio de sesión desde un dispositivo nuevo',
+  'session.reported': 'Inicio de sesión denunciado como ajeno',
+  'password.changed': 'Cambio de contraseña',
+  'password.reset_requested': 'Solicitud de recuperación de contraseña',
+  'password.reset': 'Contraseña restablecida',
+  'email.verified': 'Email verificado',
+  'email.change_requested': 'Solicitud de cambio de email',
+  'email.changed': 'Email cambiado',
+  'two_factor.enabled': 'Verificación en dos pasos activada',
+  'two_factor.disabled': 'Verificación en dos pasos desactivada',
+  'two_factor.backup_codes_regenerated': 'Códigos de respaldo regenerados',
+  'oauth.linked': 'Cuenta externa vinculada',
+  'oauth.unlinked': 'Cuenta externa desvinculada',
+  'passkey.added': 'Passkey añadida',
+  'passkey.removed': 'Passkey eliminada',
+  'access_token.created': 'Token de acceso creado',
+  'access_token.revoked': 'Token de acceso revocado',
+  'account.locked': 'Cuenta bloqueada por intentos fallidos',
+  'account.unlocked': 'Cuenta desbloqueada',
+  'account.activated': 'Cuenta activada',
+  'account.deactivated': 'Cuenta desactivada',
+  'account.role_changed': 'Rol cambiado',
+  'account.deletion_requested': 'Eliminación de la cuenta solicitada',
+  'account.restored': 'Cuenta restaurada',
+  'account.exported': 'Datos de la cuenta exportados',
+};
+
+const LOGIN_METHODS = {
+  password: 'contraseña',
+  oauth: 'proveedor externo',
+  magic_link: 'enlace por correo',
+  passkey: 'passkey',
+};
+
+export const getActivityLabel = (event) => {
+  const label = EVENT_LABELS[event.type] || event.type;
+
+  if (event.type === 'auth.login' && LOGIN_METHODS[event.metadata?.method]) {
+    return `${label} con ${LOGIN_METHODS[event.metadata.method]}`;
+  }
+
+  return label;
+};
+
+export const useActivity = (params) => {
+  // Query paginada; mantiene la página anterior mientras carga la siguiente
+  const { data, isLoading, isFetching } = useQuery({
+    queryKey: ['auth', 'activity', params],
+    queryFn: () => authApi.getActivity(params),
+    placeholderData: keepPreviousData,
+    staleTime: 0,
+  });
+
+  return {
+    events: data?.data.events || [],
+    pagination: data?.data.pagination,
+    isLoading,
+    isFetching,
+  };
+};
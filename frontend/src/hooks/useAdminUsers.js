@@ -0,0 +1,56 @@
+import { useQuery, useMutation, useQueryClient, keepPreviousData } from '@tanstack/react-query';
+import { adminApi } from '../api/admin.api';
+
+export const useAdminUsers = (params) => {
+  const queryClient = useQueryClient();
+
+  // Query paginada; mantiene la página anterior mientras carga la siguiente
+  const { data, isLoading, isFetching } = useQuery({
+    queryKey: ['admin', 'users', params],
+    queryFn: () => adminApi.getUsers(params),
+    placeholderData: keepPreviousData,
+    staleTime: 0,
+  });
+
+  const invalidateUsers = () => {
+    queryClient.invalidateQueries({ queryKey: ['admin', 'users'] });
+  };
+
+  const statusMutation = useMutation({
+    mutationFn: adminApi.updateUserStatus,
+    onSuccess: invalidateUsers,
+  });
+
+  const roleMutation = useMutation({
+    mutationFn: adminApi.updateUserRole,
+    onSuccess: invalidateUsers,
+  });
+
+  const unlockMutation = useMutation({
+    mutationFn: adminApi.unlockUser,
+    onSuccess: invalidateUsers,
+  });
+
+  return {
+    users: data?.data.users || [],
+    pagination: data?.data.pagination,
+    isLoading,
+    isFetching,
+    updateStatus: statusMutation.mutateAsync,
+    updateRole: roleMutation.mutateAsync,
+    unlockUser: unlockMutation.mutateAsync,
+    isUpdating: statusMutation.isPending || roleMutation.isPending || unlockMutation.isPending,
+  };
+};
+
+export const useAdminUser = (id) => {
+  return useQuery({
+    queryKey: ['admin', 'users', 'detail', id],
+    queryFn: async () => {
+      const response = await adminApi.getUser(id);
+      return response.data;
+    },
+    enabled: Boolean(id),
+    staleTime: 0,
+  });
+};
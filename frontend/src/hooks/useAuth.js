@@ -1,5 +1,7 @@
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { startAuthentication } from '@simplewebauthn/browser';
 import { authApi } from '../api/auth.api';
+import { usersApi } from '../api/users.api';
 import { useNavigate } from 'react-router-dom';
 
 export const useAuth = () => {
@@ -28,19 +30,83 @@ export const useAuth = () => {
   // Mutation para login
   const loginMutation = useMutation({
     mutationFn: authApi.login,
+    onSuccess: (response) => {
+      // Con 2FA activo la sesión no empieza hasta verificar el segundo factor
+      if (!response.data.mfaRequired) {
+        queryClient.setQueryData(['auth', 'me'], response.data.user);
+      }
+    },
+  });
+
+  // Mutation para completar el login con el segundo factor
+  const verifyTwoFactorMutation = useMutation({
+    mutationFn: authApi.verifyTwoFactor,
     onSuccess: (response) => {
       queryClient.setQueryData(['auth', 'me'], response.data.user);
     },
   });
 
+  // Mutation para canjear un enlace mágico (también puede pedir el segundo factor)
+  const verifyMagicLinkMutation = useMutation({
+    mutationFn: authApi.verifyMagicLink,
+    onSuccess: (response) => {
+      if (!response.data.mfaRequired) {
+        queryClient.setQueryData(['auth', 'me'], response.data.user);
+      }
+    },
+  });
+
+  // Mutation para iniciar sesión con una passkey (también puede pedir el segundo factor)
+  const loginWithPasskeyMutation = useMutation({
+    mutationFn: async () => {
+      const { data } = await authApi.getPasskeyLoginOptions();
+      const response = await startAuthentication({ optionsJSON: data.options });
+      return authApi.verifyPasskeyLogin({ response, challengeToken: data.challengeToken });
+    },
+    onSuccess: (response) => {
+      if (!response.data.mfaRequired) {
+        queryClient.setQueryData(['auth', 'me'], response.data.user);
+      }
+    },
+  });
+
   // Mutation para register
   const registerMutation = useMutation({
     mutationFn: authApi.register,
+    onSuccess: (response) => {
+      // Si el backend exige verificar el email, todavía no hay sesión
+      if (!response.data.verificationRequired) {
+        queryClient.setQueryData(['auth', 'me'], response.data.user);
+      }
+    },
+  });
+
+  // Mutation para editar el perfil (username / email)
+  const updateProfileMutation = useMutation({
+    mutationFn: usersApi.updateMe,
+    onSuccess: (response) => {
+      queryClient.setQueryData(['auth', 'me'], response.data.user);
+    },
+  });
+
+  // Mutation para guardar las preferencias del usuario
+  const updatePreferencesMutation = useMutation({
+    mutationFn: usersApi.updatePreferences,
     onSuccess: (response) => {
       queryClient.setQueryData(['auth', 'me'], response.data.user);
     },
   });
 
+  // Mutation para eliminar la cuenta (el servidor ya cerró todas las sesiones)
+  const deleteAccountMutation = useMutation({
+    mutationFn: usersApi.deleteMe,
+    onSuccess: () => {
+      queryClient.setQueryData(['auth', 'me'], null);
+      queryClient.clear();
+      navigate('/');
+    },
+  });
+
   // Mutation para logout
   const logoutMutation = useMutation({
     mutationFn: authApi.logout,
@@ -57,15 +123,34 @@ export const useAuth = () => {
     },
   });
 
+  // Helpers de autorización (la comprobación real la hace siempre el backend)
+  const hasRole = (roles = []) => roles.length === 0 || roles.includes(user?.role);
+  const hasPermissions = (permissions = []) =>
+    permissions.every((permission) => user?.permissions?.includes(permission));
+
   return {
     user,
     loading: isLoading,
     isAuthenticated: !!user && !isError,
+    hasRole,
+    hasPermissions,
     login: loginMutation.mutateAsync,
+    verifyTwoFactor: verifyTwoFactorMutation.mutateAsync,
+    verifyMagicLink: verifyMagicLinkMutation.mutateAsync,
+    loginWithPasskey: loginWithPasskeyMutation.mutateAsync,
     register: registerMutation.mutateAsync,
     logout: logoutMutation.mutateAsync,
+    updateProfile: updateProfileMutation.mutateAsync,
+    updatePreferences: updatePreferencesMutation.mutateAsync,
+    deleteAccount: deleteAccountMutation.mutateAsync,
     isLoggingIn: loginMutation.isPending,
+    isVerifyingTwoFactor: verifyTwoFactorMutation.isPending,
+    isVerifyingMagicLink: verifyMagicLinkMutation.isPending,
+    isLoggingInWithPasskey: loginWithPasskeyMutation.isPending,
     isRegistering: registerMutation.isPending,
     isLoggingOut: logoutMutation.isPending,
+    isUpdatingProfile: updateProfileMutation.isPending,
+    isUpdatingPreferences: updatePreferencesMutation.isPending,
+    isDeletingAccount: deleteAccountMutation.isPending,
   };
 };
@@ -0,0 +1,61 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { authApi } from '../api/auth.api';
+import { API_URL } from '../api/axios';
+
+// Códigos de error que el backend devuelve en ?oauthError=
+const OAUTH_ERROR_MESSAGES = {
+  invalid_state: 'La solicitud de inicio de sesión expiró. Inténtalo de nuevo',
+  access_denied: 'Se canceló el inicio de sesión con el proveedor',
+  provider_error: 'No se pudo completar el inicio de sesión con el proveedor',
+  email_not_verified: 'El proveedor no confirma que tu email esté verificado',
+  password_reset_required:
+    'Debes restablecer tu contraseña. Revisa tu email para encontrar el enlace',
+  account_deactivated: 'Tu cuenta está desactivada',
+  account_locked: 'Tu cuenta está bloqueada temporalmente por intentos fallidos',
+  already_linked: 'Esa cuenta ya está vinculada a otro usuario',
+};
+
+export const getOAuthErrorMessage = (code) =>
+  OAUTH_ERROR_MESSAGES[code] || 'Error al iniciar sesión con el proveedor';
+
+// El login social es una navegación completa: el backend redirige al proveedor
+export const getOAuthLoginUrl = (provider) => `${API_URL}/auth/oauth/${provider}`;
+
+export const useOAuthProviders = () => {
+  const { data: providers = [], isLoading } = useQuery({
+    queryKey: ['auth', 'oauth-providers'],
+    queryFn: async () => {
+      const response = await authApi.getOAuthProviders();
+      return response.data.providers;
+    },
+    staleTime: Infinity,
+  });
+
+  return { providers, isLoading };
+};
+
+export const useLinkedAccounts = () => {
+  const queryClient = useQueryClient();
+
+  // Vincular también pasa por el proveedor: se navega a la URL que devuelve el backend
+  const linkMutation = useMutation({
+    mutationFn: authApi.linkOAuthProvider,
+    onSuccess: (response) => {
+      window.location.href = response.data.url;
+    },
+  });
+
+  const unlinkMutation = useMutation({
+    mutationFn: authApi.unlinkOAuthProvider,
+    onSuccess: (response) => {
+      queryClient.setQueryData(['auth', 'me'], response.data.user);
+    },
+  });
+
+  return {
+    linkProvider: linkMutation.mutateAsync,
+    unlinkProvider: unlinkMutation.mutateAsync,
+    isLinking: linkMutation.isPending,
+    isUnlinking: unlinkMutation.isPending,
+  };
+};
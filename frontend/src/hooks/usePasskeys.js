@@ -0,0 +1,68 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { browserSupportsWebAuthn, startRegistration } from '@simplewebauthn/browser';
+import { authApi } from '../api/auth.api';
+
+export const isPasskeySupported = () => browserSupportsWebAuthn();
+
+// Errores del navegador durante la ceremonia WebAuthn o errores del backend
+export const getPasskeyErrorMessage = (err, fallback) => {
+  if (err.response) {
+    return err.response.data?.message || fallback;
+  }
+  if (err.name === 'NotAllowedError') {
+    return 'Se canceló la operación o expiró el tiempo de espera';
+  }
+  if (err.name === 'InvalidStateError') {
+    return 'Este dispositivo ya tiene una passkey registrada en tu cuenta';
+  }
+  return fallback;
+};
+
+export const usePasskeys = ({ enabled = true } = {}) => {
+  const queryClient = useQueryClient();
+
+  // Query para listar las passkeys del usuario
+  const { data: passkeys = [], isLoading } = useQuery({
+    queryKey: ['auth', 'passkeys'],
+    queryFn: async () => {
+      const response = await authApi.getPasskeys();
+      return response.data.passkeys;
+    },
+    enabled,
+    staleTime: 0,
+  });
+
+  const refresh = () => {
+    queryClient.invalidateQueries({ queryKey: ['auth', 'passkeys'] });
+    queryClient.invalidateQueries({ queryKey: ['auth', 'me'] });
+  };
+
+  // Mutation para registrar una passkey: opciones del backend, autenticador y verificación
+  const registerMutation = useMutation({
+    mutationFn: async (name) => {
+      const { data } = await authApi.getPasskeyRegistrationOptions();
+      const response = await startRegistration({ optionsJSON: data.options });
+      return authApi.verifyPasskeyRegistration({
+        response,
+        challengeToken: data.challengeToken,
+        name,
+      });
+    },
+    onSuccess: refresh,
+  });
+
+  // Mutation para eliminar una passkey
+  const deleteMutation = useMutation({
+    mutationFn: authApi.deletePasskey,
+    onSuccess: refresh,
+  });
+
+  return {
+    passkeys,
+    isLoading,
+    registerPasskey: registerMutation.mutateAsync,
+    deletePasskey: deleteMutation.mutateAsync,
+    isRegistering: registerMutation.isPending,
+    isDeleting: deleteMutation.isPending,
+  };
+};
@@ -0,0 +1,56 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { useNavigate } from 'react-router-dom';
+import { authApi } from '../api/auth.api';
+
+export const useSessions = ({ enabled = true } = {}) => {
+  const queryClient = useQueryClient();
+  const navigate = useNavigate();
+
+  // Query para listar las sesiones activas del usuario
+  const { data: sessions = [], isLoading } = useQuery({
+    queryKey: ['auth', 'sessions'],
+    queryFn: async () => {
+      const response = await authApi.getSessions();
+      return response.data.sessions;
+    },
+    enabled,
+    staleTime: 0,
+  });
+
+  // Si se cierra la sesión actual, limpiamos el cliente igual que en logout
+  const endClientSession = () => {
+    queryClient.setQueryData(['auth', 'me'], null);
+    queryClient.clear();
+    navigate('/login');
+  };
+
+  // Mutation para revocar una sesión concreta
+  const revokeMutation = useMutation({
+    mutationFn: authApi.revokeSession,
+    onSuccess: (_, sessionId) => {
+      const revokedCurrent = sessions.some(
+        (session) => session._id === sessionId && session.current
+      );
+      if (revokedCurrent) {
+        endClientSession();
+      } else {
+        queryClient.invalidateQueries({ queryKey: ['auth', 'sessions'] });
+      }
+    },
+  });
+
+  // Mutation para cerrar sesión en todos los dispositivos
+  const logoutAllMutation = useMutation({
+    mutationFn: authApi.logoutAll,
+    onSuccess: endClientSession,
+  });
+
+  return {
+    sessions,
+    isLoading,
+    revokeSession: revokeMutation.mutateAsync,
+    logoutAll: logoutAllMutation.mutateAsync,
+    isRevoking: revokeMutation.isPending,
+    isLoggingOutAll: logoutAllMutation.isPending,
+  };
+};
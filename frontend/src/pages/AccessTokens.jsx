@@ -0,0 +1,253 @@
+import { useState } from 'react';
+import { useForm } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import toast from 'react-hot-toast';
+import { Link } from 'react-router-dom';
+import { ArrowLeft, Copy, KeySquare, Moon, Sun } from 'lucide-react';
+import { useAuth } from '../hooks/useAuth';
+import { useTheme } from '../contexts/ThemeContext';
+import { useAccessTokens, ACCESS_TOKEN_SCOPES } from '../hooks/useAccessTokens';
+import { accessTokenSchema } from '../schemas/auth.schema';
+import { Input } from '../components/common/Input';
+import { Button } from '../components/common/Button';
+import { Loader } from '../components/common/Loader';
+
+const EXPIRATION_OPTIONS = [
+  { value: '7', label: '7 días' },
+  { value: '30', label: '30 días' },
+  { value: '90', label: '90 días' },
+  { value: '365', label: '1 año' },
+  { value: '', label: 'Sin caducidad' },
+];
+
+const formatDate = (dateString) => {
+  return new Date(dateString).toLocaleDateString('es-ES', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+  });
+};
+
+export const AccessTokens = () => {
+  const { user } = useAuth();
+  const { theme, toggleTheme } = useTheme();
+  const { tokens, isLoading, createToken, revokeToken, isCreating, isRevoking } =
+    useAccessTokens();
+  const [createdToken, setCreatedToken] = useState(null);
+
+  // Solo se ofrecen los scopes que permite el rol del usuario
+  const availableScopes = ACCESS_TOKEN_SCOPES.filter((scope) =>
+    user?.permissions?.includes(scope.value)
+  );
+
+  const {
+    register,
+    handleSubmit,
+    reset,
+    formState: { errors },
+  } = useForm({
+    resolver: zodResolver(accessTokenSchema),
+    defaultValues: { name: '', scopes: [], expiresInDays: '30' },
+  });
+
+  const onSubmit = async ({ name, scopes, expiresInDays }) => {
+    try {
+      const response = await createToken({
+        name,
+        scopes,
+        expiresInDays: expiresInDays ? Number(expiresInDays) : null,
+      });
+      setCreatedToken(response.data.token);
+      reset();
+      toast.success('Token creado');
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Error al crear el token');
+    }
+  };
+
+  const handleCopy = async () => {
+    await navigator.clipboard.writeText(createdToken);
+    toast.success('Token copiado');
+  };
+
+  const handleRevoke = async (tokenId) => {
+    try {
+      await revokeToken(tokenId);
+      toast.success('Token revocado');
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Error al revocar el token');
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 dark:from-gray-900 dark:to-gray-800">
+      {/* Navigation */}
+      <nav className="bg-white/80 dark:bg-gray-800/80 backdrop-blur-sm shadow-md">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex justify-between items-center h-16">
+            <h1 className="text-2xl font-bold text-primary-600 dark:text-primary-400">MERN Auth</h1>
+            <div className="flex items-center gap-4">
+              <Link
+                to="/settings"
+                className="flex items-center gap-2 text-gray-700 dark:text-gray-200 hover:text-primary-600 dark:hover:text-primary-400 transition-colors"
+              >
+                <ArrowLeft size={18} />
+                Configuración
+              </Link>
+              <button
+                onClick={toggleTheme}
+                className="p-2 rounded-lg hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors"
+                title={theme === 'dark' ? 'Cambiar a modo claro' : 'Cambiar a modo oscuro'}
+              >
+                {theme === 'dark' ? (
+                  <Sun size={20} className="text-gray-700 dark:text-gray-200" />
+                ) : (
+                  <Moon size={20} className="text-gray-700" />
+                )}
+              </button>
+            </div>
+          </div>
+        </div>
+      </nav>
+
+      {/* Main Content */}
+      <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-12 space-y-6">
+        <div className="card">
+          <div className="flex items-center gap-3 mb-4">
+            <div className="flex items-center justify-center w-10 h-10 rounded-lg bg-primary-100 dark:bg-primary-900/30">
+              <KeySquare size={20} className="text-primary-600 dark:text-primary-400" />
+            </div>
+            <h2 className="text-2xl font-bold text-gray-900 dark:text-gray-100">
+              Tokens de acceso personal
+            </h2>
+          </div>
+          <p className="text-sm text-gray-600 dark:text-gray-300 mb-6">
+            Úsalos en scripts y CI con el header{' '}
+            <code className="font-mono">Authorization: Bearer &lt;token&gt;</code>. Solo pueden
+            hacer lo que permitan sus permisos y nunca sirven para gestionar tu cuenta.
+          </p>
+
+          {createdToken && (
+            <div className="mb-6 p-4 rounded-lg bg-green-50 dark:bg-green-900/20 border border-green-200 dark:border-green-800">
+              <p className="text-sm font-medium text-green-800 dark:text-green-300 mb-2">
+                Copia el token ahora: no volverá a mostrarse.
+              </p>
+              <div className="flex items-center gap-2">
+                <code className="flex-1 font-mono text-sm break-all text-gray-900 dark:text-gray-100">
+                  {createdToken}
+                </code>
+                <button
+                  onClick={handleCopy}
+                  className="p-2 rounded-lg hover:bg-green-100 dark:hover:bg-green-900/40 transition-colors"
+                  title="Copiar token"
+                >
+                  <Copy size={18} className="text-green-700 dark:text-green-300" />
+                </button>
+              </div>
+            </div>
+          )}
+
+          <form onSubmit={handleSubmit(onSubmit)}>
+            <Input
+              label="Nombre"
+              {...register('name')}
+              error={errors.name?.message}
+              maxLength={50}
+              placeholder="Ej: Despliegue desde CI"
+            />
+
+            <div className="mb-4">
+              <p className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                Permisos
+              </p>
+              <div className="grid sm:grid-cols-2 gap-2">
+                {availableScopes.map((scope) => (
+                  <label
+                    key={scope.value}
+                    className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300"
+                  >
+                    <input type="checkbox" value={scope.value} {...register('scopes')} />
+                    {scope.label}
+                  </label>
+                ))}
+              </div>
+              {errors.scopes && (
+                <p className="mt-1 text-sm text-red-600 dark:text-red-400">
+                  {errors.scopes.message}
+                </p>
+              )}
+            </div>
+
+            <div className="mb-4">
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                Caducidad
+              </label>
+              <select {...register('expiresInDays')} className="input-field md:w-48">
+                {EXPIRATION_OPTIONS.map((option) => (
+                  <option key={option.label} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            <div className="flex justify-end">
+              <Button type="submit" isLoading={isCreating}>
+                Crear token
+              </Button>
+            </div>
+          </form>
+        </div>
+
+        <div className="card">
+          <h3 className="text-lg font-semibold text-gray-900 dark:text-gray-100 mb-4">
+            Tus tokens
+          </h3>
+
+          {isLoading ? (
+            <Loader />
+          ) : tokens.length === 0 ? (
+            <p className="text-sm text-gray-500 dark:text-gray-400">
+              Todavía no has creado ningún token.
+            </p>
+          ) : (
+            <div className="space-y-3">
+              {tokens.map((token) => (
+                <div
+                  key={token._id}
+                  className="flex items-center justify-between gap-4 p-4 rounded-lg bg-gray-50 dark:bg-gray-800/50"
+                >
+                  <div>
+                    <p className="font-medium text-gray-900 dark:text-gray-100">
+                      {token.name}
+                      <code className="ml-2 text-xs font-mono text-gray-500 dark:text-gray-400">
+                        {token.prefix}…
+                      </code>
+                    </p>
+                    <p className="text-sm text-gray-500 dark:text-gray-400">
+                      {token.scopes.join(', ')}
+                    </p>
+                    <p className="text-sm text-gray-500 dark:text-gray-400">
+                      {token.expiresAt ? `Caduca el ${formatDate(token.expiresAt)}` : 'Sin caducidad'}{' '}
+                      ·{' '}
+                      {token.lastUsedAt
+                        ? `Último uso: ${formatDate(token.lastUsedAt)}`
+                        : 'Sin usar'}
+                    </p>
+                  </div>
+                  <button
+                    onClick={() => handleRevoke(token._id)}
+                    disabled={isRevoking}
+                    className="text-red-600 dark:text-red-400 hover:text-red-700 dark:hover:text-red-300 font-medium text-sm disabled:opacity-50"
+                  >
+                    Revocar
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,435 @@
+import { useEffect, useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import { Users, Search, LogOut, Moon, Sun, ChevronLeft, ChevronRight } from 'lucide-react';
+import { useAuth } from '../hooks/useAuth';
+import { useAdminUsers, useAdminUser } from '../hooks/useAdminUsers';
+import { useTheme } from '../contexts/ThemeContext';
+import { Button } from '../components/common/Button';
+import { Loader } from '../components/common/Loader';
+import { Modal } from '../components/common/Modal';
+import { ConfirmDialog } from '../components/common/ConfirmDialog';
+
+const ROLES = ['user', 'moderator', 'admin'];
+
+const ROLE_LABELS = {
+  user: 'Usuario',
+  moderator: 'Moderador',
+  admin: 'Administrador',
+};
+
+const formatDate = (dateString) => {
+  return new Date(dateString).toLocaleDateString('es-ES', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+  });
+};
+
+const formatDateTime = (dateString) => {
+  return new Date(dateString).toLocaleString('es-ES', {
+    day: 'numeric',
+    month: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+};
+
+// Bloqueo temporal por intentos de login fallidos
+const isLocked = (user) => Boolean(user.lockUntil) && new Date(user.lockUntil) > new Date();
+
+const StatusBadge = ({ isActive }) => (
+  <span
+    className={`inline-flex px-2 py-1 rounded-full text-xs font-medium ${
+      isActive
+        ? 'bg-green-100 text-green-700 dark:bg-green-900/30 dark:text-green-400'
+        : 'bg-red-100 text-red-700 dark:bg-red-900/30 dark:text-red-400'
+    }`}
+  >
+    {isActive ? 'Activo' : 'Inactivo'}
+  </span>
+);
+
+const UserDetailModal = ({ userId, onClose }) => {
+  const { data, isLoading } = useAdminUser(userId);
+  const detail = data?.user;
+
+  const rows = detail
+    ? [
+        ['Usuario', detail.username],
+        ['Email', detail.email],
+        ['Email verificado', detail.emailVerified ? 'Sí' : 'No'],
+        ['Rol', ROLE_LABELS[detail.role]],
+        ['Estado', detail.isActive ? 'Activo' : 'Inactivo'],
+        ['2FA', detail.twoFactor?.enabled ? 'Activada' : 'Desactivada'],
+        ['Sesiones activas', data.activeSessions],
+        ['Intentos de login fallidos', detail.failedLoginAttempts || 0],
+        ['Bloqueado hasta', isLocked(detail) ? formatDateTime(detail.lockUntil) : '—'],
+        ['Registro', formatDate(detail.createdAt)],
+      ]
+    : [];
+
+  return (
+    <Modal isOpen={Boolean(userId)} onClose={onClose} title="Detalle del usuario">
+      {isLoading ? (
+        <Loader />
+      ) : (
+        <dl className="divide-y divide-gray-200 dark:divide-gray-700">
+          {rows.map(([label, value]) => (
+            <div key={label} className="flex justify-between py-2">
+              <dt className="text-sm text-gray-500 dark:text-gray-400">{label}</dt>
+              <dd className="text-sm font-medium text-gray-900 dark:text-gray-100">{value}</dd>
+            </div>
+          ))}
+        </dl>
+      )}
+    </Modal>
+  );
+};
+
+export const AdminUsers = () => {
+  const { user: currentUser, logout, hasPermissions } = useAuth();
+  const { theme, toggleTheme } = useTheme();
+  const navigate = useNavigate();
+
+  const [searchInput, setSearchInput] = useState('');
+  const [search, setSearch] = useState('');
+  const [role, setRole] = useState('');
+  const [status, setStatus] = useState('');
+  const [page, setPage] = useState(1);
+  const [selectedUserId, setSelectedUserId] = useState(null);
+  const [pendingAction, setPendingAction] = useState(null);
+
+  const canWrite = hasPermissions(['users:write']);
+  const canManageRoles = hasPermissions(['users:manage-roles']);
+
+  // Esperar a que el usuario deje de escribir antes de buscar
+  useEffect(() => {
+    const timeout = setTimeout(() => {
+      setSearch(searchInput.trim());
+      setPage(1);
+    }, 300);
+    return () => clearTimeout(timeout);
+  }, [searchInput]);
+
+  const params = {
+    page,
+    limit: 10,
+    ...(search && { search }),
+    ...(role && { role }),
+    ...(status && { status }),
+  };
+
+  const {
+    users,
+    pagination,
+    isLoading,
+    isFetching,
+    updateStatus,
+    updateRole,
+    unlockUser,
+    isUpdating,
+  } = useAdminUsers(params);
+
+  const handleLogout = async () => {
+    try {
+      await logout();
+      toast.success('Sesión cerrada exitosamente');
+      navigate('/');
+    } catch {
+      toast.error('Error al cerrar sesión');
+    }
+  };
+
+  const confirmAction = async () => {
+    const { type, user, value } = pendingAction;
+    try {
+      if (type === 'status') {
+        await updateStatus({ id: user._id, isActive: value });
+        toast.success(value ? 'Usuario activado' : 'Usuario desactivado');
+      } else if (type === 'unlock') {
+        await unlockUser(user._id);
+        toast.success('Usuario desbloqueado');
+      } else {
+        await updateRole({ id: user._id, role: value });
+        toast.success(`Rol actualizado a ${ROLE_LABELS[value]}`);
+      }
+      setPendingAction(null);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Error al actualizar el usuario');
+    }
+  };
+
+  const getConfirmProps = () => {
+    if (!pendingAction) return {};
+    const { type, user, value } = pendingAction;
+
+    if (type === 'status') {
+      return value
+        ? {
+            title: 'Activar usuario',
+            message: `¿Activar la cuenta de ${user.username}? Podrá volver a iniciar sesión.`,
+            confirmLabel: 'Activar',
+          }
+        : {
+            title: 'Desactivar usuario',
+            message: `¿Desactivar la cuenta de ${user.username}? Se cerrarán todas sus sesiones y no podrá iniciar sesión.`,
+            confirmLabel: 'Desactivar',
+            variant: 'danger',
+          };
+    }
+
+    if (type === 'unlock') {
+      return {
+        title: 'Desbloquear usuario',
+        message: `¿Desbloquear la cuenta de ${user.username}? Se reiniciarán sus intentos de login fallidos.`,
+        confirmLabel: 'Desbloquear',
+      };
+    }
+
+    return {
+      title: 'Cambiar rol',
+      message: `¿Cambiar el rol de ${user.username} de ${ROLE_LABELS[user.role]} a ${ROLE_LABELS[value]}?`,
+      confirmLabel: 'Cambiar rol',
+    };
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 dark:from-gray-900 dark:to-gray-800">
+      {/* Navigation */}
+      <nav className="bg-white/80 dark:bg-gray-800/80 backdrop-blur-sm shadow-md">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex justify-between items-center h-16">
+            <h1 className="text-2xl font-bold text-primary-600 dark:text-primary-400">MERN Auth</h1>
+            <div className="flex items-center gap-4">
+              <Link
+                to="/profile"
+                className="text-gray-700 dark:text-gray-200 hover:text-primary-600 dark:hover:text-primary-400 transition-colors"
+              >
+                Perfil
+              </Link>
+              <Link
+                to="/settings"
+                className="text-gray-700 dark:text-gray-200 hover:text-primary-600 dark:hover:text-primary-400 transition-colors"
+              >
+                Configuración
+              </Link>
+              <Link to="/admin/users" className="text-primary-600 dark:text-primary-400 font-medium">
+                Usuarios
+              </Link>
+              <button
+                onClick={toggleTheme}
+                className="p-2 rounded-lg hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors"
+                title={theme === 'dark' ? 'Cambiar a modo claro' : 'Cambiar a modo oscuro'}
+              >
+                {theme === 'dark' ? (
+                  <Sun size={20} className="text-gray-700 dark:text-gray-200" />
+                ) : (
+                  <Moon size={20} className="text-gray-700" />
+                )}
+              </button>
+              <Button variant="secondary" onClick={handleLogout} className="flex items-center gap-2">
+                <LogOut size={18} />
+                Cerrar Sesión
+              </Button>
+            </div>
+          </div>
+        </div>
+      </nav>
+
+      {/* Main Content */}
+      <div className="max-w-6xl mx-auto px-4 sm:px-6 lg:px-8 py-12">
+        <div className="flex items-center gap-3 mb-8">
+          <div className="flex items-center justify-center w-12 h-12 rounded-full bg-primary-600 dark:bg-primary-500">
+            <Users className="text-white" size={24} />
+          </div>
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900 dark:text-gray-100">Usuarios</h1>
+            <p className="text-gray-600 dark:text-gray-300">
+              {pagination ? `${pagination.total} usuarios registrados` : 'Gestión de cuentas'}
+            </p>
+          </div>
+        </div>
+
+        <div className="card">
+          {/* Filters */}
+          <div className="flex flex-col md:flex-row gap-3 mb-6">
+            <div className="relative flex-1">
+              <Search
+                size={18}
+                className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400 pointer-events-none"
+              />
+              <input
+                type="search"
+                value={searchInput}
+                onChange={(event) => setSearchInput(event.target.value)}
+                placeholder="Buscar por usuario o email"
+                className="input-field pl-10"
+              />
+            </div>
+            <select
+              value={role}
+              onChange={(event) => {
+                setRole(event.target.value);
+                setPage(1);
+              }}
+              className="input-field md:w-48"
+            >
+              <option value="">Todos los roles</option>
+              {ROLES.map((value) => (
+                <option key={value} value={value}>
+                  {ROLE_LABELS[value]}
+                </option>
+              ))}
+            </select>
+            <select
+              value={status}
+              onChange={(event) => {
+                setStatus(event.target.value);
+                setPage(1);
+              }}
+              className="input-field md:w-48"
+            >
+              <option value="">Todos los estados</option>
+              <option value="active">Activos</option>
+              <option value="inactive">Inactivos</option>
+            </select>
+          </div>
+
+          {/* Table */}
+          {isLoading ? (
+            <Loader />
+          ) : (
+            <div className={`overflow-x-auto ${isFetching ? 'opacity-60' : ''}`}>
+              <table className="w-full text-sm text-left">
+                <thead className="text-xs uppercase text-gray-500 dark:text-gray-400 border-b border-gray-200 dark:border-gray-700">
+                  <tr>
+                    <th className="py-3 pr-4">Usuario</th>
+                    <th className="py-3 pr-4">Rol</th>
+                    <th className="py-3 pr-4">Estado</th>
+                    <th className="py-3 pr-4">Registro</th>
+                    <th className="py-3 text-right">Acciones</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                  {users.map((user) => {
+                    const isSelf = user._id === currentUser?._id;
+
+                    return (
+                      <tr key={user._id} className="text-gray-900 dark:text-gray-100">
+                        <td className="py-3 pr-4">
+                          <p className="font-medium">{user.username}</p>
+                          <p className="text-gray-500 dark:text-gray-400">{user.email}</p>
+                        </td>
+                        <td className="py-3 pr-4">
+                          {canManageRoles && !isSelf ? (
+                            <select
+                              value={user.role}
+                              onChange={(event) =>
+                                setPendingAction({ type: 'role', user, value: event.target.value })
+                              }
+                              className="input-field py-1"
+                            >
+                              {ROLES.map((value) => (
+                                <option key={value} value={value}>
+                                  {ROLE_LABELS[value]}
+                                </option>
+                              ))}
+                            </select>
+                          ) : (
+                            ROLE_LABELS[user.role]
+                          )}
+                        </td>
+                        <td className="py-3 pr-4">
+                          <div className="flex flex-wrap gap-1">
+                            <StatusBadge isActive={user.isActive} />
+                            {isLocked(user) && (
+                              <span
+                                className="inline-flex px-2 py-1 rounded-full text-xs font-medium bg-amber-100 text-amber-700 dark:bg-amber-900/30 dark:text-amber-400"
+                                title={`Hasta ${formatDateTime(user.lockUntil)}`}
+                              >
+                                Bloqueado
+                              </span>
+                            )}
+                          </div>
+                        </td>
+                        <td className="py-3 pr-4 text-gray-500 dark:text-gray-400">
+                          {formatDate(user.createdAt)}
+                        </td>
+                        <td className="py-3 text-right whitespace-nowrap space-x-3">
+                          <button
+                            onClick={() => setSelectedUserId(user._id)}
+                            className="text-primary-600 dark:text-primary-400 hover:text-primary-700 dark:hover:text-primary-300 font-medium"
+                          >
+                            Ver
+                          </button>
+                          {canWrite && isLocked(user) && (
+                            <button
+                              onClick={() => setPendingAction({ type: 'unlock', user })}
+                              className="text-amber-600 dark:text-amber-400 hover:text-amber-700 dark:hover:text-amber-300 font-medium"
+                            >
+                              Desbloquear
+                            </button>
+                          )}
+                          {canWrite && !isSelf && (
+                            <button
+                              onClick={() => setPendingAction({ type: 'status', user, value: !user.isActive })}
+                              className={`font-medium ${
+                                user.isActive
+                                  ? 'text-red-600 dark:text-red-400 hover:text-red-700 dark:hover:text-red-300'
+                                  : 'text-green-600 dark:text-green-400 hover:text-green-700 dark:hover:text-green-300'
+                              }`}
+                            >
+                              {user.isActive ? 'Desactivar' : 'Activar'}
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                  {users.length === 0 && (
+                    <tr>
+                      <td colSpan={5} className="py-8 text-center text-gray-500 dark:text-gray-400">
+                        No se encontraron usuarios
+                      </td>
+                    </tr>
+                  )}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {/* Pagination */}
+          {pagination && pagination.pages > 1 && (
+            <div className="flex items-center justify-between mt-6">
+              <p className="text-sm text-gray-500 dark:text-gray-400">
+                Página {pagination.page} de {pagination.pages}
+              </p>
+              <div className="flex gap-2">
+                <Button variant="secondary" onClick={() => setPage(page - 1)} disabled={page <= 1}>
+                  <ChevronLeft size={18} />
+                </Button>
+                <Button
+                  variant="secondary"
+                  onClick={() => setPage(page + 1)}
+                  disabled={page >= pagination.pages}
+                >
+                  <ChevronRight size={18} />
+                </Button>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+
+      <UserDetailModal userId={selectedUserId} onClose={() => setSelectedUserId(null)} />
+      <ConfirmDialog
+        isOpen={Boolean(pendingAction)}
+        onClose={() => setPendingAction(null)}
+        onConfirm={confirmAction}
+        isLoading={isUpdating}
+        {...getConfirmProps()}
+      />
+    </div>
+  );
+};
@@ -0,0 +1,66 @@
+import { useEffect, useRef } from 'react';
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import { Link, useSearchParams } from 'react-router-dom';
+import { MailCheck } from 'lucide-react';
+import { usersApi } from '../api/users.api';
+import { useAuth } from '../hooks/useAuth';
+import { AuthLayout } from '../components/auth/AuthLayout';
+import { Loader } from '../components/common/Loader';
+
+export const ConfirmEmail = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const queryClient = useQueryClient();
+  const { isAuthenticated } = useAuth();
+  const requestedRef = useRef(false);
+
+  const confirmMutation = useMutation({
+    mutationFn: usersApi.confirmEmailChange,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['auth', 'me'] });
+    },
+  });
+
+  // Confirmar una sola vez aunque StrictMode ejecute el efecto dos veces
+  useEffect(() => {
+    if (!token || requestedRef.current) return;
+    requestedRef.current = true;
+    confirmMutation.mutate(token);
+  }, [token, confirmMutation]);
+
+  const renderStatus = () => {
+    if (!token || confirmMutation.isError) {
+      return (
+        <div className="bg-red-50 dark:bg-red-900/30 border border-red-200 dark:border-red-800 text-red-700 dark:text-red-400 px-4 py-3 rounded-lg">
+          {confirmMutation.error?.response?.data?.message || 'El enlace no es válido o ha expirado'}
+        </div>
+      );
+    }
+
+    if (!confirmMutation.isSuccess) {
+      return <Loader />;
+    }
+
+    return (
+      <p className="text-center text-gray-700 dark:text-gray-300">
+        Tu correo electrónico se actualizó a{' '}
+        <strong>{confirmMutation.data.data.user.email}</strong>.
+      </p>
+    );
+  };
+
+  return (
+    <AuthLayout icon={<MailCheck className="text-white" size={32} />} title="Confirmar nuevo correo">
+      {renderStatus()}
+
+      <div className="mt-6 text-center">
+        <Link
+          to={isAuthenticated ? '/settings' : '/login'}
+          className="text-sm text-primary-600 dark:text-primary-400 hover:text-primary-700 dark:hover:text-primary-300 font-medium"
+        >
+          {isAuthenticated ? 'Volver a configuración' : 'Iniciar sesión'}
+        </Link>
+      </div>
+    </AuthLayout>
+  );
+};
@@ -0,0 +1,25 @@
+import { Link } from 'react-router-dom';
+import { ShieldAlert } from 'lucide-react';
+
+export const Forbidden = () => {
+  return (
+    <div className="min-h-screen flex items-center justify-center px-4 bg-gradient-to-br from-blue-50 to-indigo-100 dark:from-gray-900 dark:to-gray-800">
+      <div className="card max-w-md w-full text-center">
+        <div className="inline-flex items-center justify-center w-16 h-16 bg-red-600 dark:bg-red-500 rounded-full mb-4">
+          <ShieldAlert className="text-white" size={32} />
+        </div>
+        <p className="text-5xl font-bold text-gray-900 dark:text-gray-100 mb-2">403</p>
+        <h1 className="text-2xl font-bold text-gray-900 dark:text-gray-100 mb-2">Acceso denegado</h1>
+        <p className="text-gray-600 dark:text-gray-300 mb-6">
+          No tienes permisos para ver esta página. Si crees que es un error, contacta con un administrador.
+        </p>
+        <Link
+          to="/profile"
+          className="text-primary-600 dark:text-primary-400 hover:text-primary-700 dark:hover:text-primary-300 font-medium"
+        >
+          Volver a mi perfil
+        </Link>
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,74 @@
+import { useState } from 'react';
+import { useForm } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import { useMutation } from '@tanstack/react-query';
+import toast from 'react-hot-toast';
+import { Link } from 'react-router-dom';
+import { KeyRound } from 'lucide-react';
+import { authApi } from '../api/auth.api';
+import { forgotPasswordSchema } from '../schemas/auth.schema';
+import { AuthLayout } from '../components/auth/AuthLayout';
+import { Input } from '../components/common/Input';
+import { Button } from '../components/common/Button';
+
+export const ForgotPassword = () => {
+  const [sent, setSent] = useState(false);
+
+  const forgotMutation = useMutation({
+    mutationFn: authApi.forgotPassword,
+  });
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors },
+  } = useForm({
+    resolver: zodResolver(forgotPasswordSchema),
+  });
+
+  const onSubmit = async ({ email }) => {
+    try {
+      await forgotMutation.mutateAsync(email);
+      setSent(true);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Error al solicitar el restablecimiento');
+    }
+  };
+
+  return (
+    <AuthLayout
+      icon={<KeyRound className="text-white" size={32} />}
+      title="¿Olvidaste tu contraseña?"
+      subtitle="Te enviaremos un enlace para restablecerla"
+    >
+      {sent ? (
+        <p className="text-gray-700 dark:text-gray-300">
+          Si existe una cuenta con ese correo, recibirás un enlace para restablecer tu contraseña en unos minutos.
+        </p>
+      ) : (
+        <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+          <Input
+            type="email"
+            label="Email"
+            {...register('email')}
+            error={errors.email?.message}
+            placeholder="tu@email.com"
+          />
+
+          <Button type="submit" isLoading={forgotMutation.isPending} className="w-full">
+            Enviar enlace
+          </Button>
+        </form>
+      )}
+
+      <div className="mt-6 text-center">
+        <Link
+          to="/login"
+          className="text-sm text-primary-600 dark:text-primary-400 hover:text-primary-700 dark:hover:text-primary-300 font-medium"
+        >
+          Volver a iniciar sesión
+        </Link>
+      </div>
+    </AuthLayout>
+  );
+};
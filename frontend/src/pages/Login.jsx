@@ -6,15 +6,74 @@ import { useAuth } from "../hooks/useAuth";
 import { useTheme } from "../contexts/ThemeContext";
 import { Input } from "../components/common/Input";
 import { Button } from "../components/common/Button";
-import { Link, useNavigate } from "react-router-dom";
-import { useState } from "react";
-import { LogIn, Moon, Sun } from "lucide-react";
+import { TwoFactorForm } from "../components/auth/TwoFactorForm";
+import { OAuthButtons } from "../components/auth/OAuthButtons";
+import { MagicLinkForm } from "../components/auth/MagicLinkForm";
+import { getOAuthErrorMessage } from "../hooks/useOAuth";
+import {
+  isPasskeySupported,
+  getPasskeyErrorMessage,
+} from "../hooks/usePasskeys";
+import {
+  getRetryAfterMinutes,
+  formatMinutes,
+  isRateLimited,
+} from "../utils/rateLimit";
+import {
+  Link,
+  useLocation,
+  useNavigate,
+  useSearchParams,
+} from "react-router-dom";
+import { useEffect, useState } from "react";
+import { KeyRound, LogIn, Moon, Sun } from "lucide-react";
+
+// El login social deja el desafío de 2FA en una cookie httpOnly y solo avisa con
+// ?mfa=required: el backend lo lee de la cookie si no se envía mfaToken
+const MFA_COOKIE_CHALLENGE = "cookie";
+
+// Mensaje para el bloqueo temporal por intentos fallidos (429 + Retry-After)
+const getLockoutMessage = (err) => {
+  if (!isRateLimited(err)) {
+    return null;
+  }
+
+  return `Demasiados intentos fallidos. Inténtalo de nuevo en ${formatMinutes(
+    getRetryAfterMinutes(err),
+  )}.`;
+};
 
 export const Login = () => {
   const navigate = useNavigate();
-  const { login, isLoggingIn } = useAuth();
+  const location = useLocation();
+  const {
+    login,
+    isLoggingIn,
+    verifyTwoFactor,
+    isVerifyingTwoFactor,
+    loginWithPasskey,
+    isLoggingInWithPasskey,
+  } = useAuth();
   const { theme, toggleTheme } = useTheme();
-  const [error, setError] = useState("");
+  const [searchParams, setSearchParams] = useSearchParams();
+  // El login social vuelve aquí con un error o con el desafío de 2FA
+  const [error, setError] = useState(() => {
+    const oauthError = searchParams.get("oauthError");
+    return oauthError ? getOAuthErrorMessage(oauthError) : "";
+  });
+  const [mfaToken, setMfaToken] = useState(() =>
+    searchParams.get("mfa") === "required"
+      ? MFA_COOKIE_CHALLENGE
+      : (location.state?.mfaToken ?? null),
+  );
+  const [isMagicLink, setIsMagicLink] = useState(false);
+
+  // No dejar el aviso de 2FA ni el error en la URL (historial, recargas)
+  useEffect(() => {
+    if (searchParams.has("oauthError") || searchParams.has("mfa")) {
+      setSearchParams({}, { replace: true });
+    }
+  }, [searchParams, setSearchParams]);
 
   const {
     register,
@@ -32,19 +91,79 @@ export const Login = () => {
     setError("");
     try {
       const response = await login(data);
-      if (response) {
+      if (response?.data?.mfaRequired) {
+        setMfaToken(response.data.mfaToken);
+      } else if (response) {
         toast.success("Inicio de sesión exitoso");
         navigate("/profile");
       }
     } catch (err) {
       const errorMessage =
-        err.response?.data?.message || "Error al iniciar sesión";
+        getLockoutMessage(err) ||
+        err.response?.data?.message ||
+        "Error al iniciar sesión";
       setError(errorMessage);
-      toast.error(errorMessage);
+      // Los 429 ya los notifica el interceptor de axios
+      if (!isRateLimited(err)) {
+        toast.error(errorMessage);
+      }
       console.error("Login error:", err);
     }
   };
 
+  const onPasskeyLogin = async () => {
+    setError("");
+    try {
+      const response = await loginWithPasskey();
+      if (response.data.mfaRequired) {
+        setMfaToken(response.data.mfaToken);
+      } else {
+        toast.success("Inicio de sesión exitoso");
+        navigate("/profile");
+      }
+    } catch (err) {
+      const errorMessage =
+        getLockoutMessage(err) ||
+        getPasskeyErrorMessage(err, "Error al iniciar sesión con passkey");
+      setError(errorMessage);
+      // Los 429 ya los notifica el interceptor de axios
+      if (!isRateLimited(err)) {
+        toast.error(errorMessage);
+      }
+    }
+  };
+
+  const onVerifyTwoFactor = async ({ code }) => {
+    setError("");
+    try {
+      await verifyTwoFactor({
+        mfaToken: mfaToken === MFA_COOKIE_CHALLENGE ? undefined : mfaToken,
+        code,
+      });
+      toast.success("Inicio de sesión exitoso");
+      navigate("/profile");
+    } catch (err) {
+      const errorMessage =
+        getLockoutMessage(err) ||
+        err.response?.data?.message ||
+        "Código de verificación inválido";
+      setError(errorMessage);
+      // Los 429 ya los notifica el interceptor de axios
+      if (!isRateLimited(err)) {
+        toast.error(errorMessage);
+      }
+      // El desafío expiró: hay que volver a introducir la contraseña
+      if (err.response?.data?.message?.includes("expired")) {
+        setMfaToken(null);
+      }
+    }
+  };
+
+  const cancelTwoFactor = () => {
+    setMfaToken(null);
+    setError("");
+  };
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 dark:from-gray-900 dark:to-gray-800">
       <nav className="bg-white/80 dark:bg-gray-800/80 backdrop-blur-sm shadow-md">
@@ -84,38 +203,91 @@ export const Login = () => {
               Bienvenido
             </h1>
             <p className="text-gray-600 dark:text-gray-300 mt-2">
-              Inicia sesión en tu cuenta
+              {mfaToken
+                ? "Verificación en dos pasos"
+                : "Inicia sesión en tu cuenta"}
             </p>
           </div>
 
           <div className="card">
-            <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
-              {error && (
-                <div className="bg-red-50 dark:bg-red-900/30 border border-red-200 dark:border-red-800 text-red-700 dark:text-red-400 px-4 py-3 rounded-lg">
-                  {error}
+            {mfaToken ? (
+              <TwoFactorForm
+                onSubmit={onVerifyTwoFactor}
+                onCancel={cancelTwoFactor}
+                isLoading={isVerifyingTwoFactor}
+                error={error}
+              />
+            ) : isMagicLink ? (
+              <MagicLinkForm onCancel={() => setIsMagicLink(false)} />
+            ) : (
+              <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+                {error && (
+                  <div className="bg-red-50 dark:bg-red-900/30 border border-red-200 dark:border-red-800 text-red-700 dark:text-red-400 px-4 py-3 rounded-lg">
+                    {error}
+                  </div>
+                )}
+
+                <Input
+                  type="email"
+                  label="Email"
+                  {...register("email")}
+                  error={errors.email?.message}
+                  placeholder="tu@email.com"
+                />
+
+                <Input
+                  type="password"
+                  label="Contraseña"
+                  {...register("password")}
+                  error={errors.password?.message}
+                  placeholder="••••••••"
+                />
+
+                <div className="flex justify-end -mt-2">
+                  <Link
+                    to="/forgot-password"
+                    className="text-sm text-primary-600 dark:text-primary-400 hover:text-primary-700 dark:hover:text-primary-300"
+                  >
+                    ¿Olvidaste tu contraseña?
+                  </Link>
                 </div>
-              )}
 
-              <Input
-                type="email"
-                label="Email"
-                {...register("email")}
-                error={errors.email?.message}
-                placeholder="tu@email.com"
-              />
+                <Button
+                  type="submit"
+                  isLoading={isLoggingIn}
+                  className="w-full"
+                >
+                  Iniciar Sesión
+                </Button>
 
-              <Input
-                type="password"
-                label="Contraseña"
-                {...register("password")}
-                error={errors.password?.message}
-                placeholder="••••••••"
-              />
+                <button
+                  type="button"
+                  onClick={() => {
+                    setError("");
+                    setIsMagicLink(true);
+                  }}
+                  className="w-full text-sm text-primary-600 dark:text-primary-400 hover:text-primary-700 dark:hover:text-primary-300 font-medium"
+                >
+                  Recibir enlace por correo
+                </button>
+
+                {isPasskeySupported() && (
+                  <button
+                    type="button"
+                    onClick={onPasskeyLogin}
+                    disabled={isLoggingInWithPasskey}
+                    className="flex items-center justify-center gap-2 w-full px-4 py-2 rounded-lg border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-200 font-medium hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors disabled:opacity-50"
+                  >
+                    <KeyRound size={18} />
+                    {isLoggingInWithPasskey
+                      ? "Esperando a la passkey..."
+                      : "Iniciar sesión con passkey"}
+                  </button>
+                )}
+              </form>
+            )}
 
-              <Button type="submit" isLoading={isLoggingIn} className="w-full">
-                Iniciar Sesión
-              </Button>
-            </form>
+            {!mfaToken && <OAuthButtons />}
 
             <div className="mt-6 text-center">
               <p className="text-sm text-gray-600 dark:text-gray-300">
@@ -0,0 +1,59 @@
+import { useEffect, useRef, useState } from 'react';
+import toast from 'react-hot-toast';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { Mail } from 'lucide-react';
+import { useAuth } from '../hooks/useAuth';
+import { Loader } from '../components/common/Loader';
+import { AuthLayout } from '../components/auth/AuthLayout';
+
+export const MagicLink = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const navigate = useNavigate();
+  const { verifyMagicLink } = useAuth();
+  const [error, setError] = useState(token ? null : 'El enlace no es válido o ha expirado');
+  const requestedRef = useRef(false);
+
+  // Canjear una sola vez aunque StrictMode ejecute el efecto dos veces
+  useEffect(() => {
+    if (!token || requestedRef.current) return;
+    requestedRef.current = true;
+
+    verifyMagicLink(token)
+      .then((response) => {
+        // Con 2FA activo el login continúa con el segundo factor
+        if (response.data.mfaRequired) {
+          // En el state de la navegación, no en la URL: así no queda en el historial
+          navigate('/login', { replace: true, state: { mfaToken: response.data.mfaToken } });
+          return;
+        }
+        toast.success('Inicio de sesión exitoso');
+        navigate('/profile', { replace: true });
+      })
+      .catch((err) => {
+        setError(err.response?.data?.message || 'El enlace no es válido o ha expirado');
+      });
+  }, [token, verifyMagicLink, navigate]);
+
+  return (
+    <AuthLayout icon={<Mail className="text-white" size={32} />} title="Iniciar sesión con enlace">
+      {error ? (
+        <div className="space-y-4">
+          <div className="bg-red-50 dark:bg-red-900/30 border border-red-200 dark:border-red-800 text-red-700 dark:text-red-400 px-4 py-3 rounded-lg">
+            {error}
+          </div>
+          <div className="text-center">
+            <Link
+              to="/login"
+              className="text-sm text-primary-600 dark:text-primary-400 hover:text-primary-700 dark:hover:text-primary-300 font-medium"
+            >
+              Volver a iniciar sesión
+            </Link>
+          </div>
+        </div>
+      ) : (
+        <Loader />
+      )}
+    </AuthLayout>
+  );
+};
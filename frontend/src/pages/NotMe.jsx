@@ -0,0 +1,63 @@
+import { useEffect, useRef } from 'react';
+import { useMutation } from '@tanstack/react-query';
+import { Link, useSearchParams } from 'react-router-dom';
+import { ShieldAlert } from 'lucide-react';
+import { authApi } from '../api/auth.api';
+import { AuthLayout } from '../components/auth/AuthLayout';
+import { Loader } from '../components/common/Loader';
+
+export const NotMe = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const requestedRef = useRef(false);
+
+  const reportMutation = useMutation({
+    mutationFn: authApi.reportUnrecognizedLogin,
+  });
+
+  // Denunciar una sola vez aunque StrictMode ejecute el efecto dos veces
+  useEffect(() => {
+    if (!token || requestedRef.current) return;
+    requestedRef.current = true;
+    reportMutation.mutate(token);
+  }, [token, reportMutation]);
+
+  const renderStatus = () => {
+    if (!token || reportMutation.isError) {
+      return (
+        <div className="bg-red-50 dark:bg-red-900/30 border border-red-200 dark:border-red-800 text-red-700 dark:text-red-400 px-4 py-3 rounded-lg">
+          {reportMutation.error?.response?.data?.message || 'El enlace no es válido o ha expirado'}
+        </div>
+      );
+    }
+
+    if (!reportMutation.isSuccess) {
+      return <Loader />;
+    }
+
+    return (
+      <div className="space-y-3 text-center text-gray-700 dark:text-gray-300">
+        <p>Hemos cerrado esa sesión.</p>
+        <p>
+          Te enviamos un email para que cambies tu contraseña. Hasta que lo hagas no podrás
+          iniciar sesión con ella.
+        </p>
+      </div>
+    );
+  };
+
+  return (
+    <AuthLayout icon={<ShieldAlert className="text-white" size={32} />} title="No fui yo">
+      {renderStatus()}
+
+      <div className="mt-6 text-center">
+        <Link
+          to="/login"
+          className="text-sm text-primary-600 dark:text-primary-400 hover:text-primary-700 dark:hover:text-primary-300 font-medium"
+        >
+          Volver a iniciar sesión
+        </Link>
+      </div>
+    </AuthLayout>
+  );
+};
@@ -3,10 +3,11 @@ import { useTheme } from '../contexts/ThemeContext';
 import { useNavigate, Link } from 'react-router-dom';
 import { User, Mail, Calendar, Shield, LogOut, Moon, Sun } from 'lucide-react';
 import { Button } from '../components/common/Button';
+import { RecentActivity } from '../components/profile/RecentActivity';
 import toast from 'react-hot-toast';
 
 export const Profile = () => {
-  const { user, logout } = useAuth();
+  const { user, logout, hasPermissions } = useAuth();
   const { theme, toggleTheme } = useTheme();
   const navigate = useNavigate();
 
@@ -48,6 +49,14 @@ export const Profile = () => {
               >
                 Configuración
               </Link>
+              {hasPermissions(['users:read']) && (
+                <Link
+                  to="/admin/users"
+                  className="text-gray-700 dark:text-gray-200 hover:text-primary-600 dark:hover:text-primary-400 transition-colors"
+                >
+                  Usuarios
+                </Link>
+              )}
               <button
                 onClick={toggleTheme}
                 className="p-2 rounded-lg hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors"
@@ -148,6 +157,8 @@ export const Profile = () => {
           </div>
         </div>
 
+        <RecentActivity />
+
         {/* Info Section */}
         <div className="card max-w-2xl mx-auto mt-6">
           <h3 className="text-xl font-bold text-gray-900 dark:text-gray-100 mb-4">
@@ -7,6 +7,7 @@ import { useTheme } from '../contexts/ThemeContext';
 import { Input } from '../components/common/Input';
 import { Button } from '../components/common/Button';
 import { Link, useNavigate } from 'react-router-dom';
+import { OAuthButtons } from '../components/auth/OAuthButtons';
 import { useState } from 'react';
 import { UserPlus, Moon, Sun } from 'lucide-react';
 
@@ -29,7 +30,10 @@ export const Register = () => {
     try {
       const { confirmPassword, ...registerData } = data;
       const response = await registerUser(registerData);
-      if (response) {
+      if (response?.data?.verificationRequired) {
+        toast.success('Registro exitoso. Revisa tu correo para verificar tu cuenta');
+        navigate(`/verify-email?email=${encodeURIComponent(registerData.email)}`);
+      } else if (response) {
         toast.success('Registro exitoso. ¡Bienvenido!');
         navigate('/profile');
       }
@@ -118,6 +122,8 @@ export const Register = () => {
             </Button>
           </form>
 
+          <OAuthButtons />
+
           <div className="mt-6 text-center">
             <p className="text-sm text-gray-600 dark:text-gray-300">
               ¿Ya tienes cuenta?{' '}
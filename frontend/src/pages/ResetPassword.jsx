@@ -0,0 +1,87 @@
+import { useState } from 'react';
+import { useForm } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import toast from 'react-hot-toast';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { KeyRound } from 'lucide-react';
+import { authApi } from '../api/auth.api';
+import { resetPasswordSchema } from '../schemas/auth.schema';
+import { AuthLayout } from '../components/auth/AuthLayout';
+import { Input } from '../components/common/Input';
+import { Button } from '../components/common/Button';
+
+export const ResetPassword = () => {
+  const { token } = useParams();
+  const navigate = useNavigate();
+  const queryClient = useQueryClient();
+  const [error, setError] = useState('');
+
+  const resetMutation = useMutation({
+    mutationFn: authApi.resetPassword,
+    onSuccess: () => {
+      // El backend cierra todas las sesiones al cambiar la contraseña
+      queryClient.setQueryData(['auth', 'me'], null);
+    },
+  });
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors },
+  } = useForm({
+    resolver: zodResolver(resetPasswordSchema),
+  });
+
+  const onSubmit = async ({ password }) => {
+    setError('');
+    try {
+      await resetMutation.mutateAsync({ token, password });
+      toast.success('Contraseña restablecida. Inicia sesión con tu nueva contraseña');
+      navigate('/login');
+    } catch (err) {
+      const errorMessage = err.response?.data?.message || 'Error al restablecer la contraseña';
+      setError(errorMessage);
+      toast.error(errorMessage);
+    }
+  };
+
+  return (
+    <AuthLayout
+      icon={<KeyRound className="text-white" size={32} />}
+      title="Nueva contraseña"
+      subtitle="Elige una contraseña nueva para tu cuenta"
+    >
+      <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+        {error && (
+          <div className="bg-red-50 dark:bg-red-900/30 border border-red-200 dark:border-red-800 text-red-700 dark:text-red-400 px-4 py-3 rounded-lg">
+            {error}{' '}
+            <Link to="/forgot-password" className="font-medium underline">
+              Solicitar un nuevo enlace
+            </Link>
+          </div>
+        )}
+
+        <Input
+          type="password"
+          label="Nueva contraseña"
+          {...register('password')}
+          error={errors.password?.message}
+          placeholder="••••••••"
+        />
+
+        <Input
+          type="password"
+          label="Confirmar contraseña"
+          {...register('confirmPassword')}
+          error={errors.confirmPassword?.message}
+          placeholder="••••••••"
+        />
+
+        <Button type="submit" isLoading={resetMutation.isPending} className="w-full">
+          Restablecer contraseña
+        </Button>
+      </form>
+    </AuthLayout>
+  );
+};
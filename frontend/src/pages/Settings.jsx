@@ -1,14 +1,100 @@
 import { useAuth } from '../hooks/useAuth';
 import { useTheme } from '../contexts/ThemeContext';
-import { useNavigate, Link } from 'react-router-dom';
-import { Settings as SettingsIcon, LogOut, Moon, Sun, User, Bell, Shield, Palette } from 'lucide-react';
+import { useNavigate, Link, useSearchParams } from 'react-router-dom';
+import {
+  Settings as SettingsIcon,
+  LogOut,
+  Moon,
+  Sun,
+  User,
+  Bell,
+  Shield,
+  Palette,
+  AlertTriangle,
+} from 'lucide-react';
 import { Button } from '../components/common/Button';
+import { SessionsModal } from '../components/settings/SessionsModal';
+import { TwoFactorModal } from '../components/settings/TwoFactorModal';
+import { ChangePasswordModal } from '../components/settings/ChangePasswordModal';
+import { EditProfileModal } from '../components/settings/EditProfileModal';
+import { LinkedAccountsModal } from '../components/settings/LinkedAccountsModal';
+import { PasskeysModal } from '../components/settings/PasskeysModal';
+import { DeleteAccountModal } from '../components/settings/DeleteAccountModal';
+import { usersApi } from '../api/users.api';
+import { getOAuthErrorMessage } from '../hooks/useOAuth';
 import toast from 'react-hot-toast';
+import { useEffect, useState } from 'react';
+
+const THEME_OPTIONS = [
+  { value: 'light', label: 'Claro' },
+  { value: 'dark', label: 'Oscuro' },
+  { value: 'system', label: 'Sistema' },
+];
 
 export const Settings = () => {
-  const { user, logout } = useAuth();
-  const { theme, toggleTheme } = useTheme();
+  const { user, logout, hasPermissions, updatePreferences, isUpdatingPreferences } = useAuth();
+  const { theme, themePreference, setThemePreference, toggleTheme } = useTheme();
   const navigate = useNavigate();
+  const [isSessionsOpen, setIsSessionsOpen] = useState(false);
+  const [isTwoFactorOpen, setIsTwoFactorOpen] = useState(false);
+  const [isChangePasswordOpen, setIsChangePasswordOpen] = useState(false);
+  const [editingField, setEditingField] = useState(null);
+  const [isLinkedAccountsOpen, setIsLinkedAccountsOpen] = useState(false);
+  const [isPasskeysOpen, setIsPasskeysOpen] = useState(false);
+  const [isDeleteAccountOpen, setIsDeleteAccountOpen] = useState(false);
+  const [isExporting, setIsExporting] = useState(false);
+  const [searchParams, setSearchParams] = useSearchParams();
+  const twoFactorEnabled = Boolean(user?.twoFactor?.enabled);
+  const linkedAccountsCount = user?.oauthAccounts?.length || 0;
+  const passkeysCount = user?.passkeys?.length || 0;
+  const notifications = {
+    updates: user?.preferences?.notifications?.updates ?? true,
+    securityAlerts: user?.preferences?.notifications?.securityAlerts ?? true,
+  };
+
+  // Resultado de vincular un proveedor (el backend redirige aquí)
+  useEffect(() => {
+    const linked = searchParams.get('linked');
+    const oauthError = searchParams.get('oauthError');
+
+    if (!linked && !oauthError) return;
+
+    if (linked) {
+      toast.success('Cuenta vinculada correctamente');
+    } else {
+      toast.error(getOAuthErrorMessage(oauthError));
+    }
+    setSearchParams({}, { replace: true });
+  }, [searchParams, setSearchParams]);
+
+  const handleNotificationChange = (key) => async (event) => {
+    try {
+      await updatePreferences({ notifications: { [key]: event.target.checked } });
+      toast.success('Preferencias guardadas');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error al guardar las preferencias');
+    }
+  };
+
+  const handleExport = async () => {
+    setIsExporting(true);
+    try {
+      const response = await usersApi.exportMyData();
+      const blob = new Blob([JSON.stringify(response.data, null, 2)], {
+        type: 'application/json',
+      });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `mis-datos-${new Date().toISOString().slice(0, 10)}.json`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error al exportar tus datos');
+    } finally {
+      setIsExporting(false);
+    }
+  };
 
   const handleLogout = async () => {
     try {
@@ -40,6 +126,14 @@ export const Settings = () => {
               >
                 Configuración
               </Link>
+              {hasPermissions(['users:read']) && (
+                <Link
+                  to="/admin/users"
+                  className="text-gray-700 dark:text-gray-200 hover:text-primary-600 dark:hover:text-primary-400 transition-colors"
+                >
+                  Usuarios
+                </Link>
+              )}
               <button
                 onClick={toggleTheme}
                 className="p-2 rounded-lg hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors"
@@ -98,7 +192,10 @@ export const Settings = () => {
                   <p className="font-medium text-gray-900 dark:text-gray-100">Nombre de usuario</p>
                   <p className="text-sm text-gray-500 dark:text-gray-400">{user?.username}</p>
                 </div>
-                <button className="text-primary-600 dark:text-primary-400 hover:text-primary-700 dark:hover:text-primary-300 font-medium text-sm">
+                <button
+                  onClick={() => setEditingField('username')}
+                  className="text-primary-600 dark:text-primary-400 hover:text-primary-700 dark:hover:text-primary-300 font-medium text-sm"
+                >
                   Editar
                 </button>
               </div>
@@ -107,8 +204,16 @@ export const Settings = () => {
                 <div>
                   <p className="font-medium text-gray-900 dark:text-gray-100">Correo electrónico</p>
                   <p className="text-sm text-gray-500 dark:text-gray-400">{user?.email}</p>
+                  {user?.pendingEmail && (
+                    <p className="text-xs text-amber-600 dark:text-amber-400">
+                      Pendiente de confirmar: {user.pendingEmail}
+                    </p>
+                  )}
                 </div>
-                <button className="text-primary-600 dark:text-primary-400 hover:text-primary-700 dark:hover:text-primary-300 font-medium text-sm">
+                <button
+                  onClick={() => setEditingField('email')}
+                  className="text-primary-600 dark:text-primary-400 hover:text-primary-700 dark:hover:text-primary-300 font-medium text-sm"
+                >
                   Editar
                 </button>
               </div>
@@ -118,7 +223,10 @@ export const Settings = () => {
                   <p className="font-medium text-gray-900 dark:text-gray-100">Contraseña</p>
                   <p className="text-sm text-gray-500 dark:text-gray-400">••••••••</p>
                 </div>
-                <button className="text-primary-600 dark:text-primary-400 hover:text-primary-700 dark:hover:text-primary-300 font-medium text-sm">
+                <button
+                  onClick={() => setIsChangePasswordOpen(true)}
+                  className="text-primary-600 dark:text-primary-400 hover:text-primary-700 dark:hover:text-primary-300 font-medium text-sm"
+                >
                   Cambiar
                 </button>
               </div>
@@ -140,15 +248,28 @@ export const Settings = () => {
               <div>
                 <p className="font-medium text-gray-900 dark:text-gray-100">Tema</p>
                 <p className="text-sm text-gray-500 dark:text-gray-400">
-                  {theme === 'dark' ? 'Modo oscuro' : 'Modo claro'}
+                  {themePreference === 'system'
+                    ? `Según el sistema (${theme === 'dark' ? 'oscuro' : 'claro'})`
+                    : theme === 'dark'
+                      ? 'Modo oscuro'
+                      : 'Modo claro'}
                 </p>
               </div>
-              <button
-                onClick={toggleTheme}
-                className="px-4 py-2 rounded-lg bg-primary-600 hover:bg-primary-700 text-white font-medium text-sm transition-colors"
-              >
-                Cambiar tema
-              </button>
+              <div className="flex rounded-lg bg-gray-200 dark:bg-gray-700 p-1">
+                {THEME_OPTIONS.map((option) => (
+                  <button
+                    key={option.value}
+                    onClick={() => setThemePreference(option.value)}
+                    className={`px-3 py-1.5 rounded-md text-sm font-medium transition-colors ${
+                      themePreference === option.value
+                        ? 'bg-primary-600 text-white'
+                        : 'text-gray-700 dark:text-gray-300 hover:text-gray-900 dark:hover:text-gray-100'
+                    }`}
+                  >
+                    {option.label}
+                  </button>
+                ))}
+              </div>
             </div>
           </div>
 
@@ -170,7 +291,13 @@ export const Settings = () => {
                   <p className="text-sm text-gray-500 dark:text-gray-400">Recibe actualizaciones importantes</p>
                 </div>
                 <label className="relative inline-flex items-center cursor-pointer">
-                  <input type="checkbox" className="sr-only peer" defaultChecked />
+                  <input
+                    type="checkbox"
+                    className="sr-only peer"
+                    checked={notifications.updates}
+                    onChange={handleNotificationChange('updates')}
+                    disabled={isUpdatingPreferences}
+                  />
                   <div className="w-11 h-6 bg-gray-300 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-primary-300 dark:peer-focus:ring-primary-800 rounded-full peer dark:bg-gray-600 peer-checked:after:translate-x-full rtl:peer-checked:after:-translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:start-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all dark:border-gray-500 peer-checked:bg-primary-600"></div>
                 </label>
               </div>
@@ -178,10 +305,16 @@ export const Settings = () => {
               <div className="flex items-center justify-between p-4 rounded-lg bg-gray-50 dark:bg-gray-800/50">
                 <div>
                   <p className="font-medium text-gray-900 dark:text-gray-100">Alertas de seguridad</p>
-                  <p className="text-sm text-gray-500 dark:text-gray-400">Notificaciones sobre actividad inusual</p>
+                  <p className="text-sm text-gray-500 dark:text-gray-400">Email al iniciar sesión desde un dispositivo nuevo</p>
                 </div>
                 <label className="relative inline-flex items-center cursor-pointer">
-                  <input type="checkbox" className="sr-only peer" defaultChecked />
+                  <input
+                    type="checkbox"
+                    className="sr-only peer"
+                    checked={notifications.securityAlerts}
+                    onChange={handleNotificationChange('securityAlerts')}
+                    disabled={isUpdatingPreferences}
+                  />
                   <div className="w-11 h-6 bg-gray-300 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-primary-300 dark:peer-focus:ring-primary-800 rounded-full peer dark:bg-gray-600 peer-checked:after:translate-x-full rtl:peer-checked:after:-translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:start-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all dark:border-gray-500 peer-checked:bg-primary-600"></div>
                 </label>
               </div>
@@ -203,10 +336,68 @@ export const Settings = () => {
               <div className="flex items-center justify-between p-4 rounded-lg bg-gray-50 dark:bg-gray-800/50">
                 <div>
                   <p className="font-medium text-gray-900 dark:text-gray-100">Autenticación de dos factores</p>
-                  <p className="text-sm text-gray-500 dark:text-gray-400">Agrega una capa extra de seguridad</p>
+                  <p className="text-sm text-gray-500 dark:text-gray-400">
+                    {twoFactorEnabled ? 'Activada' : 'Agrega una capa extra de seguridad'}
+                  </p>
+                </div>
+                <button
+                  onClick={() => setIsTwoFactorOpen(true)}
+                  className="text-primary-600 dark:text-primary-400 hover:text-primary-700 dark:hover:text-primary-300 font-medium text-sm"
+                >
+                  {twoFactorEnabled ? 'Administrar' : 'Activar'}
+                </button>
+              </div>
+
+              <div className="flex items-center justify-between p-4 rounded-lg bg-gray-50 dark:bg-gray-800/50">
+                <div>
+                  <p className="font-medium text-gray-900 dark:text-gray-100">Passkeys</p>
+                  <p className="text-sm text-gray-500 dark:text-gray-400">
+                    {passkeysCount === 0
+                      ? 'Inicia sesión sin contraseña con tu dispositivo'
+                      : passkeysCount === 1
+                        ? '1 passkey registrada'
+                        : `${passkeysCount} passkeys registradas`}
+                  </p>
+                </div>
+                <button
+                  onClick={() => setIsPasskeysOpen(true)}
+                  className="text-primary-600 dark:text-primary-400 hover:text-primary-700 dark:hover:text-primary-300 font-medium text-sm"
+                >
+                  Administrar
+                </button>
+              </div>
+
+              <div className="flex items-center justify-between p-4 rounded-lg bg-gray-50 dark:bg-gray-800/50">
+                <div>
+                  <p className="font-medium text-gray-900 dark:text-gray-100">Tokens de acceso personal</p>
+                  <p className="text-sm text-gray-500 dark:text-gray-400">
+                    Acceso a la API para scripts y CI
+                  </p>
+                </div>
+                <Link
+                  to="/settings/tokens"
+                  className="text-primary-600 dark:text-primary-400 hover:text-primary-700 dark:hover:text-primary-300 font-medium text-sm"
+                >
+                  Administrar
+                </Link>
+              </div>
+
+              <div className="flex items-center justify-between p-4 rounded-lg bg-gray-50 dark:bg-gray-800/50">
+                <div>
+                  <p className="font-medium text-gray-900 dark:text-gray-100">Cuentas vinculadas</p>
+                  <p className="text-sm text-gray-500 dark:text-gray-400">
+                    {linkedAccountsCount === 0
+                      ? 'Inicia sesión con Google, GitHub u otros proveedores'
+                      : linkedAccountsCount === 1
+                        ? '1 proveedor vinculado'
+                        : `${linkedAccountsCount} proveedores vinculados`}
+                  </p>
                 </div>
-                <button className="text-primary-600 dark:text-primary-400 hover:text-primary-700 dark:hover:text-primary-300 font-medium text-sm">
-                  Activar
+                <button
+                  onClick={() => setIsLinkedAccountsOpen(true)}
+                  className="text-primary-600 dark:text-primary-400 hover:text-primary-700 dark:hover:text-primary-300 font-medium text-sm"
+                >
+                  Administrar
                 </button>
               </div>
 
@@ -215,22 +406,92 @@ export const Settings = () => {
                   <p className="font-medium text-gray-900 dark:text-gray-100">Sesiones activas</p>
                   <p className="text-sm text-gray-500 dark:text-gray-400">Administra tus dispositivos conectados</p>
                 </div>
-                <button className="text-primary-600 dark:text-primary-400 hover:text-primary-700 dark:hover:text-primary-300 font-medium text-sm">
+                <button
+                  onClick={() => setIsSessionsOpen(true)}
+                  className="text-primary-600 dark:text-primary-400 hover:text-primary-700 dark:hover:text-primary-300 font-medium text-sm"
+                >
                   Ver
                 </button>
               </div>
             </div>
           </div>
 
+          {/* Danger Zone */}
+          <div className="card border border-red-200 dark:border-red-900/50">
+            <div className="flex items-center gap-3 mb-6">
+              <div className="flex items-center justify-center w-10 h-10 rounded-lg bg-red-100 dark:bg-red-900/30">
+                <AlertTriangle size={20} className="text-red-600 dark:text-red-400" />
+              </div>
+              <h2 className="text-2xl font-bold text-gray-900 dark:text-gray-100">
+                Zona de peligro
+              </h2>
+            </div>
+
+            <div className="space-y-3">
+              <div className="flex items-center justify-between p-4 rounded-lg bg-gray-50 dark:bg-gray-800/50">
+                <div>
+                  <p className="font-medium text-gray-900 dark:text-gray-100">Exportar mis datos</p>
+                  <p className="text-sm text-gray-500 dark:text-gray-400">
+                    Descarga tu perfil, preferencias y actividad en formato JSON
+                  </p>
+                </div>
+                <button
+                  onClick={handleExport}
+                  disabled={isExporting}
+                  className="text-primary-600 dark:text-primary-400 hover:text-primary-700 dark:hover:text-primary-300 font-medium text-sm disabled:opacity-50"
+                >
+                  {isExporting ? 'Exportando...' : 'Descargar'}
+                </button>
+              </div>
+
+              <div className="flex items-center justify-between p-4 rounded-lg bg-gray-50 dark:bg-gray-800/50">
+                <div>
+                  <p className="font-medium text-gray-900 dark:text-gray-100">Eliminar cuenta</p>
+                  <p className="text-sm text-gray-500 dark:text-gray-400">
+                    Podrás restaurarla iniciando sesión durante el periodo de gracia
+                  </p>
+                </div>
+                <button
+                  onClick={() => setIsDeleteAccountOpen(true)}
+                  className="text-red-600 dark:text-red-400 hover:text-red-700 dark:hover:text-red-300 font-medium text-sm"
+                >
+                  Eliminar
+                </button>
+              </div>
+            </div>
+          </div>
+
           {/* Info Section */}
           <div className="card bg-blue-50 dark:bg-blue-900/20 border border-blue-200 dark:border-blue-800">
             <p className="text-sm text-blue-800 dark:text-blue-300">
-              <strong>Nota:</strong> Esta es una página de ejemplo para demostrar rutas protegidas.
-              Los botones de edición no tienen funcionalidad implementada - son solo para demostración del UI.
+              <strong>Nota:</strong> Tus preferencias de apariencia y notificaciones se guardan en tu
+              cuenta y se aplican en cualquier dispositivo en el que inicies sesión.
             </p>
           </div>
         </div>
       </div>
+
+      <SessionsModal isOpen={isSessionsOpen} onClose={() => setIsSessionsOpen(false)} />
+      <EditProfileModal field={editingField} user={user} onClose={() => setEditingField(null)} />
+      <ChangePasswordModal
+        isOpen={isChangePasswordOpen}
+        onClose={() => setIsChangePasswordOpen(false)}
+      />
+      <LinkedAccountsModal
+        isOpen={isLinkedAccountsOpen}
+        onClose={() => setIsLinkedAccountsOpen(false)}
+        user={user}
+      />
+      <PasskeysModal isOpen={isPasskeysOpen} onClose={() => setIsPasskeysOpen(false)} />
+      <TwoFactorModal
+        isOpen={isTwoFactorOpen}
+        onClose={() => setIsTwoFactorOpen(false)}
+        enabled={twoFactorEnabled}
+      />
+      <DeleteAccountModal
+        isOpen={isDeleteAccountOpen}
+        onClose={() => setIsDeleteAccountOpen(false)}
+      />
     </div>
   );
 };
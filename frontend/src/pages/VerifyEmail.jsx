@@ -0,0 +1,114 @@
+import { useEffect, useRef } from 'react';
+import { useForm } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import toast from 'react-hot-toast';
+import { Link, useSearchParams } from 'react-router-dom';
+import { MailCheck } from 'lucide-react';
+import { authApi } from '../api/auth.api';
+import { emailSchema } from '../schemas/auth.schema';
+import { useAuth } from '../hooks/useAuth';
+import { Input } from '../components/common/Input';
+import { Button } from '../components/common/Button';
+import { Loader } from '../components/common/Loader';
+import { AuthLayout } from '../components/auth/AuthLayout';
+
+export const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const queryClient = useQueryClient();
+  const { isAuthenticated } = useAuth();
+  const requestedRef = useRef(false);
+
+  const verifyMutation = useMutation({
+    mutationFn: authApi.verifyEmail,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['auth', 'me'] });
+    },
+  });
+
+  const resendMutation = useMutation({
+    mutationFn: authApi.resendVerificationEmail,
+  });
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors },
+  } = useForm({
+    resolver: zodResolver(emailSchema),
+    defaultValues: {
+      email: searchParams.get('email') || '',
+    },
+  });
+
+  // Verificar una sola vez aunque StrictMode ejecute el efecto dos veces
+  useEffect(() => {
+    if (!token || requestedRef.current) return;
+    requestedRef.current = true;
+    verifyMutation.mutate(token);
+  }, [token, verifyMutation]);
+
+  const onResend = async ({ email }) => {
+    try {
+      await resendMutation.mutateAsync(email);
+      toast.success('Si el correo está pendiente de verificación, te enviamos un nuevo enlace');
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Error al reenviar el correo');
+    }
+  };
+
+  const renderStatus = () => {
+    if (token && (verifyMutation.isPending || verifyMutation.isIdle)) {
+      return <Loader />;
+    }
+
+    if (verifyMutation.isSuccess) {
+      return (
+        <div className="text-center space-y-4">
+          <p className="text-gray-700 dark:text-gray-300">
+            ¡Tu correo ha sido verificado correctamente!
+          </p>
+          <Link
+            to={isAuthenticated ? '/profile' : '/login'}
+            className="inline-block text-primary-600 dark:text-primary-400 hover:text-primary-700 dark:hover:text-primary-300 font-medium"
+          >
+            {isAuthenticated ? 'Ir a mi perfil' : 'Iniciar sesión'}
+          </Link>
+        </div>
+      );
+    }
+
+    return (
+      <form onSubmit={handleSubmit(onResend)} className="space-y-4">
+        {verifyMutation.isError ? (
+          <div className="bg-red-50 dark:bg-red-900/30 border border-red-200 dark:border-red-800 text-red-700 dark:text-red-400 px-4 py-3 rounded-lg">
+            {verifyMutation.error.response?.data?.message || 'El enlace no es válido o ha expirado'}
+          </div>
+        ) : (
+          <p className="text-gray-600 dark:text-gray-300">
+            Te enviamos un enlace de verificación. Revisa tu bandeja de entrada y haz clic en el enlace para activar tu cuenta.
+          </p>
+        )}
+
+        <Input
+          type="email"
+          label="¿No lo recibiste? Reenviar a"
+          {...register('email')}
+          error={errors.email?.message}
+          placeholder="tu@email.com"
+        />
+
+        <Button type="submit" isLoading={resendMutation.isPending} className="w-full">
+          Reenviar enlace
+        </Button>
+      </form>
+    );
+  };
+
+  return (
+    <AuthLayout icon={<MailCheck className="text-white" size={32} />} title="Verifica tu correo">
+      {renderStatus()}
+    </AuthLayout>
+  );
+};
@@ -5,16 +5,75 @@ export const loginSchema = z.object({
   password: z.string().min(6, 'La contraseña debe tener al menos 6 caracteres'),
 });
 
+const usernameField = z
+  .string()
+  .min(3, 'El usuario debe tener al menos 3 caracteres')
+  .max(30, 'El usuario no puede exceder 30 caracteres')
+  .regex(/^[a-zA-Z0-9_]+$/, 'Solo letras, números y guiones bajos');
+
 export const registerSchema = z.object({
-  username: z
-    .string()
-    .min(3, 'El usuario debe tener al menos 3 caracteres')
-    .max(30, 'El usuario no puede exceder 30 caracteres')
-    .regex(/^[a-zA-Z0-9_]+$/, 'Solo letras, números y guiones bajos'),
+  username: usernameField,
+  email: z.string().email('Email inválido').min(1, 'Email requerido'),
+  password: z.string().min(6, 'La contraseña debe tener al menos 6 caracteres'),
+  confirmPassword: z.string().min(1, 'Confirma tu contraseña'),
+}).refine((data) => data.password === data.confirmPassword, {
+  message: 'Las contraseñas no coinciden',
+  path: ['confirmPassword'],
+});
+
+export const emailSchema = z.object({
   email: z.string().email('Email inválido').min(1, 'Email requerido'),
+});
+
+export const forgotPasswordSchema = emailSchema;
+
+export const resetPasswordSchema = z.object({
   password: z.string().min(6, 'La contraseña debe tener al menos 6 caracteres'),
   confirmPassword: z.string().min(1, 'Confirma tu contraseña'),
 }).refine((data) => data.password === data.confirmPassword, {
   message: 'Las contraseñas no coinciden',
   path: ['confirmPassword'],
 });
+
+export const twoFactorCodeSchema = z.object({
+  code: z
+    .string()
+    .trim()
+    .min(6, 'Introduce el código de 6 dígitos o un código de respaldo'),
+});
+
+export const disableTwoFactorSchema = twoFactorCodeSchema.extend({
+  password: z.string().min(1, 'Contraseña requerida'),
+});
+
+export const changePasswordSchema = z.object({
+  currentPassword: z.string().min(1, 'Contraseña actual requerida'),
+  newPassword: z.string().min(6, 'La contraseña debe tener al menos 6 caracteres'),
+  confirmPassword: z.string().min(1, 'Confirma tu contraseña'),
+}).refine((data) => data.newPassword === data.confirmPassword, {
+  message: 'Las contraseñas no coinciden',
+  path: ['confirmPassword'],
+}).refine((data) => data.newPassword !== data.currentPassword, {
+  message: 'La nueva contraseña debe ser distinta de la actual',
+  path: ['newPassword'],
+});
+
+export const deleteAccountSchema = z.object({
+  password: z.string().min(1, 'Contraseña requerida'),
+});
+
+export const accessTokenSchema = z.object({
+  name: z
+    .string()
+    .trim()
+    .min(1, 'Nombre requerido')
+    .max(50, 'El nombre no puede superar los 50 caracteres'),
+  scopes: z.array(z.string()).min(1, 'Selecciona al menos un permiso'),
+  expiresInDays: z.string(),
+});
+
+export const updateUsernameSchema = z.object({
+  username: usernameField,
+});
+
+export const updateEmailSchema = emailSchema;
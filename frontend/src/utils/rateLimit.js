@@ -0,0 +1,10 @@
+// Minutos que faltan según la cabecera Retry-After de una respuesta 429
+export const getRetryAfterMinutes = (error) => {
+  const seconds = parseInt(error.response?.headers?.["retry-after"]) || 60;
+  return Math.max(1, Math.ceil(seconds / 60));
+};
+
+export const formatMinutes = (minutes) =>
+  `${minutes} ${minutes === 1 ? "minuto" : "minutos"}`;
+
+export const isRateLimited = (error) => error.response?.status === 429;